@@ -0,0 +1,108 @@
+// config/permissions.js
+// Central permission table: each action maps to the roles allowed to perform it.
+// Routes reference these keys through middlewares/authorize.js.
+
+const ALL_ROLES = ['Superadmin', 'Admin', 'Team Leader', 'Employee'];
+const MANAGERS = ['Superadmin', 'Admin', 'Team Leader'];
+const ADMINS = ['Superadmin', 'Admin'];
+
+const permissions = {
+  // Business accounts
+  'accounts:read': ALL_ROLES,
+  'accounts:create': ALL_ROLES,
+  'accounts:update': ALL_ROLES,
+  'accounts:delete': MANAGERS,
+  'accounts:merge': MANAGERS,
+  'accounts:import': MANAGERS,
+  'accounts:export': MANAGERS,
+  'accounts:followups': ALL_ROLES,
+  'accounts:notes': ALL_ROLES,
+  'accounts:contacts': ALL_ROLES,
+  'accounts:tag': ALL_ROLES,
+
+  // Quotations
+  'quotations:read': ALL_ROLES,
+  'quotations:create': ALL_ROLES,
+  'quotations:update': ALL_ROLES,
+  'quotations:delete': MANAGERS,
+  'quotations:export': MANAGERS,
+  'quotations:followups': ALL_ROLES,
+
+  // Invoices
+  'invoices:read': ALL_ROLES,
+  'invoices:create': ALL_ROLES,
+  'invoices:update': ALL_ROLES,
+  'invoices:delete': ADMINS,
+  'invoices:close': MANAGERS,
+  'invoices:export': MANAGERS,
+  'invoices:unlock': ADMINS,
+  'invoices:payments': ALL_ROLES,
+  'invoices:deletePayment': ADMINS,
+  'invoices:followups': ALL_ROLES,
+
+  // Tasks / follow-ups (visibility is further limited by utils/dataScope.js)
+  'tasks:read': ALL_ROLES,
+  'tasks:manage': ALL_ROLES,
+
+  // Notifications (always the user's own) and the scheduled jobs behind them
+  'notifications:read': ALL_ROLES,
+  'jobs:read': ADMINS,
+
+  // Global search (each result group also needs the matching :read permission)
+  'search:read': ALL_ROLES,
+
+  // Saved list views (changing or deleting one is further limited to its owner or an admin)
+  'views:read': ALL_ROLES,
+  'views:manage': ALL_ROLES,
+
+  // Admin-defined fields (everyone reads the definitions to render and fill in forms)
+  'customFields:read': ALL_ROLES,
+  'customFields:manage': ADMINS,
+
+  // Account tag vocabulary
+  'tags:read': ALL_ROLES,
+  'tags:manage': MANAGERS,
+
+  // Document number series (the formats themselves are the `numbering` setting)
+  'numberSeries:read': ALL_ROLES,
+  'numberSeries:manage': ADMINS,
+
+  // GSTIN checks and the GST state list
+  'gst:read': ALL_ROLES,
+
+  // Automatic assignment of new accounts
+  'assignmentRules:read': ADMINS,
+  'assignmentRules:manage': ADMINS,
+
+  // Products
+  'products:read': ALL_ROLES,
+  'products:manage': ADMINS,
+  'products:notes': ALL_ROLES,
+
+  // Users
+  'users:read': ALL_ROLES,
+  'users:create': ADMINS,
+  'users:update': ADMINS,
+  'users:delete': ADMINS,
+  'users:transfer': ADMINS,
+  'users:unlock': ADMINS,
+  'users:loginHistory': ADMINS,
+  'users:resetTwoFactor': ADMINS,
+
+  // Organisation structure
+  'zones:read': ALL_ROLES,
+  'zones:manage': ADMINS,
+  'departments:read': ALL_ROLES,
+  'departments:manage': ADMINS,
+  'teams:read': ALL_ROLES,
+  'teams:manage': ADMINS,
+
+  // Audit trail
+  'audit:read': ADMINS,
+
+  // Application settings
+  'settings:read': ADMINS,
+  'settings:manage': ['Superadmin']
+};
+
+module.exports = { ALL_ROLES, MANAGERS, ADMINS, permissions };
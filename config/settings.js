@@ -0,0 +1,225 @@
+// config/settings.js
+// Known setting keys with their defaults and validators. A validator returns an
+// error message for an invalid value, or null if the value is acceptable.
+const { ALL_ROLES } = require('./permissions');
+const { parseGstin, toStateCode } = require('../utils/gstin');
+const { GST_RATES } = require('../utils/taxEngine');
+const { DOCUMENT_TYPES, financialYear, formatNumber, validateFormat } = require('../utils/numberFormat');
+
+const NOTIFICATION_CHANNELS = ['in-app', 'email'];
+const ACCOUNT_STATUSES = ['Active', 'Pipeline', 'Quotations', 'Customer', 'Closed', 'TargetLeads'];
+// Bank branch code (4 letters, a zero, 6 letters or digits) and UPI virtual payment address
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const UPI_ID_PATTERN = /^[A-Za-z0-9._-]{2,256}@[A-Za-z][A-Za-z0-9.-]{1,63}$/;
+
+const settings = {
+  security: {
+    defaults: {
+      // Roles that must enrol in TOTP two-factor authentication before they can log in
+      twoFactorRequiredRoles: []
+    },
+    validate: (value) => {
+      const roles = value.twoFactorRequiredRoles;
+      if (!Array.isArray(roles) || roles.some(role => !ALL_ROLES.includes(role))) {
+        return `twoFactorRequiredRoles must be a list of roles: ${ALL_ROLES.join(', ')}`;
+      }
+      return null;
+    }
+  },
+
+  reminders: {
+    defaults: {
+      enabled: true,
+      // Remind the assignee this many minutes before a task is due
+      leadMinutes: 60,
+      // Hour of the day (server time) from which the morning digest is sent
+      digestHour: 8,
+      channels: NOTIFICATION_CHANNELS
+    },
+    validate: (value) => {
+      if (typeof value.enabled !== 'boolean') {
+        return 'enabled must be true or false';
+      }
+      if (!Number.isInteger(value.leadMinutes) || value.leadMinutes < 0 || value.leadMinutes > 7 * 24 * 60) {
+        return 'leadMinutes must be a whole number of minutes, at most one week';
+      }
+      if (!Number.isInteger(value.digestHour) || value.digestHour < 0 || value.digestHour > 23) {
+        return 'digestHour must be a whole number between 0 and 23';
+      }
+      if (!Array.isArray(value.channels) || value.channels.some(channel => !NOTIFICATION_CHANNELS.includes(channel))) {
+        return `channels must be a list of: ${NOTIFICATION_CHANNELS.join(', ')}`;
+      }
+      return null;
+    }
+  },
+
+  pipeline: {
+    defaults: {
+      // Statuses an account may move to from each status
+      transitions: {
+        TargetLeads: ['Active', 'Pipeline', 'Closed'],
+        Active: ['TargetLeads', 'Pipeline', 'Quotations', 'Customer', 'Closed'],
+        Pipeline: ['Active', 'Quotations', 'Customer', 'Closed'],
+        Quotations: ['Pipeline', 'Customer', 'Closed'],
+        Customer: ['Quotations', 'Closed'],
+        Closed: ['Active', 'Pipeline']
+      },
+      // Moving to these statuses needs a reason (e.g. why a lead was lost)
+      reasonRequiredFor: ['Closed']
+    },
+    validate: (value) => {
+      const { transitions, reasonRequiredFor } = value;
+      if (!transitions || typeof transitions !== 'object' || Array.isArray(transitions)) {
+        return 'transitions must map each status to the statuses it may move to';
+      }
+      for (const status of ACCOUNT_STATUSES) {
+        const targets = transitions[status];
+        if (!Array.isArray(targets) || targets.some(target => !ACCOUNT_STATUSES.includes(target))) {
+          return `transitions.${status} must be a list of: ${ACCOUNT_STATUSES.join(', ')}`;
+        }
+      }
+      if (Object.keys(transitions).some(status => !ACCOUNT_STATUSES.includes(status))) {
+        return `transitions may only contain: ${ACCOUNT_STATUSES.join(', ')}`;
+      }
+      if (!Array.isArray(reasonRequiredFor) || reasonRequiredFor.some(status => !ACCOUNT_STATUSES.includes(status))) {
+        return `reasonRequiredFor must be a list of: ${ACCOUNT_STATUSES.join(', ')}`;
+      }
+      return null;
+    }
+  },
+
+  company: {
+    defaults: {
+      // The seller on quotations and invoices
+      name: '',
+      address: '',
+      // The GSTIN decides the company's state, and so whether a supply is intrastate or interstate
+      gstin: '',
+      // Only needed while there is no GSTIN
+      stateCode: '',
+      // Letterhead of quotation and invoice PDFs
+      phone: '',
+      email: '',
+      website: '',
+      // Printed on quotations that do not have terms of their own
+      quotationTerms: [],
+      // Payment details printed on invoices; the UPI ID (VPA) also makes the invoice's payment QR code
+      bank: { accountName: '', accountNumber: '', bankName: '', branch: '', ifsc: '' },
+      upiId: '',
+      invoiceTerms: []
+    },
+    validate: (value) => {
+      for (const field of ['name', 'address', 'phone', 'email', 'website', 'upiId']) {
+        if (typeof value[field] !== 'string') return `${field} must be text`;
+      }
+      for (const field of ['quotationTerms', 'invoiceTerms']) {
+        if (!Array.isArray(value[field]) || value[field].some(term => typeof term !== 'string')) {
+          return `${field} must be a list of lines of text`;
+        }
+      }
+      const { bank } = value;
+      if (!bank || typeof bank !== 'object' || Array.isArray(bank)) {
+        return 'bank must be an object';
+      }
+      for (const field of ['accountName', 'accountNumber', 'bankName', 'branch', 'ifsc']) {
+        if (bank[field] !== undefined && typeof bank[field] !== 'string') return `bank.${field} must be text`;
+      }
+      if (bank.ifsc && !IFSC_PATTERN.test(bank.ifsc)) {
+        return `bank.ifsc "${bank.ifsc}" is not a valid IFSC code`;
+      }
+      if (value.upiId && !UPI_ID_PATTERN.test(value.upiId)) {
+        return `upiId "${value.upiId}" is not a valid UPI ID (name@bank)`;
+      }
+      if (value.gstin) {
+        const parsed = parseGstin(value.gstin);
+        if (parsed.error) return parsed.error;
+        if (value.stateCode && toStateCode(value.stateCode) !== parsed.stateCode) {
+          return `stateCode must match the GSTIN's state (${parsed.stateCode})`;
+        }
+      } else if (value.stateCode && !toStateCode(value.stateCode)) {
+        return `Unknown stateCode "${value.stateCode}"`;
+      }
+      return null;
+    }
+  },
+
+  tax: {
+    defaults: {
+      // GST rate of lines whose product and HSN/SAC code have none configured
+      defaultRate: 18,
+      // GST rate by HSN/SAC code or code prefix, e.g. { "8426": 18 }; the longest match wins
+      hsnRates: {},
+      // Round document totals to the nearest rupee (the difference is shown as round-off)
+      roundTotal: true
+    },
+    validate: (value) => {
+      if (!GST_RATES.includes(value.defaultRate)) {
+        return `defaultRate must be one of ${GST_RATES.join(', ')}`;
+      }
+      const { hsnRates } = value;
+      if (!hsnRates || typeof hsnRates !== 'object' || Array.isArray(hsnRates)) {
+        return 'hsnRates must map HSN/SAC codes to GST rates';
+      }
+      for (const [code, rate] of Object.entries(hsnRates)) {
+        if (!/^\d{2,8}$/.test(code)) return `hsnRates: "${code}" is not an HSN/SAC code (2 to 8 digits)`;
+        if (!GST_RATES.includes(rate)) return `hsnRates.${code} must be one of ${GST_RATES.join(', ')}`;
+      }
+      if (typeof value.roundTotal !== 'boolean') {
+        return 'roundTotal must be true or false';
+      }
+      return null;
+    }
+  },
+
+  numbering: {
+    defaults: {
+      // Number formats per document type (tokens in utils/numberFormat.js)
+      formats: {
+        invoice: 'INV/{FY}/{SEQ:4}',
+        quotation: 'Q/{FY}/{SEQ:4}'
+      },
+      // Billing entities with their own number series, by code:
+      // { MC: { name: 'Mega Cranes', gstin: '27...', formats: { invoice: 'MC/INV/{FY}/{SEQ:4}' } } }
+      // Formats an entity does not set fall back to the ones above with {ENTITY} = the code.
+      entities: {}
+    },
+    validate: (value) => {
+      const { formats, entities } = value;
+      if (!formats || typeof formats !== 'object') {
+        return `formats must give a format for: ${DOCUMENT_TYPES.join(', ')}`;
+      }
+      for (const type of DOCUMENT_TYPES) {
+        const error = validateFormat(formats[type]);
+        if (error) return `formats.${type} ${error}`;
+      }
+      if (!entities || typeof entities !== 'object' || Array.isArray(entities)) {
+        return 'entities must map entity codes to { name, gstin, formats }';
+      }
+      for (const [code, entity] of Object.entries(entities)) {
+        if (!/^[A-Z0-9]{1,10}$/.test(code)) return `Entity code "${code}" must be 1 to 10 capital letters or digits`;
+        if (entity.gstin) {
+          const parsed = parseGstin(entity.gstin);
+          if (parsed.error) return `entities.${code}.gstin: ${parsed.error}`;
+        }
+        for (const [type, format] of Object.entries(entity.formats || {})) {
+          if (!DOCUMENT_TYPES.includes(type)) return `entities.${code}.formats.${type} is not a document type (${DOCUMENT_TYPES.join(', ')})`;
+          const error = validateFormat(format);
+          if (error) return `entities.${code}.formats.${type} ${error}`;
+        }
+      }
+      // Different series must never produce the same number
+      const sample = { seq: 1, fy: financialYear() };
+      for (const type of DOCUMENT_TYPES) {
+        const seen = new Map([[formatNumber(formats[type], { ...sample, entity: '' }), 'the default series']]);
+        for (const [code, entity] of Object.entries(entities)) {
+          const number = formatNumber((entity.formats || {})[type] || formats[type], { ...sample, entity: code });
+          if (seen.has(number)) return `${type} numbers of entity ${code} would clash with ${seen.get(number)}; add {ENTITY} or a prefix to its format`;
+          seen.set(number, `entity ${code}`);
+        }
+      }
+      return null;
+    }
+  }
+};
+
+module.exports = settings;
@@ -0,0 +1,258 @@
+// controllers/accountImportController.js
+const mongoose = require('mongoose');
+const BusinessAccount = require('../models/BusinessAccount');
+const ImportBatch = require('../models/ImportBatch');
+const Quotation = require('../models/Quotation');
+const Invoice = require('../models/Invoice');
+const Task = require('../models/Task');
+const StageChange = require('../models/StageChange');
+const AssignmentLog = require('../models/AssignmentLog');
+const AuditLog = require('../models/AuditLog');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+const { MAX_IMPORT_ROWS, importableFields, resolveMapping, validateRows } = require('../utils/accountImport');
+const { getDefinitions } = require('../utils/customFields');
+const { recordStageChange, statusFields } = require('../utils/pipeline');
+const { recordAudit } = require('../utils/audit');
+const { chooseAssignee, logAssignment } = require('../utils/assignment');
+
+const ROLLBACK_ROLES = ['Superadmin', 'Admin'];
+
+const parseMapping = (raw) => {
+  if (!raw) return {};
+  const mapping = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('mapping must be an object of { "Column header": "field" }');
+  }
+  return mapping;
+};
+
+// @desc    Import accounts from a CSV/XLSX file. With dryRun=true nothing is saved and the
+//          per-row validation report is returned. Otherwise valid rows are imported as one batch;
+//          if any row is invalid nothing is imported unless skipInvalid=true.
+// @route   POST /api/accounts/import  multipart: file, mapping (JSON), dryRun, skipInvalid, allowDuplicates
+// @access  Private (Manager)
+exports.importAccounts = async (req, res) => {
+  try {
+    const flag = (name) => String(req.query[name] ?? req.body[name]) === 'true';
+    const dryRun = flag('dryRun');
+
+    let explicitMapping;
+    try {
+      explicitMapping = parseMapping(req.body.mapping);
+    } catch (err) {
+      return res.status(400).json({ message: `Invalid mapping: ${err.message}` });
+    }
+
+    let sheet;
+    try {
+      sheet = await readSpreadsheet(req.file.buffer, req.file.originalname);
+    } catch (err) {
+      return res.status(400).json({ message: `Could not read ${req.file.originalname}: ${err.message}` });
+    }
+    if (sheet.rows.length === 0) {
+      return res.status(400).json({ message: 'The file has no data rows' });
+    }
+    if (sheet.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `A single import is limited to ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    const customFields = await getDefinitions('accounts');
+    const mapping = resolveMapping(sheet.headers, explicitMapping, customFields);
+    const mappedFields = Object.values(mapping);
+    const missing = ['businessName', 'contactName', 'contactNumber'].filter(field => !mappedFields.includes(field));
+    if (missing.length) {
+      return res.status(400).json({
+        message: `No column is mapped to required field(s): ${missing.join(', ')}`,
+        headers: sheet.headers,
+        mapping,
+        fields: Object.keys(importableFields(customFields))
+      });
+    }
+
+    const results = await validateRows(sheet.rows, mapping, { allowDuplicates: flag('allowDuplicates') });
+    const invalid = results.filter(result => !result.valid);
+    const report = {
+      fileName: req.file.originalname,
+      mapping,
+      unmappedHeaders: sheet.headers.filter(header => !mapping[header]),
+      totalRows: results.length,
+      validRows: results.length - invalid.length,
+      invalidRows: invalid.length
+    };
+
+    if (dryRun) {
+      return res.json({ dryRun: true, ...report, rows: results });
+    }
+    if (invalid.length && !flag('skipInvalid')) {
+      return res.status(400).json({
+        message: 'Some rows are invalid. Fix them, or import the valid rows only with skipInvalid=true.',
+        ...report,
+        rows: invalid
+      });
+    }
+
+    const batch = await ImportBatch.create({
+      fileName: req.file.originalname,
+      mapping,
+      totalRows: results.length,
+      createdBy: req.user.userId,
+      rowErrors: invalid.map(result => ({ row: result.row, messages: result.errors }))
+    });
+
+    let importedCount = 0;
+    for (const result of results.filter(r => r.valid)) {
+      try {
+        const { closedReason, ...data } = result.data;
+        // Rows without an assignee are routed by the assignment rules
+        const assignment = data.assignedTo ? null : await chooseAssignee(data);
+        if (assignment && assignment.assignedTo) {
+          data.assignedTo = assignment.assignedTo;
+        }
+
+        const account = await new BusinessAccount({
+          ...data,
+          ...statusFields(data.status, closedReason),
+          importBatch: batch._id
+        }).save();
+        await recordStageChange(account._id, null, account.status, req.user.userId, closedReason);
+        if (assignment) {
+          await logAssignment(account._id, assignment, { trigger: 'import', actor: req.user.userId });
+        }
+        await recordAudit(req, {
+          entity: 'BusinessAccount', entityId: account._id, action: 'create', after: account,
+          meta: { importBatch: batch._id, row: result.row }
+        });
+        importedCount++;
+      } catch (err) {
+        // e.g. an account with the same name was created while the import ran
+        batch.rowErrors.push({ row: result.row, messages: [err.code === 11000 ? 'businessName: an account with this name already exists' : err.message] });
+      }
+    }
+
+    batch.importedCount = importedCount;
+    batch.skippedCount = results.length - importedCount;
+    batch.status = 'completed';
+    await batch.save();
+
+    res.status(201).json({ batchId: batch._id, ...report, importedCount, skippedCount: batch.skippedCount, rowErrors: batch.rowErrors });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Error importing accounts:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    List import batches, newest first
+// @route   GET /api/accounts/imports?page=&pageSize=
+// @access  Private (Manager)
+exports.getImportBatches = async (req, res) => {
+  try {
+    const { page = 1, pageSize = 20 } = req.query;
+    const limit = Math.min(parseInt(pageSize) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * limit;
+
+    const [total, batches] = await Promise.all([
+      ImportBatch.countDocuments(),
+      ImportBatch.find()
+        .select('-rowErrors -rollback.kept')
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+    ]);
+    res.json({ data: batches, total, page: parseInt(page) || 1, pageSize: limit });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Get an import batch with its row errors
+// @route   GET /api/accounts/imports/:batchId
+// @access  Private (Manager)
+exports.getImportBatch = async (req, res) => {
+  try {
+    const batch = await ImportBatch.findById(req.params.batchId)
+      .populate('createdBy', 'name email')
+      .populate('rolledBackBy', 'name email');
+    if (!batch) {
+      return res.status(404).json({ message: 'Import batch not found' });
+    }
+    res.json(batch);
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid batch ID format' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Why an imported account should survive a rollback, or null if it can be removed
+const keepReason = async (account) => {
+  if (await Quotation.exists({ businessId: account._id })) return 'has quotations';
+  if (await Invoice.exists({ businessId: account._id })) return 'has invoices';
+  if (await Task.exists({ businessId: account._id })) return 'has follow-ups';
+  if (await AuditLog.exists({ entity: 'BusinessAccount', entityId: account._id, action: { $ne: 'create' } })) {
+    return 'was edited after the import';
+  }
+  return null;
+};
+
+// @desc    Roll back an import: deletes the accounts it created. Accounts that have since been
+//          worked on (edited, quoted, invoiced, follow-ups) are kept and listed.
+// @route   POST /api/accounts/imports/:batchId/rollback
+// @access  Private (Manager; only the importer or an Admin)
+exports.rollbackImport = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.batchId)) {
+      return res.status(400).json({ message: 'Invalid batch ID format' });
+    }
+    const batch = await ImportBatch.findById(req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({ message: 'Import batch not found' });
+    }
+    if (String(batch.createdBy) !== req.user.userId && !ROLLBACK_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only the user who ran the import or an Admin can roll it back' });
+    }
+
+    // Claim the batch so two rollbacks cannot run at once
+    const claimed = await ImportBatch.findOneAndUpdate(
+      { _id: batch._id, status: 'completed' },
+      { status: 'rolled-back', rolledBackAt: new Date(), rolledBackBy: req.user.userId },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ message: `Import batch is ${batch.status}` });
+    }
+
+    const kept = [];
+    let removedCount = 0;
+    for (const account of await BusinessAccount.find({ importBatch: batch._id })) {
+      const reason = await keepReason(account);
+      if (reason) {
+        kept.push({ account: account._id, reason });
+        continue;
+      }
+      // Along with the rows that only describe the account, so no history points at a deleted
+      // account and the assignment balancing no longer counts it
+      await BusinessAccount.deleteOne({ _id: account._id });
+      await StageChange.deleteMany({ account: account._id });
+      await AssignmentLog.deleteMany({ account: account._id });
+      await Task.deleteMany({ $or: [{ businessId: account._id }, { relatedModel: 'BusinessAccount', relatedId: account._id }] });
+      await recordAudit(req, {
+        entity: 'BusinessAccount', entityId: account._id, action: 'delete', before: account,
+        meta: { importBatch: batch._id, rollback: true }
+      });
+      removedCount++;
+    }
+
+    claimed.rollback = { removedCount, keptCount: kept.length, kept };
+    await claimed.save();
+
+    res.json({ message: `Removed ${removedCount} imported account(s)`, batchId: claimed._id, removedCount, kept });
+  } catch (err) {
+    console.error('Error rolling back import:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
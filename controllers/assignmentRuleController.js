@@ -0,0 +1,146 @@
+// controllers/assignmentRuleController.js
+const mongoose = require('mongoose');
+const AssignmentRule = require('../models/AssignmentRule');
+const AssignmentLog = require('../models/AssignmentLog');
+const Team = require('../models/Team');
+const { recordAudit } = require('../utils/audit');
+
+const RULE_FIELDS = ['name', 'priority', 'active', 'conditions', 'team', 'users', 'strategy'];
+
+const pick = (body) => Object.fromEntries(RULE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+const populateRule = (query) => query
+  .populate('team', 'name')
+  .populate('users', 'name email status')
+  .populate('conditions.zones', 'name');
+
+// A rule needs someone to assign to: a team that exists, or a list of users
+const checkTarget = async (rule) => {
+  if (rule.team) {
+    if (!(await Team.exists({ _id: rule.team }))) return 'Team not found';
+    return null;
+  }
+  if (!rule.users || rule.users.length === 0) return 'A rule needs a team or a list of users';
+  return null;
+};
+
+// @desc    List assignment rules in the order they are tried
+// @route   GET /api/assignment-rules
+// @access  Private (Admin)
+exports.getRules = async (req, res) => {
+  try {
+    const rules = await populateRule(AssignmentRule.find()).sort({ priority: 1, createdAt: 1 });
+    res.json(rules);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Create an assignment rule
+// @route   POST /api/assignment-rules
+// @access  Private (Admin)
+exports.createRule = async (req, res) => {
+  try {
+    const rule = new AssignmentRule({ ...pick(req.body), createdBy: req.user.userId });
+    const targetError = await checkTarget(rule);
+    if (targetError) {
+      return res.status(400).json({ message: targetError });
+    }
+
+    await rule.save();
+    await recordAudit(req, { entity: 'AssignmentRule', entityId: rule._id, action: 'create', after: rule });
+    res.status(201).json(await populateRule(AssignmentRule.findById(rule._id)));
+  } catch (err) {
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Update an assignment rule
+// @route   PUT /api/assignment-rules/:id
+// @access  Private (Admin)
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await AssignmentRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Assignment rule not found' });
+    }
+
+    const before = rule.toObject();
+    rule.set(pick(req.body));
+    const targetError = await checkTarget(rule);
+    if (targetError) {
+      return res.status(400).json({ message: targetError });
+    }
+
+    await rule.save();
+    await recordAudit(req, { entity: 'AssignmentRule', entityId: rule._id, action: 'update', before, after: rule });
+    res.json(await populateRule(AssignmentRule.findById(rule._id)));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.kind === 'ObjectId' || err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid assignment rule' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Delete an assignment rule (its log entries are kept)
+// @route   DELETE /api/assignment-rules/:id
+// @access  Private (Admin)
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await AssignmentRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Assignment rule not found' });
+    }
+    await recordAudit(req, { entity: 'AssignmentRule', entityId: rule._id, action: 'delete', before: rule });
+    res.json({ message: 'Assignment rule deleted' });
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid assignment rule ID format' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Assignment decisions, newest first
+// @route   GET /api/assignment-rules/logs?account=&rule=&assignedTo=&outcome=&page=&pageSize=
+// @access  Private (Admin)
+exports.getAssignmentLogs = async (req, res) => {
+  try {
+    const { account, rule, assignedTo, outcome, page = 1, pageSize = 50 } = req.query;
+    for (const [name, value] of [['account', account], ['rule', rule], ['assignedTo', assignedTo]]) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ message: `Invalid ${name}` });
+      }
+    }
+
+    const query = {};
+    if (account) query.account = account;
+    if (rule) query.rule = rule;
+    if (assignedTo) query.assignedTo = assignedTo;
+    if (outcome) query.outcome = outcome;
+
+    const limit = Math.min(parseInt(pageSize) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * limit;
+
+    const [total, logs] = await Promise.all([
+      AssignmentLog.countDocuments(query),
+      AssignmentLog.find(query)
+        .populate('account', 'businessName')
+        .populate('assignedTo', 'name email')
+        .populate('actor', 'name email')
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+    ]);
+    res.json({ data: logs, total, page: parseInt(page) || 1, pageSize: limit });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,53 @@
+// controllers/auditLogController.js
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// @desc    Query the audit trail
+// @route   GET /api/audit-logs?entity=&entityId=&userId=&action=&from=&to=&page=&pageSize=
+// @access  Private (Admin)
+exports.getAuditLogs = async (req, res) => {
+    try {
+        const { entity, entityId, userId, action, from, to, page = 1, pageSize = 50 } = req.query;
+
+        for (const [name, value] of [['entityId', entityId], ['userId', userId]]) {
+            if (value && !mongoose.isValidObjectId(value)) {
+                return res.status(400).json({ message: `Invalid ${name}` });
+            }
+        }
+
+        const query = {};
+        if (entity) query.entity = entity;
+        if (entityId) query.entityId = entityId;
+        if (userId) query.actor = userId;
+        if (action) query.action = action;
+        if (from || to) {
+            query.timestamp = {};
+            if (from) query.timestamp.$gte = new Date(from);
+            // A date-only `to` includes that whole day
+            if (to) query.timestamp.$lte = DATE_ONLY.test(to) ? new Date(new Date(to).getTime() + DAY_MS - 1) : new Date(to);
+            if (Object.values(query.timestamp).some(date => isNaN(date))) {
+                return res.status(400).json({ message: 'Invalid date range' });
+            }
+        }
+
+        const limit = Math.min(parseInt(pageSize) || 50, 200);
+        const skip = (Math.max(parseInt(page) || 1, 1) - 1) * limit;
+
+        const [total, logs] = await Promise.all([
+            AuditLog.countDocuments(query),
+            AuditLog.find(query)
+                .populate('actor', 'name email role')
+                .sort({ timestamp: -1 })
+                .skip(skip)
+                .limit(limit)
+        ]);
+
+        res.json({ data: logs, total, page: parseInt(page) || 1, pageSize: limit });
+    } catch (err) {
+        console.error('Error fetching audit logs:', err);
+        res.status(500).json({ error: err.message });
+    }
+};
@@ -1,34 +1,475 @@
+const crypto = require('crypto');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const LoginHistory = require('../models/LoginHistory');
+const { isHashed, verifyPassword, validatePasswordStrength } = require('../utils/password');
+const { sendMail } = require('../utils/mailer');
+const {
+  issueSession,
+  signChallengeToken,
+  verifyChallengeToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+} = require('../utils/tokens');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { getSetting } = require('../utils/settings');
+const { accountKey, ipKey, checkLoginThrottle, registerLoginFailure, clearLoginThrottle } = require('../utils/loginThrottle');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hashResetToken = (token) => sha256(token);
+
+// Recovery codes look like "a1b2c-3d4e5"; only their hashes are stored
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => sha256(normalizeRecoveryCode(code))) };
+};
+
+// Checks a TOTP code or a recovery code and consumes it, so neither can be used twice
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = sha256(normalizeRecoveryCode(recoveryCode));
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  const counter = user.twoFactor?.secret ? verifyTotp(user.twoFactor.secret, code) : null;
+  if (counter === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedCounter': null }, { 'twoFactor.lastUsedCounter': { $lt: counter } }]
+    },
+    { 'twoFactor.lastUsedCounter': counter }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Stores one login attempt; failures here must not break the login itself
+const recordLoginHistory = async (req, { user, email, success, reason }) => {
+  try {
+    await LoginHistory.create({
+      user: user ? user._id : null,
+      email,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      success,
+      reason
+    });
+  } catch (err) {
+    console.error('Failed to record login history:', err.message);
+  }
+};
 
 exports.login = async (req, res) => {
   const { username, password } = req.body;
+  const email = String(username || '').toLowerCase().trim();
+  const throttleKeys = [accountKey(email), ipKey(req.ip)];
 
   try {
-    const user = await User.findOne({ email: username });
+    const throttle = await checkLoginThrottle(throttleKeys);
+    if (throttle.blocked) {
+      await recordLoginHistory(req, { user: null, email, success: false, reason: 'locked' });
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        error: throttle.locked
+          ? 'Too many failed login attempts. The account is temporarily locked.'
+          : 'Too many failed login attempts. Please wait before trying again.',
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    const user = await User.findOne({ email });
 
-    if (!user || user.password !== password) {
+    if (!user || !(await verifyPassword(password, user.password))) {
+      await registerLoginFailure(throttleKeys);
+      await recordLoginHistory(req, { user, email, success: false, reason: 'invalid-credentials' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // ✅ Generate JWT token (expires in 30 minutes)
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '2d' }
-    );
+    if (user.status === 'Inactive') {
+      await recordLoginHistory(req, { user, email, success: false, reason: 'inactive' });
+      return res.status(403).json({ error: 'Your account is inactive. Please contact an administrator.' });
+    }
 
-    res.json({
-      token,
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        status: user.status
-      }
-    });
+    await clearLoginThrottle([accountKey(email)]);
+
+    // Legacy plaintext password: the pre-save hook rehashes it now that it is verified
+    if (!isHashed(user.password)) {
+      user.password = password;
+      await user.save();
+    }
+
+    // Second step: enrolled users confirm a code, roles that require 2FA must enrol first
+    if (user.twoFactor?.enabled) {
+      return res.json({ twoFactorRequired: true, challengeToken: signChallengeToken(user, '2fa') });
+    }
+    const { twoFactorRequiredRoles } = await getSetting('security');
+    if (twoFactorRequiredRoles.includes(user.role)) {
+      return res.json({ twoFactorSetupRequired: true, challengeToken: signChallengeToken(user, '2fa-setup') });
+    }
+
+    res.json(await completeLogin(req, user));
+  } catch (err) {
+    res.status(500).json({ error: 'Login failed' });
+  }
+};
+
+// Issues the session once every login step has passed
+const completeLogin = async (req, user) => {
+  // ✅ Short-lived access token plus a rotating refresh token
+  const session = await issueSession(user, req);
+  await recordLoginHistory(req, { user, email: user.email, success: true, reason: 'success' });
+
+  return {
+    ...session,
+    user: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      status: user.status
+    }
+  };
+};
+
+// @desc    Second login step: verify a TOTP or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (requires the challenge token returned by /login)
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Challenge token and a code are required' });
+    }
+
+    const user = await verifyChallengeToken(challengeToken, '2fa');
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ error: 'Login session expired. Please log in again.' });
+    }
+
+    const throttleKeys = [accountKey(user.email), ipKey(req.ip)];
+    const throttle = await checkLoginThrottle(throttleKeys);
+    if (throttle.blocked) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({ error: 'Too many failed login attempts. Please wait before trying again.', retryAfter: throttle.retryAfter });
+    }
+
+    if (!(await consumeSecondFactor(user, { code, recoveryCode }))) {
+      await registerLoginFailure(throttleKeys);
+      await recordLoginHistory(req, { user, email: user.email, success: false, reason: 'invalid-2fa' });
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    res.json(await completeLogin(req, user));
   } catch (err) {
+    console.error('Error verifying two-factor login:', err);
     res.status(500).json({ error: 'Login failed' });
   }
 };
+
+// @desc    Start TOTP enrolment: returns a new secret and its otpauth:// URI
+// @route   POST /api/auth/2fa/setup
+// @access  Private, or with a '2fa-setup' challenge token during login
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({ secret, otpauthUri: buildOtpauthUri(secret, user.email) });
+  } catch (err) {
+    console.error('Error setting up two-factor authentication:', err);
+    res.status(500).json({ error: 'Failed to set up two-factor authentication' });
+  }
+};
+
+// @desc    Finish TOTP enrolment by confirming a code; returns one-time recovery codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private, or with a '2fa-setup' challenge token during login
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user || !user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const counter = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (counter === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: null,
+      recoveryCodes: hashes,
+      lastUsedCounter: counter,
+      enabledAt: new Date()
+    };
+    await user.save();
+
+    const response = { message: 'Two-factor authentication enabled', recoveryCodes: codes };
+    // Enrolment forced during login: the user is now fully authenticated
+    if (req.twoFactorSetupChallenge) {
+      Object.assign(response, await completeLogin(req, user));
+    }
+    res.json(response);
+  } catch (err) {
+    console.error('Error enabling two-factor authentication:', err);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+};
+
+// @desc    Turn off two-factor authentication (requires password and a current code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const { twoFactorRequiredRoles } = await getSetting('security');
+    if (twoFactorRequiredRoles.includes(user.role)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    if (!(await verifyPassword(password, user.password)) || !(await consumeSecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({ error: 'Invalid password or authentication code' });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      twoFactor: { enabled: false, secret: null, pendingSecret: null, recoveryCodes: [], lastUsedCounter: null, enabledAt: null }
+    });
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error('Error disabling two-factor authentication:', err);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+};
+
+// @desc    Replace all recovery codes (requires a current code)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await consumeSecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { 'twoFactor.recoveryCodes': hashes });
+    res.json({ recoveryCodes: codes });
+  } catch (err) {
+    console.error('Error regenerating recovery codes:', err);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+};
+
+// @desc    Change the logged-in user's password
+// @route   POST /api/auth/change-password
+// @access  Private
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!(await verifyPassword(currentPassword, user.password))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const weakPasswordError = validatePasswordStrength(newPassword);
+    if (weakPasswordError) {
+      return res.status(400).json({ error: weakPasswordError });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Log out every other device and hand this one a fresh session
+    await revokeAllSessions(user._id, 'password-changed');
+    const session = await issueSession(await User.findById(user._id), req);
+
+    res.json({ message: 'Password changed successfully', ...session });
+  } catch (err) {
+    console.error('Error changing password:', err);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+};
+
+// @desc    Send a single-use password reset link by email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  // Same response whether or not the account exists, so emails cannot be enumerated
+  const genericResponse = { message: 'If an account exists for this email, a reset link has been sent.' };
+
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user || user.status === 'Inactive') {
+      return res.json(genericResponse);
+    }
+
+    // Invalidate any earlier, still unused tokens
+    await PasswordResetToken.updateMany({ user: user._id, usedAt: null }, { usedAt: new Date() });
+
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    await PasswordResetToken.create({
+      user: user._id,
+      tokenHash: hashResetToken(rawToken),
+      expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+      requestedIp: req.ip
+    });
+
+    const appUrl = process.env.APP_URL || 'https://crm.megacrane.acculermedia.in';
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your CRM password',
+      text: [
+        `Hello ${user.name},`,
+        '',
+        'We received a request to reset your password. Use the link below to choose a new one:',
+        `${appUrl}/reset-password?token=${rawToken}`,
+        '',
+        `This link expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.`,
+        'If you did not request a reset, you can ignore this email.'
+      ].join('\n')
+    });
+
+    res.json(genericResponse);
+  } catch (err) {
+    console.error('Error requesting password reset:', err);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+};
+
+// @desc    Reset a password using a token from the reset email
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: 'Reset token is required' });
+    }
+
+    const weakPasswordError = validatePasswordStrength(newPassword);
+    if (weakPasswordError) {
+      return res.status(400).json({ error: weakPasswordError });
+    }
+
+    // Consume the token atomically so it can only ever be used once
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashResetToken(String(token)), usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (!resetToken) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(resetToken.user);
+    if (!user) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+    await revokeAllSessions(user._id, 'password-changed');
+
+    res.json({ message: 'Password has been reset. You can now log in.' });
+  } catch (err) {
+    console.error('Error resetting password:', err);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+};
+
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public (requires a valid refresh token)
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(result.session);
+  } catch (err) {
+    console.error('Error refreshing token:', err);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+};
+
+// @desc    Log out the current device by revoking its refresh token
+// @route   POST /api/auth/logout
+// @access  Public (requires the refresh token being revoked)
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    await revokeRefreshToken(refreshToken, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error('Error logging out:', err);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+};
+
+// @desc    Log out all devices of the logged-in user
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.userId, 'logout-all');
+    res.json({ message: 'Logged out from all devices' });
+  } catch (err) {
+    console.error('Error logging out all devices:', err);
+    res.status(500).json({ error: 'Failed to log out from all devices' });
+  }
+};
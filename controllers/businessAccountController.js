@@ -1,16 +1,40 @@
 // File: controllers/accountController.js
 
+const mongoose = require('mongoose');
 const BusinessAccount = require('../models/BusinessAccount');
 const Quotation = require('../models/Quotation'); // Assuming Quotation model is used elsewhere or will be.
+const Invoice = require('../models/Invoice');
+const Task = require('../models/Task');
+const StageChange = require('../models/StageChange');
+const AssignmentLog = require('../models/AssignmentLog');
+const User = require('../models/User');
+const { applyScope, getAccountScope } = require('../utils/dataScope');
+const { recordAudit } = require('../utils/audit');
+const { withTransaction } = require('../utils/transactions');
+const { listFollowUps, findFollowUp, createFollowUp, validateFollowUpChanges, applyFollowUpChanges } = require('../utils/followUps');
+const { checkTransition, recordStageChange, statusFields, stagePeriods, totalsByStage } = require('../utils/pipeline');
+const { findDuplicates, groupDuplicates, normalizePhone, normalizeEmail } = require('../utils/duplicates');
+const { escapeRegex } = require('../utils/regex');
+const { buildAccountListQuery, validateListParams } = require('../utils/listQueries');
+const { exportList } = require('../utils/exporter');
+const { resolveListParams, viewSummary } = require('../utils/savedViews');
+const { chooseAssignee, logAssignment } = require('../utils/assignment');
+const { TIMELINE_TYPES, buildTimeline, countTimeline } = require('../utils/timeline');
+const { prepareCustomFields } = require('../utils/customFields');
+const { toIdList, checkTagIds, tagFilter } = require('../utils/tags');
+const { accountGstFields } = require('../utils/gstin');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // Get all accounts (leads + customers) - This can be deprecated if using getPaginatedAccounts for all list views
 exports.getAll = async (req, res) => {
     try {
-        const accounts = await BusinessAccount.find()
+        const scope = await getAccountScope(req.user);
+        const accounts = await BusinessAccount.find(scope)
             .populate('assignedTo', 'name role')
-            .populate('followUps.addedBy', 'name')
             .populate('selectedProduct', 'productName price')
-            .populate('zone', 'name'); // Added zone population
+            .populate('zone', 'name') // Added zone population
+            .populate('tags', 'name color');
         res.json(accounts);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -18,37 +42,26 @@ exports.getAll = async (req, res) => {
 };
 
 // NEW FUNCTION: Get paginated and filtered accounts (leads + customers)
+// ?viewId= runs a saved view; other query parameters override the view's
 exports.getPaginatedAccounts = async (req, res) => {
     try {
-        const { page = 1, pageSize = 10, search = '', status, sortBy = 'createdAt', sortOrder = 'desc', userId, role, zone } = req.query;
+        const { params, view, error, status } = await resolveListParams(req.user, 'accounts', req.query);
+        if (error) {
+            return res.status(status).json({ message: error });
+        }
+        const { page = 1, pageSize = 10 } = params;
 
         const skip = (parseInt(page) - 1) * parseInt(pageSize);
         const limit = parseInt(pageSize);
 
-        let query = {};
-
-        // Apply role-based filtering for Employees
-        if (role === "Employee" && userId) {
-            query.assignedTo = userId;
-        }
-
-        // Apply status filter if provided
-        if (status && status !== 'all') {
-            query.status = status;
-        }
-
-        // Apply zone filter if provided
-        if (zone) {
-            query.zone = zone;
+        const paramError = validateListParams(params);
+        if (paramError) {
+            return res.status(400).json({ message: paramError });
         }
 
-        // Apply search filter (case-insensitive regex for businessName and contactName)
-        if (search) {
-            query.$or = [
-                { businessName: { $regex: search, $options: 'i' } },
-                { contactName: { $regex: search, $options: 'i' } }
-            ];
-        }
+        // status, zone, assignedTo and search filters (shared with the export), limited to
+        // the accounts the logged-in user is allowed to see
+        const { filter: query, sort } = await buildAccountListQuery(req.user, params);
 
         // Count total documents matching the filters
         const total = await BusinessAccount.countDocuments(query);
@@ -56,10 +69,10 @@ exports.getPaginatedAccounts = async (req, res) => {
         // Fetch accounts with pagination, sorting, and population
         const accounts = await BusinessAccount.find(query)
             .populate('assignedTo', 'name role')
-            .populate('followUps.addedBy', 'name')
             .populate('selectedProduct', 'productName price')
             .populate('zone', 'name') // Added zone population
-            .sort({ [sortBy]: sortOrder === 'asc' ? 1 : -1 })
+            .populate('tags', 'name color')
+            .sort(sort)
             .skip(skip)
             .limit(limit);
 
@@ -67,30 +80,66 @@ exports.getPaginatedAccounts = async (req, res) => {
             data: accounts,
             total,
             page: parseInt(page),
-            pageSize: parseInt(pageSize)
+            pageSize: parseInt(pageSize),
+            view: viewSummary(view)
         });
     } catch (err) {
+        if (err.status === 400) {
+            return res.status(400).json({ message: err.message });
+        }
         console.error('Error in getPaginatedAccounts:', err);
         res.status(500).json({ error: err.message || 'Server error fetching paginated accounts' });
     }
 };
 
+// @desc    Export the filtered account list (same filters as /paginated) as CSV or XLSX
+// @route   GET /api/accounts/export?format=csv|xlsx&columns=businessName,status,...&status=&zone=&assignedTo=&search=&sortBy=&sortOrder=&viewId=
+// @access  Private (Manager)
+exports.exportAccounts = async (req, res) => {
+    try {
+        await exportList(req, res, {
+            list: 'accounts',
+            Model: BusinessAccount,
+            buildQuery: buildAccountListQuery,
+            populate: [
+                { path: 'assignedTo', select: 'name' },
+                { path: 'zone', select: 'name' },
+                { path: 'selectedProduct', select: 'productName' },
+                { path: 'tags', select: 'name' }
+            ]
+        });
+    } catch (err) {
+        if (err.status === 400) {
+            return res.status(400).json({ message: err.message });
+        }
+        console.error('Error exporting accounts:', err);
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({ error: err.message });
+    }
+};
+
 // NEW FUNCTION: Get aggregated counts for all account statuses
+// ?zone=&tags=id1,id2&tagMatch=any|all
 exports.getAccountCounts = async (req, res) => {
   try {
-    let matchQuery = {};
-    // Apply role-based filtering for Employees to counts as well
-    if (req.query.role === 'Employee' && req.query.userId) {
-      matchQuery.assignedTo = req.query.userId;
+    const paramError = validateListParams(req.query);
+    if (paramError) {
+      return res.status(400).json({ message: paramError });
     }
 
+    let matchQuery = {};
+
     // Apply zone filter if provided
     if (req.query.zone) {
-      matchQuery.zone = req.query.zone;
+      matchQuery.zone = new mongoose.Types.ObjectId(String(req.query.zone));
     }
+    Object.assign(matchQuery, tagFilter(req.query.tags, req.query.tagMatch));
+
+    // Counts follow the same visibility rules as the account lists
+    matchQuery = applyScope(matchQuery, await getAccountScope(req.user));
 
     const counts = await BusinessAccount.aggregate([
-      { $match: matchQuery }, // Apply user/role and zone filter first
+      { $match: matchQuery }, // Apply visibility and zone filter first
       {
         $facet: {
           all: [{ $count: 'total' }],
@@ -134,12 +183,14 @@ exports.getAccountCounts = async (req, res) => {
 exports.getLeadsBySource = async (req, res) => {
     try {
         const { sourceType } = req.params;
-        const leads = await BusinessAccount.find({
+        const scope = await getAccountScope(req.user);
+        const leads = await BusinessAccount.find(applyScope({
             status: { $ne: 'Customer' },
             sourceType: sourceType
-        }).populate('assignedTo', 'name role')
+        }, scope)).populate('assignedTo', 'name role')
             .populate('selectedProduct', 'productName price')
-            .populate('zone', 'name');
+            .populate('zone', 'name')
+            .populate('tags', 'name color');
         res.json(leads);
     } catch (error) {
         res.status(500).json({ message: 'Error fetching leads by source', error: error.message });
@@ -149,11 +200,12 @@ exports.getLeadsBySource = async (req, res) => {
 // Get only active leads (not customers)
 exports.getActiveLeads = async (req, res) => {
     try {
-        const leads = await BusinessAccount.find({ status: 'Active' })
+        const scope = await getAccountScope(req.user);
+        const leads = await BusinessAccount.find(applyScope({ status: 'Active' }, scope))
             .populate('assignedTo', 'name role')
-            .populate('followUps.addedBy', 'name')
             .populate('selectedProduct', 'productName price')
-            .populate('zone', 'name');
+            .populate('zone', 'name')
+            .populate('tags', 'name color');
         res.json(leads);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -163,11 +215,12 @@ exports.getActiveLeads = async (req, res) => {
 // Get only customers
 exports.getCustomers = async (req, res) => {
     try {
-        const customers = await BusinessAccount.find({ status: 'Customer' })
+        const scope = await getAccountScope(req.user);
+        const customers = await BusinessAccount.find(applyScope({ status: 'Customer' }, scope))
             .populate('assignedTo', 'name role')
-            .populate('followUps.addedBy', 'name')
             .populate('selectedProduct', 'productName price')
-            .populate('zone', 'name');
+            .populate('zone', 'name')
+            .populate('tags', 'name color');
         res.json(customers);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -177,11 +230,12 @@ exports.getCustomers = async (req, res) => {
 // Get business account by ID
 exports.getAccountById = async (req, res) => {
     try {
-        const account = await BusinessAccount.findById(req.params.id)
+        const scope = await getAccountScope(req.user);
+        const account = await BusinessAccount.findOne(applyScope({ _id: req.params.id }, scope))
             .populate('assignedTo', 'name role')
-            .populate('followUps.addedBy', 'name')
             .populate('selectedProduct', 'productName price')
-            .populate('zone', 'name');
+            .populate('zone', 'name')
+            .populate('tags', 'name color');
         if (!account) {
             return res.status(404).json({ message: 'Account not found' });
         }
@@ -193,21 +247,43 @@ exports.getAccountById = async (req, res) => {
 
 exports.create = async (req, res) => {
     try {
-        const data = { ...req.body };
-
-        // Check for existing businessName (case-insensitive)
-        const existingAccount = await BusinessAccount.findOne({
-            businessName: { $regex: new RegExp(`^${data.businessName}$`, 'i') }
-        }).populate('assignedTo', 'name role'); // Crucial: Populate assignedTo here
-
-        if (existingAccount) {
+        const { allowDuplicate, ...data } = req.body;
+        data.customFields = await prepareCustomFields('accounts', data.customFields);
+        if (data.tags !== undefined) {
+            data.tags = toIdList(data.tags);
+            const tagError = await checkTagIds(data.tags);
+            if (tagError) {
+                return res.status(400).json({ message: tagError });
+            }
+        }
+        delete data.pan;
+        const gst = accountGstFields(data);
+        if (gst.error) {
+            return res.status(400).json({ message: gst.error });
+        }
+        Object.assign(data, gst.fields);
+
+        // Look for the same company under a similar name, or with the same phone, email or GSTIN.
+        // An identical name (ignoring case) is always rejected; other matches can be overridden
+        // with `allowDuplicate: true` once the user has checked them.
+        const duplicates = await findDuplicates(BusinessAccount, data);
+        const sameName = duplicates.find(match => new RegExp(`^${escapeRegex(data.businessName)}$`, 'i').test(match.account.businessName));
+        if (sameName || (duplicates.length > 0 && allowDuplicate !== true)) {
+            const existingAccount = (sameName || duplicates[0]).account;
             return res.status(409).json({ // 409 Conflict status code is appropriate here
-                message: `An account with this business name already exists. It is currently assigned to ${existingAccount.assignedTo ? existingAccount.assignedTo.name : 'an unassigned user'}.`,
+                message: sameName
+                    ? `An account with this business name already exists. It is currently assigned to ${existingAccount.assignedTo ? existingAccount.assignedTo.name : 'an unassigned user'}.`
+                    : `This looks like an existing account (${existingAccount.businessName}), assigned to ${existingAccount.assignedTo ? existingAccount.assignedTo.name : 'an unassigned user'}. Send allowDuplicate: true to create it anyway.`,
                 existingAccount: existingAccount._id, // Optionally return the ID of the existing account
                 assignedTo: existingAccount.assignedTo ? {
                     name: existingAccount.assignedTo.name,
                     role: existingAccount.assignedTo.role
-                } : null // Send assigned user info back
+                } : null, // Send assigned user info back
+                duplicates: duplicates.map(match => ({
+                    _id: match.account._id,
+                    businessName: match.account.businessName,
+                    reasons: match.reasons
+                }))
             });
         }
 
@@ -217,17 +293,47 @@ exports.create = async (req, res) => {
             data.isCustomer = false;
         }
 
+        // Employees can only see their own accounts, so unassigned leads they create are theirs
+        if (!data.assignedTo && req.user.role === 'Employee') {
+            data.assignedTo = req.user.userId;
+        }
+
+        // The initial stage is recorded as the first entry of the stage history
+        const status = data.status || 'Active';
+        const reason = data.statusReason || data.closedReason;
+        const transitionError = await checkTransition(null, status, reason);
+        if (transitionError) {
+            return res.status(400).json({ message: transitionError });
+        }
+        delete data.statusReason;
+        Object.assign(data, statusFields(status, reason));
+
+        // Accounts nobody was assigned to are routed by the assignment rules
+        const assignment = data.assignedTo ? null : await chooseAssignee(data);
+        if (assignment && assignment.assignedTo) {
+            data.assignedTo = assignment.assignedTo;
+        }
+
         const newAccount = new BusinessAccount(data);
         const savedAccount = await newAccount.save();
+        await recordStageChange(savedAccount._id, null, status, req.user.userId, reason);
+        if (assignment) {
+            await logAssignment(savedAccount._id, assignment, { trigger: 'create', actor: req.user.userId });
+        }
+        await recordAudit(req, { entity: 'BusinessAccount', entityId: savedAccount._id, action: 'create', after: savedAccount });
         const populatedAccount = await BusinessAccount.findById(savedAccount._id)
             .populate('assignedTo', 'name role')
             .populate('selectedProduct', 'productName price')
-            .populate('zone', 'name');
+            .populate('zone', 'name')
+            .populate('tags', 'name color');
         res.status(201).json(populatedAccount);
     } catch (err) {
         if (err.name === 'ValidationError') {
             return res.status(400).json({ error: err.message });
         }
+        if (err.status === 400) {
+            return res.status(400).json({ message: err.message, errors: err.details });
+        }
         res.status(500).json({ error: err.message });
     }
 };
@@ -241,50 +347,121 @@ exports.update = async (req, res) => {
             data.isCustomer = false;
         }
 
+        const scope = await getAccountScope(req.user);
+        const before = await BusinessAccount.findOne(applyScope({ _id: req.params.id }, scope));
+        if (!before) {
+            return res.status(404).json({ message: 'Account not found' });
+        }
+        if (data.customFields !== undefined) {
+            data.customFields = await prepareCustomFields('accounts', data.customFields, before.customFields);
+        }
+        if (data.tags !== undefined) {
+            data.tags = toIdList(data.tags);
+            const tagError = await checkTagIds(data.tags);
+            if (tagError) {
+                return res.status(400).json({ message: tagError });
+            }
+        }
+        // The GSTIN is only checked when the request changes the GST details, so older accounts
+        // holding a malformed number can still be edited
+        delete data.pan;
+        const gst = accountGstFields(data, before);
+        if (gst.error) {
+            return res.status(400).json({ message: gst.error });
+        }
+        Object.assign(data, gst.fields);
+
+        // Status changes are validated against the configured pipeline transitions
+        const reason = data.statusReason || data.closedReason;
+        const statusChanged = data.status !== undefined && data.status !== before.status;
+        delete data.statusReason;
+        delete data.statusChangedAt;
+        if (statusChanged) {
+            const transitionError = await checkTransition(before.status, data.status, reason);
+            if (transitionError) {
+                return res.status(400).json({ message: transitionError });
+            }
+            Object.assign(data, statusFields(data.status, reason));
+        } else if (before.status !== 'Closed') {
+            delete data.closedReason;
+        }
+
+        // The contact fields describe the primary contact; keep its entry in `contacts` in step
+        const primaryIndex = before.contacts.findIndex(contact => contact.isPrimary);
+        if (primaryIndex >= 0 && data.contacts === undefined) {
+            const primaryFields = { contactName: 'name', contactEmail: 'email', contactNumber: 'phoneNumber' };
+            for (const [field, contactField] of Object.entries(primaryFields)) {
+                if (data[field] !== undefined) data[`contacts.${primaryIndex}.${contactField}`] = data[field];
+            }
+        }
+
         const updated = await BusinessAccount.findByIdAndUpdate(
-            req.params.id,
+            before._id,
             data,
             { new: true, runValidators: true }
         ).populate('assignedTo', 'name role')
             .populate('selectedProduct', 'productName price')
-            .populate('zone', 'name');
+            .populate('zone', 'name')
+            .populate('tags', 'name color');
 
         if (!updated) {
             return res.status(404).json({ message: 'Account not found' });
         }
+        if (statusChanged) {
+            await recordStageChange(updated._id, before.status, updated.status, req.user.userId, reason);
+        }
+        await recordAudit(req, { entity: 'BusinessAccount', entityId: updated._id, action: 'update', before, after: updated });
         res.json(updated);
     } catch (err) {
         if (err.name === 'ValidationError') {
             return res.status(400).json({ error: err.message });
         }
+        if (err.status === 400) {
+            return res.status(400).json({ message: err.message, errors: err.details });
+        }
         res.status(500).json({ error: err.message });
     }
 };
 
 exports.getQuotationsSent = async (req, res) => {
     try {
-        const quotations = await BusinessAccount.find({ status: 'Quotations' })
+        const scope = await getAccountScope(req.user);
+        const quotations = await BusinessAccount.find(applyScope({ status: 'Quotations' }, scope))
             .populate('assignedTo', 'name role')
-            .populate('followUps.addedBy', 'name')
             .populate('selectedProduct', 'productName price')
-            .populate('zone', 'name');
+            .populate('zone', 'name')
+            .populate('tags', 'name color');
         res.json(quotations);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 };
 
-// Soft DELETE business account (set status to 'Closed')
+// Soft DELETE business account (set status to 'Closed'). The closing reason is passed as `reason`
+// in the body or query string.
 exports.delete = async (req, res) => {
     try {
-        const account = await BusinessAccount.findById(req.params.id);
+        const scope = await getAccountScope(req.user);
+        const account = await BusinessAccount.findOne(applyScope({ _id: req.params.id }, scope));
         if (!account) {
             return res.status(404).json({ message: 'Account not found' });
         }
+        if (account.status === 'Closed') {
+            return res.status(200).json({ message: 'Account status set to Closed', account });
+        }
 
-        account.status = 'Closed';
+        const reason = (req.body && req.body.reason) || req.query.reason;
+        const transitionError = await checkTransition(account.status, 'Closed', reason);
+        if (transitionError) {
+            return res.status(400).json({ message: transitionError });
+        }
+
+        const before = account.toObject();
+        Object.assign(account, statusFields('Closed', reason));
         account.isCustomer = false;
         await account.save();
+        await recordStageChange(account._id, before.status, 'Closed', req.user.userId, reason);
+        await recordAudit(req, { entity: 'BusinessAccount', entityId: account._id, action: 'delete', before, after: account });
 
         res.status(200).json({ message: 'Account status set to Closed', account });
     } catch (err) {
@@ -293,17 +470,360 @@ exports.delete = async (req, res) => {
     }
 };
 
+// @desc    Move an account to another pipeline stage
+// @route   PATCH /api/accounts/:id/status  { status, reason }
+// @access  Private
+exports.changeStatus = async (req, res) => {
+    try {
+        const { status, reason } = req.body;
+        if (!status) {
+            return res.status(400).json({ message: 'status is required' });
+        }
+
+        const scope = await getAccountScope(req.user);
+        const account = await BusinessAccount.findOne(applyScope({ _id: req.params.id }, scope));
+        if (!account) {
+            return res.status(404).json({ message: 'Account not found' });
+        }
+        if (account.status === status) {
+            return res.status(400).json({ message: `Account is already ${status}` });
+        }
+
+        const transitionError = await checkTransition(account.status, status, reason);
+        if (transitionError) {
+            return res.status(400).json({ message: transitionError });
+        }
+
+        const before = account.toObject();
+        Object.assign(account, statusFields(status, reason));
+        await account.save();
+        const change = await recordStageChange(account._id, before.status, status, req.user.userId, reason);
+        await recordAudit(req, { entity: 'BusinessAccount', entityId: account._id, action: 'update', before, after: account });
+
+        res.json({ account, change });
+    } catch (err) {
+        if (err.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid Account ID format' });
+        }
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// @desc    Stage history of an account with the time spent in each stage
+// @route   GET /api/accounts/:id/stage-history
+// @access  Private
+exports.getStageHistory = async (req, res) => {
+    try {
+        const scope = await getAccountScope(req.user);
+        const account = await BusinessAccount.findOne(applyScope({ _id: req.params.id }, scope))
+            .select('status createdAt closedReason');
+        if (!account) {
+            return res.status(404).json({ message: 'Account not found' });
+        }
+
+        const history = await StageChange.find({ account: account._id })
+            .populate('changedBy', 'name email')
+            .sort({ changedAt: 1 });
+        const periods = stagePeriods(account, history);
+
+        res.json({
+            status: account.status,
+            closedReason: account.closedReason,
+            history,
+            periods,
+            timeInStageMs: totalsByStage(periods)
+        });
+    } catch (err) {
+        if (err.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid Account ID format' });
+        }
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// @desc    Average time accounts spend in each stage, overall and per assigned user.
+//          Only finished stays count towards the averages; `current` is the number of accounts in the stage now.
+// @route   GET /api/accounts/reports/stage-durations?zone=&assignedTo=
+// @access  Private
+exports.getStageDurationReport = async (req, res) => {
+    try {
+        for (const name of ['zone', 'assignedTo']) {
+            if (req.query[name] && !mongoose.isValidObjectId(req.query[name])) {
+                return res.status(400).json({ message: `Invalid ${name}` });
+            }
+        }
+
+        let query = {};
+        if (req.query.zone) query.zone = req.query.zone;
+        if (req.query.assignedTo) query.assignedTo = req.query.assignedTo;
+        query = applyScope(query, await getAccountScope(req.user));
+
+        const accounts = await BusinessAccount.find(query).select('status createdAt assignedTo').lean();
+        const changes = await StageChange.find({ account: { $in: accounts.map(a => a._id) } })
+            .select('account from to changedAt')
+            .lean();
+
+        const changesByAccount = new Map();
+        for (const change of changes) {
+            const key = String(change.account);
+            if (!changesByAccount.has(key)) changesByAccount.set(key, []);
+            changesByAccount.get(key).push(change);
+        }
+
+        // stage -> { totalMs, periods, current }, overall and per user
+        const overall = {};
+        const perUser = new Map();
+        const add = (stats, period) => {
+            const entry = stats[period.stage] || (stats[period.stage] = { totalMs: 0, periods: 0, current: 0 });
+            if (period.to) {
+                entry.totalMs += period.durationMs;
+                entry.periods++;
+            } else {
+                entry.current++;
+            }
+        };
+
+        for (const account of accounts) {
+            const userKey = account.assignedTo ? String(account.assignedTo) : null;
+            if (!perUser.has(userKey)) perUser.set(userKey, {});
+            for (const period of stagePeriods(account, changesByAccount.get(String(account._id)) || [])) {
+                add(overall, period);
+                add(perUser.get(userKey), period);
+            }
+        }
+
+        const summarize = (stats) => Object.fromEntries(Object.entries(stats).map(([stage, { totalMs, periods, current }]) => {
+            const averageMs = periods ? Math.round(totalMs / periods) : null;
+            return [stage, {
+                averageMs,
+                averageDays: averageMs === null ? null : Math.round((averageMs / DAY_MS) * 10) / 10,
+                periods,
+                current
+            }];
+        }));
+
+        const users = await User.find({ _id: { $in: [...perUser.keys()].filter(Boolean) } }).select('name email');
+        const usersById = new Map(users.map(user => [String(user._id), user]));
+
+        res.json({
+            accounts: accounts.length,
+            stages: summarize(overall),
+            byUser: [...perUser.entries()].map(([userId, stats]) => ({
+                user: userId ? usersById.get(userId) || { _id: userId } : null,
+                stages: summarize(stats)
+            }))
+        });
+    } catch (err) {
+        console.error('Error building stage duration report:', err);
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// @desc    Everything that happened on an account (notes, follow-ups, status changes, quotations,
+//          invoices, payments and assignments) as one feed, newest first
+// @route   GET /api/accounts/:id/timeline?type=note,payment&page=&pageSize=
+// @access  Private
+exports.getTimeline = async (req, res) => {
+    try {
+        const { page = 1, pageSize = 20 } = req.query;
+        const types = req.query.type ? String(req.query.type).split(',').map(type => type.trim()) : TIMELINE_TYPES;
+        const unknown = types.filter(type => !TIMELINE_TYPES.includes(type));
+        if (unknown.length) {
+            return res.status(400).json({ message: `Unknown activity type(s): ${unknown.join(', ')}. Use: ${TIMELINE_TYPES.join(', ')}` });
+        }
+
+        const scope = await getAccountScope(req.user);
+        const account = await BusinessAccount.findOne(applyScope({ _id: req.params.id }, scope)).select('notes');
+        if (!account) {
+            return res.status(404).json({ message: 'Account not found' });
+        }
+
+        const limit = Math.min(parseInt(pageSize) || 20, 100);
+        const skip = (Math.max(parseInt(page) || 1, 1) - 1) * limit;
+        const uniqueTypes = [...new Set(types)];
+        const [entries, total] = await Promise.all([
+            buildTimeline(account, uniqueTypes, { limit: skip + limit }),
+            countTimeline(account, uniqueTypes)
+        ]);
+        const pageEntries = entries.slice(skip, skip + limit);
+
+        // Actors are user ids, or { name } where only a name was recorded
+        const actorIds = pageEntries.map(entry => entry.actor).filter(actor => mongoose.isValidObjectId(actor));
+        const users = await User.find({ _id: { $in: actorIds } }).select('name email role');
+        const usersById = new Map(users.map(user => [String(user._id), user]));
+        const data = pageEntries.map(entry => ({
+            ...entry,
+            actor: mongoose.isValidObjectId(entry.actor)
+                ? usersById.get(String(entry.actor)) || { _id: entry.actor }
+                : entry.actor
+        }));
+
+        res.json({ data, total, page: parseInt(page) || 1, pageSize: limit });
+    } catch (err) {
+        if (err.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid Account ID format' });
+        }
+        console.error('Error building account timeline:', err);
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// @desc    Groups of accounts that look like the same company (same GSTIN, phone, email or a similar name)
+// @route   GET /api/accounts/duplicates
+// @access  Private
+exports.getDuplicates = async (req, res) => {
+    try {
+        const scope = await getAccountScope(req.user);
+        const accounts = await BusinessAccount.find(scope)
+            .select('businessName contactName contactNumber contactEmail gstNumber status assignedTo createdAt matchKeys contacts')
+            .populate('assignedTo', 'name role')
+            .lean();
+
+        const groups = groupDuplicates(accounts).map(group => ({
+            reasons: group.reasons,
+            accounts: group.accounts.map(({ matchKeys, contacts, ...account }) => account)
+        }));
+        res.json({ total: groups.length, groups });
+    } catch (err) {
+        console.error('Error finding duplicate accounts:', err);
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// @desc    Merge duplicate accounts into this one. Notes, contacts, follow-ups, quotations, invoices,
+//          stage history and assignment logs of the merged accounts move to the surviving account,
+//          empty fields are filled from them, and the merged accounts are deleted.
+// @route   POST /api/accounts/:id/merge  { sourceIds: [...] }
+// @access  Private (Manager)
+exports.mergeAccounts = async (req, res) => {
+    try {
+        const sourceIds = [...new Set((req.body.sourceIds || []).map(String))];
+        if (sourceIds.length === 0 || sourceIds.some(id => !mongoose.isValidObjectId(id))) {
+            return res.status(400).json({ message: 'sourceIds must be a list of account ids' });
+        }
+        if (sourceIds.includes(String(req.params.id))) {
+            return res.status(400).json({ message: 'An account cannot be merged into itself' });
+        }
+
+        const scope = await getAccountScope(req.user);
+        const target = await BusinessAccount.findOne(applyScope({ _id: req.params.id }, scope));
+        if (!target) {
+            return res.status(404).json({ message: 'Account not found' });
+        }
+        const sources = await BusinessAccount.find(applyScope({ _id: { $in: sourceIds } }, scope));
+        if (sources.length !== sourceIds.length) {
+            return res.status(404).json({ message: 'One or more accounts to merge were not found' });
+        }
+
+        const before = target.toObject();
+        const contactKey = (contact) => normalizeEmail(contact.email) || normalizePhone(contact.phoneNumber) || String(contact.name).toLowerCase();
+        const knownContacts = new Set([
+            contactKey({ name: target.contactName, email: target.contactEmail, phoneNumber: target.contactNumber }),
+            ...target.contacts.map(contactKey)
+        ]);
+
+        for (const source of sources) {
+            target.notes.push(...source.notes.map(note => note.toObject()));
+
+            // The merged account's contacts (keeping their ids, which quotations and invoices may
+            // reference) and its main contact become additional contacts
+            const sourceContacts = [
+                ...source.contacts.map(contact => ({ ...contact.toObject(), isPrimary: false })),
+                { name: source.contactName, email: source.contactEmail, phoneNumber: source.contactNumber }
+            ];
+            for (const contact of sourceContacts) {
+                if (!contact.name || knownContacts.has(contactKey(contact))) continue;
+                knownContacts.add(contactKey(contact));
+                target.contacts.push(contact);
+            }
+
+            for (const field of ['contactEmail', 'address', 'contactPerson', 'zone', 'assignedTo', 'selectedProduct']) {
+                if (!target[field] && source[field]) target[field] = source[field];
+            }
+            // The GST details travel together
+            if (!target.gstNumber && source.gstNumber) {
+                for (const field of ['gstNumber', 'gstStateCode', 'pan', 'gstUnregistered']) target[field] = source[field];
+            }
+            for (const [key, value] of source.customFields || []) {
+                if (!target.customFields.has(key)) target.customFields.set(key, value);
+            }
+            target.typeOfLead = [...new Set([...target.typeOfLead, ...source.typeOfLead])];
+            target.tags = [...new Set([...target.tags, ...source.tags].map(String))];
+            target.quotations = [...new Set([...target.quotations, ...source.quotations].map(String))];
+        }
+
+        // Re-point everything that references the merged accounts, including their stage history and
+        // assignment decisions, then delete them. In one transaction where the server supports it, so
+        // a failure part-way leaves no records split across accounts; otherwise the merged accounts
+        // are deleted last, so a failed merge can simply be retried.
+        const moveToTarget = { $set: { businessId: target._id, businessName: target.businessName } };
+        const moved = await withTransaction(async (session) => {
+            const counts = {
+                quotations: (await Quotation.updateMany({ businessId: { $in: sourceIds } }, moveToTarget, { session })).modifiedCount,
+                invoices: (await Invoice.updateMany({ businessId: { $in: sourceIds } }, moveToTarget, { session })).modifiedCount,
+                followUps: (await Task.updateMany(
+                    { relatedModel: 'BusinessAccount', relatedId: { $in: sourceIds } },
+                    { $set: { relatedId: target._id } },
+                    { session }
+                )).modifiedCount,
+                stageChanges: (await StageChange.updateMany(
+                    { account: { $in: sourceIds } },
+                    { $set: { account: target._id } },
+                    { session }
+                )).modifiedCount,
+                assignmentLogs: (await AssignmentLog.updateMany(
+                    { account: { $in: sourceIds } },
+                    { $set: { account: target._id } },
+                    { session }
+                )).modifiedCount
+            };
+            await Task.updateMany({ businessId: { $in: sourceIds } }, { $set: { businessId: target._id } }, { session });
+
+            await target.save({ session });
+            await BusinessAccount.deleteMany({ _id: { $in: sourceIds } }, { session });
+            return counts;
+        });
+
+        for (const source of sources) {
+            await recordAudit(req, {
+                entity: 'BusinessAccount', entityId: source._id, action: 'merge', before: source,
+                meta: { mergedInto: target._id }
+            });
+        }
+        await recordAudit(req, {
+            entity: 'BusinessAccount', entityId: target._id, action: 'update', before, after: target,
+            meta: { mergedFrom: sourceIds }
+        });
+
+        const merged = await BusinessAccount.findById(target._id)
+            .populate('assignedTo', 'name role')
+            .populate('selectedProduct', 'productName price')
+            .populate('zone', 'name')
+            .populate('tags', 'name color');
+        res.json({ message: `Merged ${sources.length} account(s)`, account: merged, moved });
+    } catch (err) {
+        if (err.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid Account ID format' });
+        }
+        console.error('Error merging accounts:', err);
+        res.status(500).json({ error: err.message });
+    }
+};
+
 // ADD note to an account
 exports.addNote = async (req, res) => {
     try {
         const { id } = req.params;
         const { text, timestamp, author } = req.body;
-        const account = await BusinessAccount.findById(id);
+        const scope = await getAccountScope(req.user);
+        const account = await BusinessAccount.findOne(applyScope({ _id: id }, scope));
         if (!account) {
             return res.status(404).json({ message: 'Account not found' });
         }
+        const before = account.toObject();
         account.notes.push({ text, timestamp, author });
         await account.save();
+        await recordAudit(req, { entity: 'BusinessAccount', entityId: account._id, action: 'update', before, after: account });
         res.status(200).json({ message: 'Note added successfully', notes: account.notes });
     } catch (error) {
         res.status(500).json({ message: 'Failed to add note', error: error.message });
@@ -319,16 +839,16 @@ exports.getQuotations = async (req, res) => {
     res.status(501).json({ message: 'Get quotations not implemented yet.' });
 };
 
-// GET follow-ups by account ID
+// GET follow-ups by account ID (a view over the account's tasks)
 exports.getFollowUpsByAccountId = async (req, res) => {
     try {
         const { id } = req.params;
-        const account = await BusinessAccount.findById(id)
-            .populate('followUps.addedBy', 'name');
+        const scope = await getAccountScope(req.user);
+        const account = await BusinessAccount.findOne(applyScope({ _id: id }, scope));
         if (!account) {
             return res.status(404).json({ message: 'Account not found' });
         }
-        res.json(account.followUps);
+        res.json(await listFollowUps('BusinessAccount', account._id));
     } catch (error) {
         res.status(500).json({ message: 'Error fetching follow-ups', error: error.message });
     }
@@ -338,59 +858,78 @@ exports.getFollowUpsByAccountId = async (req, res) => {
 exports.addFollowUp = async (req, res) => {
     try {
         const { id } = req.params;
-        const { date, note, addedBy, status } = req.body;
-        const account = await BusinessAccount.findById(id);
+        const { date, note, status, assignedTo, priority, title } = req.body;
+        const addedBy = req.user.userId; // The follow-up author is always the logged-in user
+        const invalid = validateFollowUpChanges(req.body);
+        if (invalid) {
+            return res.status(400).json({ message: invalid });
+        }
+        const scope = await getAccountScope(req.user);
+        const account = await BusinessAccount.findOne(applyScope({ _id: id }, scope));
 
         if (!account) {
             return res.status(404).json({ message: 'Account not found' });
         }
 
-        account.followUps.push({ date, note, addedBy, status });
-        await account.save();
+        const task = await createFollowUp('BusinessAccount', account, { date, note, addedBy, status, assignedTo, priority, title });
+        await recordAudit(req, { entity: 'Task', entityId: task._id, action: 'create', after: task });
 
-        res.status(201).json({ message: 'Follow-up added successfully', followUps: account.followUps });
+        res.status(201).json({ message: 'Follow-up added successfully', followUps: await listFollowUps('BusinessAccount', account._id) });
     } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid follow-up', error: error.message });
+        }
         res.status(500).json({ message: 'Failed to add follow-up', error: error.message });
     }
 };
 
-// UPDATE follow-up by index
+// UPDATE follow-up (:index is the follow-up's task id, or its position for older clients)
 exports.updateFollowUp = async (req, res) => {
     const { id, index } = req.params;
-    const { date, note, status } = req.body;
 
     try {
-        const account = await BusinessAccount.findById(id);
-        if (!account || !account.followUps[index]) {
+        const invalid = validateFollowUpChanges(req.body);
+        if (invalid) {
+            return res.status(400).json({ message: invalid });
+        }
+        const scope = await getAccountScope(req.user);
+        const account = await BusinessAccount.findOne(applyScope({ _id: id }, scope));
+        const task = account && await findFollowUp('BusinessAccount', account._id, index);
+        if (!task) {
             return res.status(404).json({ message: 'Follow-up not found' });
         }
 
-        account.followUps[index].date = date;
-        account.followUps[index].note = note;
-        account.followUps[index].status = status;
-        await account.save();
+        const before = task.toObject();
+        applyFollowUpChanges(task, req.body, req.user.userId);
+        await task.save();
+        await recordAudit(req, { entity: 'Task', entityId: task._id, action: 'update', before, after: task });
 
-        res.status(200).json({ message: 'Follow-up updated', followUps: account.followUps });
+        res.status(200).json({ message: 'Follow-up updated', followUps: await listFollowUps('BusinessAccount', account._id) });
     } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid follow-up', error: error.message });
+        }
         res.status(500).json({ message: 'Error updating follow-up', error: error.message });
     }
 };
 
-// DELETE follow-up by index
+// DELETE follow-up (:index is the follow-up's task id, or its position for older clients)
 exports.deleteFollowUp = async (req, res) => {
     const { id, index } = req.params;
 
     try {
-        const account = await BusinessAccount.findById(id);
-        if (!account || !account.followUps[index]) {
+        const scope = await getAccountScope(req.user);
+        const account = await BusinessAccount.findOne(applyScope({ _id: id }, scope));
+        const task = account && await findFollowUp('BusinessAccount', account._id, index);
+        if (!task) {
             return res.status(404).json({ message: 'Follow-up not found' });
         }
 
-        account.followUps.splice(index, 1);
-        await account.save();
+        await task.deleteOne();
+        await recordAudit(req, { entity: 'Task', entityId: task._id, action: 'delete', before: task });
 
-        res.status(200).json({ message: 'Follow-up deleted', followUps: account.followUps });
+        res.status(200).json({ message: 'Follow-up deleted', followUps: await listFollowUps('BusinessAccount', account._id) });
     } catch (error) {
         res.status(500).json({ message: 'Error deleting follow-up', error: error.message });
     }
-};
\ No newline at end of file
+};
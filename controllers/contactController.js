@@ -0,0 +1,148 @@
+// controllers/contactController.js
+// Contact persons of a business account: /api/accounts/:id/contacts
+const BusinessAccount = require('../models/BusinessAccount');
+const { applyScope, getAccountScope } = require('../utils/dataScope');
+const { recordAudit } = require('../utils/audit');
+const { ensurePrimaryContact, setPrimaryContact, mirrorPrimary } = require('../utils/contacts');
+
+const CONTACT_FIELDS = ['name', 'email', 'phoneNumber', 'designation', 'preferences', 'notes'];
+
+const pick = (body) => Object.fromEntries(CONTACT_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+// Loads a visible account with its legacy contact turned into the primary contact
+const findAccount = async (req) => {
+  const scope = await getAccountScope(req.user);
+  const account = await BusinessAccount.findOne(applyScope({ _id: req.params.id }, scope));
+  if (account && ensurePrimaryContact(account)) {
+    await account.save();
+  }
+  return account;
+};
+
+const handleError = (res, err) => {
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ error: err.message });
+  }
+  if (err.kind === 'ObjectId' || err.name === 'CastError') {
+    return res.status(400).json({ message: 'Invalid ID format' });
+  }
+  res.status(500).json({ error: err.message });
+};
+
+// @desc    List the contacts of an account, primary first
+// @route   GET /api/accounts/:id/contacts
+// @access  Private
+exports.getContacts = async (req, res) => {
+  try {
+    const account = await findAccount(req);
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    res.json([...account.contacts].sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary)));
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// @desc    Add a contact. With isPrimary: true it becomes the account's primary contact.
+// @route   POST /api/accounts/:id/contacts
+// @access  Private
+exports.addContact = async (req, res) => {
+  try {
+    const account = await findAccount(req);
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const before = account.toObject();
+    account.contacts.push(pick(req.body));
+    const contact = account.contacts[account.contacts.length - 1];
+    if (req.body.isPrimary === true || account.contacts.length === 1) {
+      setPrimaryContact(account, contact._id);
+    }
+    await account.save();
+    await recordAudit(req, { entity: 'BusinessAccount', entityId: account._id, action: 'update', before, after: account });
+
+    res.status(201).json(contact);
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// @desc    Update a contact
+// @route   PUT /api/accounts/:id/contacts/:contactId
+// @access  Private
+exports.updateContact = async (req, res) => {
+  try {
+    const account = await findAccount(req);
+    const contact = account && account.contacts.id(req.params.contactId);
+    if (!contact) {
+      return res.status(404).json({ message: account ? 'Contact not found' : 'Account not found' });
+    }
+
+    const before = account.toObject();
+    contact.set(pick(req.body));
+    if (req.body.isPrimary === true) {
+      setPrimaryContact(account, contact._id);
+    } else if (contact.isPrimary) {
+      mirrorPrimary(account, contact);
+    }
+    await account.save();
+    await recordAudit(req, { entity: 'BusinessAccount', entityId: account._id, action: 'update', before, after: account });
+
+    res.json(contact);
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// @desc    Make a contact the primary contact of the account
+// @route   PATCH /api/accounts/:id/contacts/:contactId/primary
+// @access  Private
+exports.setPrimary = async (req, res) => {
+  try {
+    const account = await findAccount(req);
+    if (!account || !account.contacts.id(req.params.contactId)) {
+      return res.status(404).json({ message: account ? 'Contact not found' : 'Account not found' });
+    }
+
+    const before = account.toObject();
+    setPrimaryContact(account, req.params.contactId);
+    await account.save();
+    await recordAudit(req, { entity: 'BusinessAccount', entityId: account._id, action: 'update', before, after: account });
+
+    res.json(account.contacts);
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// @desc    Remove a contact. Removing the primary contact promotes the next one;
+//          the last contact of an account cannot be removed.
+// @route   DELETE /api/accounts/:id/contacts/:contactId
+// @access  Private
+exports.deleteContact = async (req, res) => {
+  try {
+    const account = await findAccount(req);
+    const contact = account && account.contacts.id(req.params.contactId);
+    if (!contact) {
+      return res.status(404).json({ message: account ? 'Contact not found' : 'Account not found' });
+    }
+    if (account.contacts.length === 1) {
+      return res.status(400).json({ message: 'An account needs at least one contact' });
+    }
+
+    const before = account.toObject();
+    const wasPrimary = contact.isPrimary;
+    account.contacts.pull(contact._id);
+    if (wasPrimary) {
+      setPrimaryContact(account, account.contacts[0]._id);
+    }
+    await account.save();
+    await recordAudit(req, { entity: 'BusinessAccount', entityId: account._id, action: 'update', before, after: account });
+
+    res.json({ message: 'Contact removed', contacts: account.contacts });
+  } catch (err) {
+    handleError(res, err);
+  }
+};
@@ -0,0 +1,112 @@
+// controllers/customFieldController.js
+const CustomFieldDefinition = require('../models/CustomFieldDefinition');
+const { recordAudit } = require('../utils/audit');
+const { validateDefinition } = require('../utils/customFields');
+
+const FIELD_ATTRIBUTES = ['entity', 'key', 'label', 'type', 'required', 'options', 'validation', 'helpText', 'order', 'active'];
+// Changing these would make stored values meaningless
+const IMMUTABLE_ATTRIBUTES = ['entity', 'key', 'type'];
+
+const pick = (body) => Object.fromEntries(FIELD_ATTRIBUTES.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+// @desc    Custom field definitions, in display order
+// @route   GET /api/custom-fields?entity=accounts|quotations|invoices|products&includeInactive=true
+// @access  Private
+exports.getFields = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.entity) query.entity = req.query.entity;
+    if (req.query.includeInactive !== 'true') query.active = true;
+
+    const fields = await CustomFieldDefinition.find(query).sort({ entity: 1, order: 1, label: 1 });
+    res.json(fields);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Define a custom field
+// @route   POST /api/custom-fields
+// @access  Private (Admin)
+exports.createField = async (req, res) => {
+  try {
+    const field = new CustomFieldDefinition({ ...pick(req.body), createdBy: req.user.userId });
+    const definitionError = validateDefinition(field.toObject());
+    if (definitionError) {
+      return res.status(400).json({ message: definitionError });
+    }
+
+    await field.save();
+    await recordAudit(req, { entity: 'CustomField', entityId: field._id, action: 'create', after: field });
+    res.status(201).json(field);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: `A custom field with key "${req.body.key}" already exists for ${req.body.entity}` });
+    }
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Update a custom field (label, required, options, validation, order, active).
+//          Entity, key and type cannot change once values may have been stored.
+// @route   PUT /api/custom-fields/:id
+// @access  Private (Admin)
+exports.updateField = async (req, res) => {
+  try {
+    const field = await CustomFieldDefinition.findById(req.params.id);
+    if (!field) {
+      return res.status(404).json({ message: 'Custom field not found' });
+    }
+
+    const changes = pick(req.body);
+    const immutable = IMMUTABLE_ATTRIBUTES.filter(name => changes[name] !== undefined && changes[name] !== field[name]);
+    if (immutable.length) {
+      return res.status(400).json({ message: `${immutable.join(', ')} cannot be changed; create a new field instead` });
+    }
+
+    const before = field.toObject();
+    field.set(changes);
+    const definitionError = validateDefinition(field.toObject());
+    if (definitionError) {
+      return res.status(400).json({ message: definitionError });
+    }
+
+    await field.save();
+    await recordAudit(req, { entity: 'CustomField', entityId: field._id, action: 'update', before, after: field });
+    res.json(field);
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid custom field ID format' });
+    }
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Deactivate a custom field. Stored values are kept and the field can be reactivated.
+// @route   DELETE /api/custom-fields/:id
+// @access  Private (Admin)
+exports.deactivateField = async (req, res) => {
+  try {
+    const field = await CustomFieldDefinition.findById(req.params.id);
+    if (!field) {
+      return res.status(404).json({ message: 'Custom field not found' });
+    }
+
+    const before = field.toObject();
+    field.active = false;
+    await field.save();
+    await recordAudit(req, { entity: 'CustomField', entityId: field._id, action: 'update', before, after: field });
+    res.json({ message: 'Custom field deactivated', field });
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid custom field ID format' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
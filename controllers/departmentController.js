@@ -1,9 +1,11 @@
 const Department = require('../models/Department');
+const { recordAudit } = require('../utils/audit');
 
 // Create Department
 exports.createDepartment = async (req, res) => {
   try {
     const newDepartment = await Department.create(req.body);
+    await recordAudit(req, { entity: 'Department', entityId: newDepartment._id, action: 'create', after: newDepartment });
     res.status(201).json(newDepartment);
   } catch (err) {
     if (err.code === 11000) { // Duplicate key error
@@ -42,10 +44,15 @@ exports.getSingleDepartment = async (req, res) => {
 // Update Department
 exports.updateDepartment = async (req, res) => {
   try {
+    const before = await Department.findById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
     const updatedDepartment = await Department.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
     if (!updatedDepartment) {
       return res.status(404).json({ message: 'Department not found' });
     }
+    await recordAudit(req, { entity: 'Department', entityId: updatedDepartment._id, action: 'update', before, after: updatedDepartment });
     res.json(updatedDepartment);
   } catch (err) {
     if (err.code === 11000) {
@@ -79,6 +86,7 @@ exports.deleteDepartment = async (req, res) => {
     if (!deletedDepartment) {
       return res.status(404).json({ message: 'Department not found' });
     }
+    await recordAudit(req, { entity: 'Department', entityId: deletedDepartment._id, action: 'delete', before: deletedDepartment });
     res.json({ message: 'Department deleted successfully' });
   } catch (err) {
     if (err.kind === 'ObjectId') {
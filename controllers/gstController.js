@@ -0,0 +1,33 @@
+// controllers/gstController.js
+const { STATE_CODES, parseGstin, toStateCode, gstTypeFor } = require('../utils/gstin');
+const { getSetting } = require('../utils/settings');
+
+// @desc    GST state codes, for place-of-supply and state pickers
+// @route   GET /api/gst/states
+// @access  Private
+exports.getStates = (req, res) => {
+  res.json(Object.entries(STATE_CODES).map(([code, name]) => ({ code, name })));
+};
+
+// @desc    Check a GSTIN and show what it implies: its state, the holder's PAN and, when the
+//          company's state is configured, whether supplying this customer is intrastate or interstate
+// @route   GET /api/gst/gstin/:gstin
+// @access  Private
+exports.checkGstin = async (req, res) => {
+  try {
+    const parsed = parseGstin(req.params.gstin);
+    if (parsed.error) {
+      return res.status(400).json({ valid: false, message: parsed.error });
+    }
+
+    const company = await getSetting('company');
+    const companyStateCode = company.gstin ? parseGstin(company.gstin).stateCode : toStateCode(company.stateCode);
+    res.json({
+      valid: true,
+      ...parsed,
+      gstType: companyStateCode ? gstTypeFor(companyStateCode, parsed.stateCode) : null
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -1,11 +1,38 @@
 const Invoice = require('../models/Invoice');
 const BusinessAccount = require('../models/BusinessAccount');
+const { applyScope, getAccountScope, getBusinessScope, canAccessAccount } = require('../utils/dataScope');
+const { recordAudit } = require('../utils/audit');
+const { listFollowUps, findFollowUp, createFollowUp, validateFollowUpChanges, applyFollowUpChanges } = require('../utils/followUps');
+const { buildInvoiceListQuery, validateListParams } = require('../utils/listQueries');
+const { exportList } = require('../utils/exporter');
+const { resolveListParams, viewSummary } = require('../utils/savedViews');
+const { prepareCustomFields } = require('../utils/customFields');
+const { resolveContact, invoiceContactFields } = require('../utils/contacts');
+const { touchesGst, resolveDocumentGst, computeDocumentTaxes } = require('../utils/documentGst');
+const { resolveBillingEntity, reserveNumber } = require('../utils/numbering');
+const { INVOICE_COPIES, generateInvoicePdf, parseCopies } = require('../utils/invoicePdf');
+const { sellerFor, contentHash, pdfFileName, storePdfVersion, storedPdfUrl, sendPdf } = require('../utils/documentPdf');
+const { SIGNED_URL_TTL_SECONDS, signedPdfUrl, isStorageConfigured } = require('../utils/s3Upload');
+
+// The account of each invoice, with its assignee and zone, for lists and exports
+const LIST_ACCOUNT_POPULATE = {
+  path: 'businessId',
+  select: 'businessName assignedTo zone',
+  populate: [{ path: 'assignedTo', select: 'name' }, { path: 'zone', select: 'name' }]
+};
+
+// The stored amounts of an invoice, from the tax engine's result
+const invoiceAmounts = ({ items, totals, hsnSummary, defaultRate }) => {
+  const { total, ...amounts } = totals;
+  return { items, ...amounts, totalAmount: total, taxRate: defaultRate, hsnSummary };
+};
 
 // GET all invoices
 exports.getAll = async (req, res) => {
   try {
-    // Fetch only 'Invoice' type documents
-    const invoices = await Invoice.find({ invoiceType: 'Invoice' })
+    // Fetch only 'Invoice' type documents for accounts the user can see
+    const scope = await getBusinessScope(req.user);
+    const invoices = await Invoice.find(applyScope({ invoiceType: 'Invoice' }, scope))
       .populate('businessId')
       .sort({ createdAt: -1 });
     res.json(invoices);
@@ -15,40 +42,95 @@ exports.getAll = async (req, res) => {
   }
 };
 
+// GET paginated and filtered invoices
+// @route   GET /api/invoices/paginated?page=&pageSize=&search=&businessId=&zone=&assignedTo=&paymentStatus=&isClosed=&from=&to=&sortBy=&sortOrder=&viewId=
+exports.getPaginated = async (req, res) => {
+  try {
+    const { params, view, error, status } = await resolveListParams(req.user, 'invoices', req.query);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    const { page = 1, pageSize = 10 } = params;
+    const limit = Math.min(parseInt(pageSize) || 10, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * limit;
+
+    const paramError = validateListParams(params);
+    if (paramError) {
+      return res.status(400).json({ message: paramError });
+    }
+
+    const { filter, sort } = await buildInvoiceListQuery(req.user, params);
+    const [total, invoices] = await Promise.all([
+      Invoice.countDocuments(filter),
+      Invoice.find(filter).populate(LIST_ACCOUNT_POPULATE).sort(sort).skip(skip).limit(limit)
+    ]);
+
+    res.json({ data: invoices, total, page: parseInt(page) || 1, pageSize: limit, view: viewSummary(view) });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Error fetching paginated invoices:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Export the filtered invoice list (same filters as /paginated) as CSV or XLSX
+// @route   GET /api/invoices/export?format=csv|xlsx&columns=...&search=&businessId=&zone=&assignedTo=&paymentStatus=&isClosed=&from=&to=&sortBy=&sortOrder=&viewId=
+exports.exportInvoices = async (req, res) => {
+  try {
+    await exportList(req, res, {
+      list: 'invoices',
+      Model: Invoice,
+      buildQuery: buildInvoiceListQuery,
+      populate: [LIST_ACCOUNT_POPULATE]
+    });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Error exporting invoices:', err);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
 // POST create a new invoice
 exports.create = async (req, res) => {
   try {
-    const { items, taxRate = 18, discountAmount = 0, ...rest } = req.body; // invoiceType is now fixed to 'Invoice'
-    let nextNumber;
-    let invoiceFields = {};
-
-    // Generate invoice number for 'Invoice' type only
-    const lastInvoice = await Invoice.findOne({ invoiceType: 'Invoice' }).sort({ createdAt: -1 });
-    nextNumber = lastInvoice?.invoiceNumber
-      ? `INV-${String(parseInt(lastInvoice.invoiceNumber.split('-')[1]) + 1).padStart(4, '0')}`
-      : 'INV-0001';
-    invoiceFields.invoiceNumber = nextNumber;
-
-    const calculatedItems = items || [];
-    const subTotal = calculatedItems.reduce((sum, item) => sum + (item.quantity * item.rate), 0);
-    const tax = subTotal * (taxRate / 100);
-    const totalAmount = subTotal + tax - discountAmount;
+    const { items, taxRate, discountAmount = 0, ...rest } = req.body; // invoiceType is now fixed to 'Invoice'
+
+    // Users may only invoice accounts they can see
+    if (rest.businessId && !(await canAccessAccount(req.user, rest.businessId))) {
+      return res.status(404).json({ error: 'Business account not found' });
+    }
+
+    // A contact picked from the account fills contactName, email and mobileNumber
+    if (rest.contactId) {
+      const { contact, error } = await resolveContact(rest.businessId, rest.contactId);
+      if (error) return res.status(400).json({ error });
+      Object.assign(req.body, invoiceContactFields(contact));
+      Object.assign(rest, invoiceContactFields(contact));
+    }
+    rest.customFields = await prepareCustomFields('invoices', rest.customFields);
+    // The billing entity picks the number series, and its GSTIN is the seller's unless one is given
+    const billing = await resolveBillingEntity(rest);
+    if (!rest.companyGSTIN && billing.gstin) rest.companyGSTIN = billing.gstin;
+    // Validates the GSTINs and decides intrastate (CGST + SGST) or interstate (IGST) supply
+    const gst = await resolveDocumentGst(rest);
+
+    // Per-line GST, discounts and the HSN-wise summary; client-sent amounts are ignored
+    const taxes = await computeDocumentTaxes(items, { gstType: gst.gstType, discountAmount, defaultRate: taxRate });
 
     const invoice = new Invoice({
       ...rest,
-      ...invoiceFields,
+      billingEntity: billing.code,
       invoiceType: 'Invoice', // Hardcode invoiceType to 'Invoice'
-      items: calculatedItems,
-      subTotal,
-      tax,
-      taxRate,
-      discountAmount,
-      totalAmount,
+      ...invoiceAmounts(taxes),
+      ...gst,
       businessName: req.body.businessName,
       customerName: req.body.customerName,
       customerAddress: req.body.customerAddress,
-      customerGSTIN: req.body.customerGSTIN,
-      companyGSTIN: req.body.companyGSTIN,
       companyName: req.body.companyName,
       companyAddress: req.body.companyAddress,
       contactPerson: req.body.contactPerson,
@@ -60,9 +142,23 @@ exports.create = async (req, res) => {
       mobileNumber: req.body.mobileNumber,
     });
 
-    const saved = await invoice.save();
+    // Numbered last, so only a failed save can use up a number, and that one is released
+    const reservation = await reserveNumber('invoice', { date: rest.date, entity: billing.code });
+    invoice.invoiceNumber = reservation.number;
+    let saved;
+    try {
+      saved = await invoice.save();
+    } catch (err) {
+      await reservation.release();
+      throw err;
+    }
+    await recordAudit(req, { entity: 'Invoice', entityId: saved._id, action: 'create', after: saved });
+    refreshInvoicePdf(saved, req.user.userId);
     res.status(201).json(saved);
   } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message, errors: err.details });
+    }
     console.error("Error creating invoice:", err);
     res.status(400).json({ error: err.message });
   }
@@ -80,7 +176,8 @@ exports.addPayment = async (req, res) => {
       return res.status(400).json({ error: 'Invalid payment amount. Must be a positive number.' });
     }
 
-    const invoice = await Invoice.findById(req.params.id);
+    const scope = await getBusinessScope(req.user);
+    const invoice = await Invoice.findOne(applyScope({ _id: req.params.id }, scope));
     if (!invoice) {
       return res.status(404).json({ error: 'Invoice not found' });
     }
@@ -96,6 +193,14 @@ exports.addPayment = async (req, res) => {
 
     invoice.paymentHistory.push(payment);
     await invoice.save();
+    // Payments are embedded in the invoice, so they are audited against the invoice id
+    await recordAudit(req, {
+      entity: 'Payment',
+      entityId: invoice._id,
+      action: 'create',
+      after: payment,
+      meta: { invoiceNumber: invoice.invoiceNumber }
+    });
 
     res.json(invoice);
   } catch (err) {
@@ -106,7 +211,8 @@ exports.addPayment = async (req, res) => {
 
 exports.getInvoiceById = async (req, res) => {
   try {
-    const invoice = await Invoice.findById(req.params.id).populate('businessId');
+    const scope = await getBusinessScope(req.user);
+    const invoice = await Invoice.findOne(applyScope({ _id: req.params.id }, scope)).populate('businessId');
     if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
     res.json(invoice);
   } catch (err) {
@@ -117,11 +223,24 @@ exports.getInvoiceById = async (req, res) => {
 
 exports.updatePaymentHistory = async (req, res) => {
   try {
+    const scope = await getBusinessScope(req.user);
+    const before = await Invoice.findOne(applyScope({ _id: req.params.id }, scope));
+    if (!before) return res.status(404).json({ error: 'Invoice not found' });
+
     const updated = await Invoice.findByIdAndUpdate(
-      req.params.id,
+      before._id,
       { paymentHistory: req.body.paymentHistory },
       { new: true }
     );
+    if (!updated) return res.status(404).json({ error: 'Invoice not found' });
+    await recordAudit(req, {
+      entity: 'Payment',
+      entityId: updated._id,
+      action: 'update',
+      before: { paymentHistory: before.paymentHistory },
+      after: { paymentHistory: updated.paymentHistory },
+      meta: { invoiceNumber: updated.invoiceNumber }
+    });
     res.json(updated);
   } catch (err) {
     console.error("Error updating payment history:", err);
@@ -132,31 +251,49 @@ exports.updatePaymentHistory = async (req, res) => {
 // PUT update invoice (blocked if isClosed is true)
 exports.update = async (req, res) => {
   try {
-    const invoice = await Invoice.findById(req.params.id);
+    const scope = await getBusinessScope(req.user);
+    const invoice = await Invoice.findOne(applyScope({ _id: req.params.id }, scope));
     if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
     if (invoice.isClosed) return res.status(403).json({ error: 'Invoice is locked and cannot be edited' });
+    if (req.body.businessId && !(await canAccessAccount(req.user, req.body.businessId))) {
+      return res.status(404).json({ error: 'Business account not found' });
+    }
+    if (req.body.contactId) {
+      const { contact, error } = await resolveContact(req.body.businessId || invoice.businessId, req.body.contactId);
+      if (error) return res.status(400).json({ error });
+      Object.assign(req.body, invoiceContactFields(contact));
+    }
+    if (req.body.customFields !== undefined) {
+      req.body.customFields = await prepareCustomFields('invoices', req.body.customFields, invoice.customFields);
+    }
 
-    const { items, taxRate = 18, discountAmount = 0, ...rest } = req.body;
+    const { items, taxRate, discountAmount, ...rest } = req.body;
+    // The number (and so its series) is fixed once issued; PDF versions are recorded by the PDF endpoints
+    for (const field of ['invoiceNumber', 'billingEntity', 'pdfKey', 'pdfVersion', 'pdfHash', 'pdfGeneratedAt', 'pdfHistory']) {
+      delete rest[field];
+    }
+
+    // GSTINs are checked again only when the customer, company or place of supply changes
+    const gst = touchesGst(rest) ? await resolveDocumentGst(rest, invoice) : {};
+    const gstType = gst.gstType || invoice.gstType;
 
-    const calculatedItems = items || [];
-    const subTotal = calculatedItems.reduce((sum, item) => sum + (item.quantity * item.rate), 0);
-    const tax = subTotal * (taxRate / 100);
-    const totalAmount = subTotal + tax - discountAmount;
+    // Amounts are always recomputed, from the stored lines and discount when not sent
+    const taxes = await computeDocumentTaxes(items !== undefined ? items : invoice.items, {
+      gstType,
+      discountAmount: discountAmount !== undefined ? discountAmount : invoice.discountAmount,
+      defaultRate: taxRate !== undefined ? taxRate : invoice.taxRate
+    });
 
     const updated = await Invoice.findByIdAndUpdate(
       req.params.id,
       {
         ...rest,
-        items: calculatedItems,
-        subTotal,
-        tax,
-        taxRate,
-        discountAmount,
-        totalAmount,
+        ...invoiceAmounts(taxes),
+        ...gst,
+        gstType,
         businessName: req.body.businessName,
         customerName: req.body.customerName,
         customerAddress: req.body.customerAddress,
-        companyGSTIN: req.body.companyGSTIN,
         companyName: req.body.companyName,
         companyAddress: req.body.companyAddress,
         contactPerson: req.body.contactPerson,
@@ -169,9 +306,14 @@ exports.update = async (req, res) => {
       },
       { new: true }
     );
+    await recordAudit(req, { entity: 'Invoice', entityId: invoice._id, action: 'update', before: invoice, after: updated });
+    refreshInvoicePdf(updated, req.user.userId);
 
     res.json(updated);
   } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message, errors: err.details });
+    }
     console.error("Error updating invoice:", err);
     res.status(400).json({ error: err.message });
   }
@@ -180,11 +322,13 @@ exports.update = async (req, res) => {
 // DELETE invoice (blocked if isClosed is true)
 exports.remove = async (req, res) => {
   try {
-    const invoice = await Invoice.findById(req.params.id);
+    const scope = await getBusinessScope(req.user);
+    const invoice = await Invoice.findOne(applyScope({ _id: req.params.id }, scope));
     if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
     if (invoice.isClosed) return res.status(403).json({ error: 'Invoice is locked and cannot be deleted' });
 
-    await Invoice.findByIdAndDelete(req.params.id);
+    await Invoice.findByIdAndDelete(invoice._id);
+    await recordAudit(req, { entity: 'Invoice', entityId: invoice._id, action: 'delete', before: invoice });
     res.json({ message: 'Deleted' });
   } catch (err) {
     console.error("Error removing invoice:", err);
@@ -192,10 +336,93 @@ exports.remove = async (req, res) => {
   }
 };
 
+// Renders all copies of an invoice and stores the PDF as a new version if its content changed (or `force`)
+const publishInvoicePdf = async (invoice, userId, { force = false } = {}) => {
+  const seller = await sellerFor(invoice.billingEntity);
+  const buffer = await generateInvoicePdf(invoice, seller);
+  const hash = contentHash(invoice, seller);
+  const stored = await storePdfVersion({
+    Model: Invoice, doc: invoice, number: invoice.invoiceNumber, folder: 'invoices', buffer, hash, userId, force
+  });
+  return { buffer, ...stored };
+};
+
+// Stores a new PDF version after a change, without holding up the response
+const refreshInvoicePdf = (invoice, userId) => {
+  if (!isStorageConfigured()) return;
+  publishInvoicePdf(invoice, userId).catch(err => console.error('Error storing invoice PDF:', err));
+};
+
+// GET the invoice as a PDF with the original, duplicate and triplicate copies
+// (?copies=original,duplicate for some of them; ?inline=true to display rather than download).
+// The full set is stored as a new version whenever the invoice changed. ?version=n redirects to a
+// short-lived signed URL of that stored version instead.
+exports.getPdf = async (req, res) => {
+  try {
+    const { copies, error } = parseCopies(req.query.copies);
+    if (error) return res.status(400).json({ error });
+
+    const scope = await getBusinessScope(req.user);
+    const invoice = await Invoice.findOne(applyScope({ _id: req.params.id }, scope));
+    if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+
+    if (req.query.version !== undefined) {
+      const url = await storedPdfUrl(invoice, Number(req.query.version));
+      if (!url) return res.status(404).json({ error: 'PDF version not found' });
+      return res.redirect(url);
+    }
+
+    let pdf;
+    if (copies.length < Object.keys(INVOICE_COPIES).length) {
+      // Only the full set is stored
+      pdf = { buffer: await generateInvoicePdf(invoice, await sellerFor(invoice.billingEntity), { copies }) };
+    } else {
+      try {
+        pdf = await publishInvoicePdf(invoice, req.user.userId);
+      } catch (storageError) {
+        // The download does not depend on storage being available
+        console.error('Error storing invoice PDF:', storageError);
+        pdf = { buffer: await generateInvoicePdf(invoice, await sellerFor(invoice.billingEntity)), pdfVersion: invoice.pdfVersion };
+      }
+    }
+    sendPdf(res, pdf.buffer, pdfFileName(invoice.invoiceNumber, pdf.pdfVersion || 0), {
+      inline: req.query.inline === 'true',
+      version: pdf.pdfVersion
+    });
+  } catch (err) {
+    console.error("Error generating invoice PDF:", err);
+    res.status(500).json({ error: 'Failed to generate invoice PDF' });
+  }
+};
+
+// POST regenerate the invoice PDF: always stores a new version and returns a signed URL for it
+exports.regeneratePdf = async (req, res) => {
+  try {
+    const scope = await getBusinessScope(req.user);
+    const invoice = await Invoice.findOne(applyScope({ _id: req.params.id }, scope));
+    if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+    if (!isStorageConfigured()) return res.status(503).json({ error: 'PDF storage is not configured' });
+
+    const { pdfKey, pdfVersion } = await publishInvoicePdf(invoice, req.user.userId, { force: true });
+    await recordAudit(req, {
+      entity: 'Invoice',
+      entityId: invoice._id,
+      action: 'pdf',
+      meta: { invoiceNumber: invoice.invoiceNumber, pdfVersion, pdfKey }
+    });
+    // The stored object is private; the link works for a few minutes
+    res.json({ pdfUrl: await signedPdfUrl(pdfKey), pdfVersion, expiresIn: SIGNED_URL_TTL_SECONDS });
+  } catch (err) {
+    console.error("Error regenerating invoice PDF:", err);
+    res.status(500).json({ error: 'Failed to regenerate invoice PDF' });
+  }
+};
+
 // GET active businesses
 exports.getActiveBusinesses = async (req, res) => {
   try {
-    const businesses = await BusinessAccount.find({ status: 'Active' });
+    const scope = await getAccountScope(req.user);
+    const businesses = await BusinessAccount.find(applyScope({ status: 'Active' }, scope));
     res.json(businesses);
   } catch (err) {
     console.error("Error getting active businesses:", err);
@@ -206,11 +433,23 @@ exports.getActiveBusinesses = async (req, res) => {
 // PATCH close invoice
 exports.closeInvoice = async (req, res) => {
   try {
-    const updated = await Invoice.findByIdAndUpdate(
-      req.params.id,
+    const scope = await getBusinessScope(req.user);
+    const before = await Invoice.findOneAndUpdate(
+      applyScope({ _id: req.params.id }, scope),
       { isClosed: true },
-      { new: true }
+      { new: false }
     );
+    if (!before) return res.status(404).json({ error: 'Invoice not found' });
+    const updated = await Invoice.findById(before._id);
+    await recordAudit(req, {
+      entity: 'Invoice',
+      entityId: updated._id,
+      action: 'close',
+      before: { isClosed: before.isClosed },
+      after: { isClosed: updated.isClosed }
+    });
+    // The stored PDF gains (or loses) the FINAL stamp
+    refreshInvoicePdf(updated, req.user.userId);
     res.json(updated);
   } catch (err) {
     console.error("Error closing invoice:", err);
@@ -221,11 +460,23 @@ exports.closeInvoice = async (req, res) => {
 // PATCH unlock invoice
 exports.unlockInvoice = async (req, res) => {
   try {
-    const updated = await Invoice.findByIdAndUpdate(
-      req.params.id,
+    const scope = await getBusinessScope(req.user);
+    const before = await Invoice.findOneAndUpdate(
+      applyScope({ _id: req.params.id }, scope),
       { isClosed: false },
-      { new: true }
+      { new: false }
     );
+    if (!before) return res.status(404).json({ error: 'Invoice not found' });
+    const updated = await Invoice.findById(before._id);
+    await recordAudit(req, {
+      entity: 'Invoice',
+      entityId: updated._id,
+      action: 'unlock',
+      before: { isClosed: before.isClosed },
+      after: { isClosed: updated.isClosed }
+    });
+    // The stored PDF gains (or loses) the FINAL stamp
+    refreshInvoicePdf(updated, req.user.userId);
     res.json(updated);
   } catch (err) {
     console.error("Error unlocking invoice:", err);
@@ -235,7 +486,8 @@ exports.unlockInvoice = async (req, res) => {
 
 exports.getInvoicesByBusinessId = async (req, res) => {
   try {
-    const invoices = await Invoice.find({ businessId: req.params.id });
+    const scope = await getBusinessScope(req.user);
+    const invoices = await Invoice.find(applyScope({ businessId: req.params.id }, scope));
     res.json(invoices);
   } catch (err) {
     console.error("Error getting invoices by business ID:", err);
@@ -245,7 +497,8 @@ exports.getInvoicesByBusinessId = async (req, res) => {
 
 exports.getPaymentsByBusinessId = async (req, res) => {
   try {
-    const invoices = await Invoice.find({ businessId: req.params.id });
+    const scope = await getBusinessScope(req.user);
+    const invoices = await Invoice.find(applyScope({ businessId: req.params.id }, scope));
     const allPayments = invoices.flatMap(inv => inv.paymentHistory || []);
     res.json(allPayments);
   } catch (err) {
@@ -254,15 +507,15 @@ exports.getPaymentsByBusinessId = async (req, res) => {
   }
 };
 
-// Get follow-ups by invoice ID (changed from account ID)
+// Get follow-ups by invoice ID (a view over the invoice's tasks)
 exports.getFollowUpsByInvoiceId = async (req, res) => {
   try {
-    const invoice = await Invoice.findById(req.params.id)
-      .populate('followUps.addedBy', 'name email');
+    const scope = await getBusinessScope(req.user);
+    const invoice = await Invoice.findOne(applyScope({ _id: req.params.id }, scope));
 
     if (!invoice) return res.status(404).json({ message: 'Invoice not found' });
 
-    res.json(invoice.followUps || []);
+    res.json(await listFollowUps('Invoice', invoice._id));
   } catch (err) {
     console.error("Error fetching follow-ups by invoice ID:", err);
     res.status(500).json({ message: 'Failed to fetch follow-ups', error: err.message });
@@ -273,62 +526,77 @@ exports.getFollowUpsByInvoiceId = async (req, res) => {
 exports.addFollowUp = async (req, res) => {
   try {
     const { id } = req.params;
-    const { date, note, addedBy } = req.body;
+    const { date, note, status, assignedTo, priority, title } = req.body;
 
-    if (!date || !note || !addedBy) {
-      return res.status(400).json({ message: 'Date, note, and addedBy are required.' });
+    if (!date || !note) {
+      return res.status(400).json({ message: 'Date and note are required.' });
     }
+    const invalid = validateFollowUpChanges(req.body);
+    if (invalid) return res.status(400).json({ message: invalid });
 
-    const invoice = await Invoice.findById(id);
+    const scope = await getBusinessScope(req.user);
+    const invoice = await Invoice.findOne(applyScope({ _id: id }, scope));
     if (!invoice) return res.status(404).json({ message: 'Invoice not found.' });
 
-    invoice.followUps.push({ date, note, addedBy });
-    await invoice.save();
+    const task = await createFollowUp('Invoice', invoice, { date, note, addedBy: req.user.userId, status, assignedTo, priority, title });
+    await recordAudit(req, { entity: 'Task', entityId: task._id, action: 'create', after: task });
 
-    res.status(200).json({ message: 'Follow-up added', followUps: invoice.followUps });
+    res.status(200).json({ message: 'Follow-up added', followUps: await listFollowUps('Invoice', invoice._id) });
   } catch (error) {
     console.error("Error adding follow-up:", error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid follow-up', error: error.message });
+    }
     res.status(500).json({ message: 'Failed to add follow-up', error: error.message });
   }
 };
 
-// UPDATE follow-up by index on an invoice
+// UPDATE follow-up on an invoice (:index is the task id, or its position for older clients)
 exports.updateFollowUp = async (req, res) => {
   const { id, index } = req.params;
-  const { date, note, status } = req.body;
 
   try {
-    const invoice = await Invoice.findById(id);
-    if (!invoice || !invoice.followUps[index]) {
+    const invalid = validateFollowUpChanges(req.body);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const scope = await getBusinessScope(req.user);
+    const invoice = await Invoice.findOne(applyScope({ _id: id }, scope));
+    const task = invoice && await findFollowUp('Invoice', invoice._id, index);
+    if (!task) {
       return res.status(404).json({ message: 'Follow-up not found.' });
     }
 
-    invoice.followUps[index].date = date;
-    invoice.followUps[index].note = note;
-    invoice.followUps[index].status = status;
-    await invoice.save();
+    const before = task.toObject();
+    applyFollowUpChanges(task, req.body, req.user.userId);
+    await task.save();
+    await recordAudit(req, { entity: 'Task', entityId: task._id, action: 'update', before, after: task });
 
-    res.status(200).json({ message: 'Follow-up updated', followUps: invoice.followUps });
+    res.status(200).json({ message: 'Follow-up updated', followUps: await listFollowUps('Invoice', invoice._id) });
   } catch (error) {
     console.error("Error updating follow-up:", error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid follow-up', error: error.message });
+    }
     res.status(500).json({ message: 'Error updating follow-up', error: error.message });
   }
 };
 
-// DELETE follow-up by index on an invoice
+// DELETE follow-up on an invoice (:index is the task id, or its position for older clients)
 exports.deleteFollowUp = async (req, res) => {
   const { id, index } = req.params;
 
   try {
-    const invoice = await Invoice.findById(id);
-    if (!invoice || !invoice.followUps[index]) {
+    const scope = await getBusinessScope(req.user);
+    const invoice = await Invoice.findOne(applyScope({ _id: id }, scope));
+    const task = invoice && await findFollowUp('Invoice', invoice._id, index);
+    if (!task) {
       return res.status(404).json({ message: 'Follow-up not found.' });
     }
 
-    invoice.followUps.splice(index, 1);
-    await invoice.save();
+    await task.deleteOne();
+    await recordAudit(req, { entity: 'Task', entityId: task._id, action: 'delete', before: task });
 
-    res.status(200).json({ message: 'Follow-up deleted', followUps: invoice.followUps });
+    res.status(200).json({ message: 'Follow-up deleted', followUps: await listFollowUps('Invoice', invoice._id) });
   } catch (error) {
     console.error("Error deleting follow-up:", error);
     res.status(500).json({ message: 'Error deleting follow-up', error: error.message });
@@ -340,7 +608,8 @@ exports.deletePayment = async (req, res) => {
   try {
     const { invoiceId, paymentId } = req.params;
 
-    const invoice = await Invoice.findById(invoiceId);
+    const scope = await getBusinessScope(req.user);
+    const invoice = await Invoice.findOne(applyScope({ _id: invoiceId }, scope));
     if (!invoice) {
       return res.status(404).json({ error: 'Invoice not found' });
     }
@@ -351,9 +620,16 @@ exports.deletePayment = async (req, res) => {
       return res.status(404).json({ error: 'Payment not found in this invoice' });
     }
 
-    invoice.paymentHistory.splice(paymentIndex, 1);
+    const [removedPayment] = invoice.paymentHistory.splice(paymentIndex, 1);
 
     await invoice.save();
+    await recordAudit(req, {
+      entity: 'Payment',
+      entityId: invoice._id,
+      action: 'delete',
+      before: removedPayment,
+      meta: { invoiceNumber: invoice.invoiceNumber }
+    });
 
     res.json({ message: 'Payment deleted successfully', invoice });
   } catch (err) {
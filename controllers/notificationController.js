@@ -0,0 +1,84 @@
+// controllers/notificationController.js
+const Notification = require('../models/Notification');
+const JobRun = require('../models/JobRun');
+const { IN_APP } = require('../utils/notifier');
+
+// @desc    The logged-in user's in-app notifications, newest first
+// @route   GET /api/notifications?unread=true&page=&pageSize=
+// @access  Private
+exports.getNotifications = async (req, res) => {
+  try {
+    const { unread, page = 1, pageSize = 20 } = req.query;
+
+    const query = { user: req.user.userId, channels: IN_APP };
+    if (unread === 'true') query.readAt = null;
+
+    const limit = Math.min(parseInt(pageSize) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * limit;
+
+    const [total, unreadCount, notifications] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: req.user.userId, channels: IN_APP, readAt: null }),
+      Notification.find(query).select('-deliveries -dedupeKey').sort({ createdAt: -1 }).skip(skip).limit(limit)
+    ]);
+
+    res.json({ data: notifications, total, unread: unreadCount, page: parseInt(page) || 1, pageSize: limit });
+  } catch (err) {
+    console.error('Error fetching notifications:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Mark one notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+exports.markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.userId },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    ).select('-deliveries -dedupeKey');
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.json(notification);
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid Notification ID format' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Mark all of the user's notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+exports.markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    res.json({ message: 'Notifications marked as read', updated: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Recent scheduled job runs
+// @route   GET /api/notifications/job-runs?job=&status=&limit=
+// @access  Private (Admin)
+exports.getJobRuns = async (req, res) => {
+  try {
+    const { job, status, limit = 50 } = req.query;
+    const query = {};
+    if (job) query.job = job;
+    if (status) query.status = status;
+
+    const runs = await JobRun.find(query).sort({ startedAt: -1 }).limit(Math.min(parseInt(limit) || 50, 200));
+    res.json(runs);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
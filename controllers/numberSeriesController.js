@@ -0,0 +1,84 @@
+// controllers/numberSeriesController.js
+const Counter = require('../models/Counter');
+const { recordAudit } = require('../utils/audit');
+const { seriesFor, peekNextNumber } = require('../utils/numbering');
+const { formatNumber } = require('../utils/numberFormat');
+
+// @desc    The number series in use, newest financial year first, with the next number of each
+// @route   GET /api/number-series?docType=&financialYear=2026-27
+// @access  Private
+exports.getSeries = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.docType) query.docType = req.query.docType;
+    if (req.query.financialYear) query.financialYear = req.query.financialYear;
+
+    const counters = await Counter.find(query).sort({ financialYear: -1, docType: 1, entity: 1 }).lean();
+    res.json(counters.map(counter => ({
+      ...counter,
+      nextSeq: counter.released[0] || counter.seq + 1
+    })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    The number the next document would get, without using it up (e.g. to show on a form)
+// @route   GET /api/number-series/next?docType=invoice|quotation&billingEntity=&date=
+// @access  Private
+exports.getNextNumber = async (req, res) => {
+  try {
+    const next = await peekNextNumber(req.query.docType, { date: req.query.date, entity: req.query.billingEntity || '' });
+    res.json({ docType: req.query.docType, ...next });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Move a series on, e.g. to continue from the last number issued by a previous system.
+//          Series only move forward, so numbers already issued are never handed out again.
+// @route   PUT /api/number-series  { docType, billingEntity, date, nextSeq }
+// @access  Private (Admin)
+exports.setNextNumber = async (req, res) => {
+  try {
+    const { docType, billingEntity = '', date } = req.body;
+    const nextSeq = Number(req.body.nextSeq);
+    if (!Number.isInteger(nextSeq) || nextSeq < 1) {
+      return res.status(400).json({ message: 'nextSeq must be a whole number of at least 1' });
+    }
+
+    const series = await seriesFor(docType, { date, entity: billingEntity });
+    const before = await Counter.findOne({ key: series.key }).lean();
+    const current = before ? before.seq : 0;
+    if (nextSeq <= current) {
+      return res.status(400).json({ message: `Series ${series.key} has already issued up to ${current}; nextSeq must be more than that` });
+    }
+
+    // Released numbers lie below the new start and would be issued out of order, so they are dropped
+    const counter = await Counter.findOneAndUpdate(
+      { key: series.key },
+      {
+        $set: { seq: nextSeq - 1, released: [] },
+        $setOnInsert: { docType: series.docType, entity: series.entity, financialYear: series.fy.label }
+      },
+      { upsert: true, new: true }
+    );
+    await recordAudit(req, {
+      entity: 'NumberSeries', entityId: counter._id, action: 'update',
+      before: before ? { seq: before.seq, released: before.released } : { seq: 0 },
+      after: { seq: counter.seq, released: counter.released }
+    });
+    res.json({
+      ...counter.toObject(),
+      nextNumber: formatNumber(series.format, { seq: nextSeq, fy: series.fy, entity: series.entity })
+    });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
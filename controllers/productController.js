@@ -1,13 +1,18 @@
 // productController.js
 const Product = require('../models/Product'); // Assuming your Product Mongoose model is here
 const { v4: uuidv4 } = require('uuid'); //Import uuid
+const { recordAudit } = require('../utils/audit');
+const { prepareCustomFields, customFieldFilter } = require('../utils/customFields');
 
-// GET all products
+// GET all products (optionally filtered by custom fields: ?cf_<key>=)
 exports.getAllProducts = async (req, res) => {
   try {
-    const products = await Product.find().sort({ createdAt: -1 });
+    const products = await Product.find(await customFieldFilter('products', req.query)).sort({ createdAt: -1 });
     res.json(products);
   } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message });
+    }
     console.error("Error fetching all products:", err);
     res.status(500).json({ error: 'Failed to fetch products. Please try again later.' });
   }
@@ -34,11 +39,19 @@ exports.createProduct = async (req, res) => {
     const newProductId = uuidv4(); //
     const newProduct = new Product({
       ...req.body,
+      customFields: await prepareCustomFields('products', req.body.customFields),
       product_id: newProductId //Assign the generated ID
     });
     const savedProduct = await newProduct.save();
+    await recordAudit(req, { entity: 'Product', entityId: savedProduct._id, action: 'create', after: savedProduct });
     res.status(201).json(savedProduct);
   } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message, errors: err.details });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
     console.error("Error creating product:", err);
     res.status(400).json({ error: 'Failed to create product. Please check your input.' });
   }
@@ -47,12 +60,26 @@ exports.createProduct = async (req, res) => {
 // PUT update a product
 exports.updateProduct = async (req, res) => {
   try {
+    const before = await Product.findById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: 'Product not found.' });
+    }
+    if (req.body.customFields !== undefined) {
+      req.body.customFields = await prepareCustomFields('products', req.body.customFields, before.customFields);
+    }
     const updatedProduct = await Product.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
     if (!updatedProduct) {
       return res.status(404).json({ error: 'Product not found.' });
     }
+    await recordAudit(req, { entity: 'Product', entityId: updatedProduct._id, action: 'update', before, after: updatedProduct });
     res.json(updatedProduct);
   } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message, errors: err.details });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
     console.error("Error updating product:", err);
     res.status(400).json({ error: 'Failed to update product. Please check your input.' });
   }
@@ -65,6 +92,7 @@ exports.deleteProduct = async (req, res) => {
     if (!deletedProduct) {
       return res.status(404).json({ error: 'Product not found.' });
     }
+    await recordAudit(req, { entity: 'Product', entityId: deletedProduct._id, action: 'delete', before: deletedProduct });
     res.json({ message: "Product deleted successfully." });
   } catch (err) {
     console.error("Error deleting product:", err);
@@ -76,6 +104,7 @@ exports.deleteProduct = async (req, res) => {
 exports.updateProductNotes = async (req, res) => {
   try {
     const { notes } = req.body; // Assuming notes are sent in the request body
+    const before = await Product.findById(req.params.id);
     const updatedProduct = await Product.findByIdAndUpdate(
       req.params.id,
       { notes: notes }, // Update only the notes field
@@ -84,6 +113,7 @@ exports.updateProductNotes = async (req, res) => {
     if (!updatedProduct) {
       return res.status(404).json({ error: 'Product not found.' });
     }
+    await recordAudit(req, { entity: 'Product', entityId: updatedProduct._id, action: 'update', before, after: updatedProduct });
     res.json(updatedProduct);
   } catch (err) {
     console.error("Error updating product notes:", err);
@@ -1,11 +1,44 @@
 // quotationController.js
 const Quotation = require('../models/Quotation');
 const Business = require('../models/BusinessAccount'); // Ensure BusinessAccount is imported if used by getActiveBusinesses
+const { applyScope, getAccountScope, getBusinessScope, canAccessAccount } = require('../utils/dataScope');
+const { recordAudit } = require('../utils/audit');
+const { listFollowUps, findFollowUp, createFollowUp, validateFollowUpChanges, applyFollowUpChanges } = require('../utils/followUps');
+const { buildQuotationListQuery, validateListParams } = require('../utils/listQueries');
+const { exportList } = require('../utils/exporter');
+const { resolveListParams, viewSummary } = require('../utils/savedViews');
+const { prepareCustomFields } = require('../utils/customFields');
+const { resolveContact, quotationContactFields } = require('../utils/contacts');
+const { touchesGst, resolveDocumentGst, touchesTax, computeDocumentTaxes } = require('../utils/documentGst');
+const { resolveBillingEntity, reserveNumber } = require('../utils/numbering');
+const generatePdfBuffer = require('../utils/generatePdfBuffer');
+const { sellerFor, contentHash, pdfFileName, storePdfVersion, storedPdfUrl, sendPdf } = require('../utils/documentPdf');
+const { SIGNED_URL_TTL_SECONDS, signedPdfUrl, isStorageConfigured } = require('../utils/s3Upload');
+
+// The account of each quotation, with its assignee and zone, for lists and exports
+const LIST_ACCOUNT_POPULATE = {
+  path: 'businessId',
+  select: 'businessName assignedTo zone',
+  populate: [{ path: 'assignedTo', select: 'name' }, { path: 'zone', select: 'name' }]
+};
+
+// Quotations keep the customer's GSTIN in `gstin` and have no company GSTIN of their own: the
+// seller is their billing entity, or the company settings
+const quotationGst = async (body, billing, before = null) => {
+  const input = { ...body, customerGSTIN: body.gstin, companyGSTIN: billing.gstin || undefined };
+  const existing = before && { ...before.toObject(), customerGSTIN: before.gstin };
+  const { customerGSTIN, companyGSTIN, ...fields } = await resolveDocumentGst(input, existing);
+  return { ...fields, gstin: customerGSTIN };
+};
+
+// The stored amounts of a quotation, from the tax engine's result
+const quotationAmounts = ({ items, totals, hsnSummary }) => ({ items, ...totals, hsnSummary });
 
 // GET all quotations
 exports.getAll = async (req, res) => {
   try {
-    const quotations = await Quotation.find().sort({ createdAt: -1 }); // Fetch all quotations, sorted by creation date descending
+    const scope = await getBusinessScope(req.user); // Only quotations for accounts the user can see
+    const quotations = await Quotation.find(scope).sort({ createdAt: -1 }); // Fetch all quotations, sorted by creation date descending
     res.json(quotations);
   } catch (err) {
     console.error("Error fetching all quotations:", err); // Log the detailed error for debugging
@@ -13,30 +46,111 @@ exports.getAll = async (req, res) => {
   }
 };
 
+// GET paginated and filtered quotations
+// @route   GET /api/quotations/paginated?page=&pageSize=&search=&businessId=&zone=&assignedTo=&gstType=&from=&to=&sortBy=&sortOrder=&viewId=
+exports.getPaginated = async (req, res) => {
+  try {
+    const { params, view, error, status } = await resolveListParams(req.user, 'quotations', req.query);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    const { page = 1, pageSize = 10 } = params;
+    const limit = Math.min(parseInt(pageSize) || 10, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * limit;
+
+    const paramError = validateListParams(params);
+    if (paramError) {
+      return res.status(400).json({ message: paramError });
+    }
+
+    const { filter, sort } = await buildQuotationListQuery(req.user, params);
+    const [total, quotations] = await Promise.all([
+      Quotation.countDocuments(filter),
+      Quotation.find(filter).populate(LIST_ACCOUNT_POPULATE).sort(sort).skip(skip).limit(limit)
+    ]);
+
+    res.json({ data: quotations, total, page: parseInt(page) || 1, pageSize: limit, view: viewSummary(view) });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Error fetching paginated quotations:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Export the filtered quotation list (same filters as /paginated) as CSV or XLSX
+// @route   GET /api/quotations/export?format=csv|xlsx&columns=...&search=&businessId=&zone=&assignedTo=&gstType=&from=&to=&sortBy=&sortOrder=&viewId=
+exports.exportQuotations = async (req, res) => {
+  try {
+    await exportList(req, res, {
+      list: 'quotations',
+      Model: Quotation,
+      buildQuery: buildQuotationListQuery,
+      populate: [LIST_ACCOUNT_POPULATE]
+    });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Error exporting quotations:', err);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
 // POST create a quotation with auto-generated quotation number
 exports.create = async (req, res) => {
   try {
-    // Find the last quotation to determine the next sequential number
-    const lastQuotation = await Quotation.findOne().sort({ createdAt: -1 });
-    let nextNumber = "Q-0001"; // Default starting quotation number
+    // Users may only quote against accounts they can see
+    if (!req.body.businessId || !(await canAccessAccount(req.user, req.body.businessId))) {
+      return res.status(404).json({ error: 'Business account not found.' });
+    }
 
-    if (lastQuotation && lastQuotation.quotationNumber) {
-      // Extract the numeric part, increment it, and reformat with leading zeros
-      const lastNumber = parseInt(lastQuotation.quotationNumber.split('-')[1], 10);
-      const newNumber = lastNumber + 1;
-      nextNumber = `Q-${String(newNumber).padStart(4, '0')}`;
+    // A contact picked from the account replaces free-text contact details
+    if (req.body.contactId) {
+      const { contact, error } = await resolveContact(req.body.businessId, req.body.contactId);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      Object.assign(req.body, quotationContactFields(contact));
     }
+    req.body.customFields = await prepareCustomFields('quotations', req.body.customFields);
+    // The billing entity picks the number series and the seller's GSTIN
+    const billing = await resolveBillingEntity({ billingEntity: req.body.billingEntity });
+    // Validates the GSTIN and decides intrastate or interstate supply
+    Object.assign(req.body, await quotationGst(req.body, billing));
+    // Per-line GST, discounts and the HSN-wise summary; client-sent amounts are ignored
+    Object.assign(req.body, quotationAmounts(await computeDocumentTaxes(req.body.items, {
+      gstType: req.body.gstType,
+      discountAmount: req.body.discountAmount,
+      defaultRate: req.body.taxRate
+    })));
 
-    // Create a new Quotation instance with data from request body and generated number
+    // Numbered last, from the quotation series of its billing entity and financial year; a
+    // number whose quotation fails to save is released for the next one
+    const reservation = await reserveNumber('quotation', { date: req.body.date, entity: billing.code });
     const newQuotation = new Quotation({
       ...req.body,
-      quotationNumber: nextNumber
+      billingEntity: billing.code,
+      quotationNumber: reservation.number
     });
 
     // Save the new quotation to the database
-    const saved = await newQuotation.save();
+    let saved;
+    try {
+      saved = await newQuotation.save();
+    } catch (err) {
+      await reservation.release();
+      throw err;
+    }
+    await recordAudit(req, { entity: 'Quotation', entityId: saved._id, action: 'create', after: saved });
+    refreshQuotationPdf(saved, req.user.userId);
     res.status(201).json(saved); // Respond with the created quotation and 201 Created status
   } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message, errors: err.details });
+    }
     // Handle specific MongoDB duplicate key error (error code 11000)
     if (err.code === 11000) {
         console.error("Duplicate quotation number attempt or race condition:", err); // Log the specific error
@@ -52,12 +166,61 @@ exports.create = async (req, res) => {
 exports.update = async (req, res) => {
   try {
     // Find the quotation by ID and update it. 'new: true' returns the updated document.
-    const updated = await Quotation.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true }); // runValidators to ensure schema validation on update
-    if (!updated) {
+    if (req.body.businessId && !(await canAccessAccount(req.user, req.body.businessId))) {
+      return res.status(404).json({ error: 'Business account not found.' });
+    }
+
+    const scope = await getBusinessScope(req.user);
+    const before = await Quotation.findOne(applyScope({ _id: req.params.id }, scope));
+    if (!before) {
       return res.status(404).json({ error: 'Quotation not found.' }); // If no quotation found for the ID
     }
+    if (req.body.contactId) {
+      const { contact, error } = await resolveContact(req.body.businessId || before.businessId, req.body.contactId);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      Object.assign(req.body, quotationContactFields(contact));
+    }
+    if (req.body.customFields !== undefined) {
+      req.body.customFields = await prepareCustomFields('quotations', req.body.customFields, before.customFields);
+    }
+    // The number (and so its series) is fixed once issued; PDF versions are recorded by the PDF endpoints
+    for (const field of ['quotationNumber', 'billingEntity', 'pdfKey', 'pdfUrl', 'pdfVersion', 'pdfHash', 'pdfGeneratedAt', 'pdfHistory']) {
+      delete req.body[field];
+    }
+    const gstChanged = touchesGst({ ...req.body, customerGSTIN: req.body.gstin });
+    if (gstChanged) {
+      const billing = await resolveBillingEntity({ billingEntity: before.billingEntity });
+      Object.assign(req.body, await quotationGst(req.body, billing, before));
+    } else {
+      delete req.body.gstType;
+    }
+    // Amounts follow the lines, the discount and the supply type; client-sent amounts are ignored
+    for (const field of ['subTotal', 'totalDiscount', 'taxableValue', 'tax', 'cgstAmount', 'sgstAmount', 'igstAmount', 'roundOff', 'total', 'hsnSummary']) {
+      delete req.body[field];
+    }
+    if (gstChanged || touchesTax(req.body)) {
+      Object.assign(req.body, quotationAmounts(await computeDocumentTaxes(
+        req.body.items !== undefined ? req.body.items : before.items,
+        {
+          gstType: req.body.gstType || before.gstType,
+          discountAmount: req.body.discountAmount !== undefined ? req.body.discountAmount : before.discountAmount,
+          defaultRate: req.body.taxRate
+        }
+      )));
+    }
+    const updated = await Quotation.findByIdAndUpdate(before._id, req.body, { new: true, runValidators: true }); // runValidators to ensure schema validation on update
+    if (!updated) {
+      return res.status(404).json({ error: 'Quotation not found.' });
+    }
+    await recordAudit(req, { entity: 'Quotation', entityId: updated._id, action: 'update', before, after: updated });
+    refreshQuotationPdf(updated, req.user.userId);
     res.json(updated); // Respond with the updated quotation
   } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message, errors: err.details });
+    }
     console.error("Error updating quotation:", err); // Log the detailed error for debugging
     res.status(400).json({ error: 'Failed to update quotation. Please check your input.' });
   }
@@ -67,10 +230,12 @@ exports.update = async (req, res) => {
 exports.remove = async (req, res) => {
   try {
     // Find the quotation by ID and delete it
-    const deleted = await Quotation.findByIdAndDelete(req.params.id);
+    const scope = await getBusinessScope(req.user);
+    const deleted = await Quotation.findOneAndDelete(applyScope({ _id: req.params.id }, scope));
     if (!deleted) {
       return res.status(404).json({ error: 'Quotation not found.' }); // If no quotation found for the ID
     }
+    await recordAudit(req, { entity: 'Quotation', entityId: deleted._id, action: 'delete', before: deleted });
     res.json({ message: "Quotation deleted successfully." }); // Respond with success message
   } catch (err) {
     console.error("Error deleting quotation:", err); // Log the detailed error for debugging
@@ -78,13 +243,96 @@ exports.remove = async (req, res) => {
   }
 };
 
+// Renders a quotation and stores the PDF as a new version if its content changed (or `force`)
+const publishQuotationPdf = async (quotation, userId, { force = false } = {}) => {
+  const seller = await sellerFor(quotation.billingEntity);
+  const buffer = await generatePdfBuffer(quotation, seller);
+  const hash = contentHash(quotation, seller);
+  const stored = await storePdfVersion({
+    Model: Quotation, doc: quotation, number: quotation.quotationNumber, folder: 'quotations', buffer, hash, userId, force,
+    downloadPath: `/api/quotations/${quotation._id}/pdf`
+  });
+  return { buffer, ...stored };
+};
+
+// Stores a new PDF version after a change, without holding up the response
+const refreshQuotationPdf = (quotation, userId) => {
+  if (!isStorageConfigured()) return;
+  publishQuotationPdf(quotation, userId).catch(err => console.error('Error storing quotation PDF:', err));
+};
+
+// GET the quotation as a PDF (?inline=true to display rather than download). The PDF is stored
+// as a new version whenever the quotation changed since the last one. ?version=n redirects to a
+// short-lived signed URL of that stored version instead.
+exports.getPdf = async (req, res) => {
+  try {
+    const scope = await getBusinessScope(req.user);
+    const quotation = await Quotation.findOne(applyScope({ _id: req.params.id }, scope));
+    if (!quotation) {
+      return res.status(404).json({ error: 'Quotation not found.' });
+    }
+
+    if (req.query.version !== undefined) {
+      const url = await storedPdfUrl(quotation, Number(req.query.version));
+      if (!url) return res.status(404).json({ error: 'PDF version not found.' });
+      return res.redirect(url);
+    }
+
+    let pdf;
+    try {
+      pdf = await publishQuotationPdf(quotation, req.user.userId);
+    } catch (storageError) {
+      // The download does not depend on storage being available
+      console.error('Error storing quotation PDF:', storageError);
+      pdf = { buffer: await generatePdfBuffer(quotation, await sellerFor(quotation.billingEntity)), pdfVersion: quotation.pdfVersion };
+    }
+    sendPdf(res, pdf.buffer, pdfFileName(quotation.quotationNumber, pdf.pdfVersion || 0), {
+      inline: req.query.inline === 'true',
+      version: pdf.pdfVersion
+    });
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ error: 'Invalid quotation ID format.' });
+    }
+    console.error('Error generating quotation PDF:', err);
+    res.status(500).json({ error: 'Failed to generate quotation PDF.' });
+  }
+};
+
+// POST regenerate the quotation PDF: always stores a new version and returns a signed URL for it
+exports.regeneratePdf = async (req, res) => {
+  try {
+    const scope = await getBusinessScope(req.user);
+    const quotation = await Quotation.findOne(applyScope({ _id: req.params.id }, scope));
+    if (!quotation) {
+      return res.status(404).json({ error: 'Quotation not found.' });
+    }
+
+    if (!isStorageConfigured()) {
+      return res.status(503).json({ error: 'PDF storage is not configured.' });
+    }
+
+    const { pdfKey, pdfVersion } = await publishQuotationPdf(quotation, req.user.userId, { force: true });
+    await recordAudit(req, {
+      entity: 'Quotation', entityId: quotation._id, action: 'pdf',
+      meta: { quotationNumber: quotation.quotationNumber, pdfVersion, pdfKey }
+    });
+    // The stored object is private; the link works for a few minutes
+    res.json({ pdfUrl: await signedPdfUrl(pdfKey), pdfVersion, expiresIn: SIGNED_URL_TTL_SECONDS });
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ error: 'Invalid quotation ID format.' });
+    }
+    console.error('Error regenerating quotation PDF:', err);
+    res.status(500).json({ error: 'Failed to regenerate quotation PDF.' });
+  }
+};
+
 // GET active businesses
 exports.getActiveBusinesses = async (req, res) => {
   try {
-    // Ensure BusinessAccount model is imported if this function is used.
-    // If not, you might need to import it here or move this function.
-    // const BusinessAccount = require('../models/BusinessAccount'); // Uncomment if needed
-    const businesses = await Business.find({ status: 'Active' }); // Find businesses with 'Active' status
+    const scope = await getAccountScope(req.user);
+    const businesses = await Business.find(applyScope({ status: 'Active' }, scope)); // Find visible businesses with 'Active' status
     res.json(businesses);
   } catch (err) {
     console.error("Error fetching active businesses:", err); // Log the detailed error for debugging
@@ -96,7 +344,8 @@ exports.getActiveBusinesses = async (req, res) => {
 exports.getQuotationsByBusinessId = async (req, res) => {
   try {
     // Find quotations that belong to a specific businessId
-    const quotations = await Quotation.find({ businessId: req.params.id });
+    const scope = await getBusinessScope(req.user);
+    const quotations = await Quotation.find(applyScope({ businessId: req.params.id }, scope));
     res.json(quotations);
   } catch (err) {
     console.error("Error fetching quotations by business ID:", err); // Log the detailed error for debugging
@@ -104,101 +353,101 @@ exports.getQuotationsByBusinessId = async (req, res) => {
   }
 };
 
-// --- NEW FOLLOW-UP ENDPOINTS FOR QUOTATIONS ---
+// --- FOLLOW-UP ENDPOINTS FOR QUOTATIONS (views over the Task collection) ---
 
 // Get follow-ups by quotation ID
 exports.getFollowUpsByQuotationId = async (req, res) => {
   try {
-    const quotation = await Quotation.findById(req.params.id)
-      .populate('followUps.addedBy', 'name email'); // Populate user details if 'addedBy' is a ref to User
+    const scope = await getBusinessScope(req.user);
+    const quotation = await Quotation.findOne(applyScope({ _id: req.params.id }, scope));
 
     if (!quotation) {
       return res.status(404).json({ message: 'Quotation not found.' });
     }
-    res.json(quotation.followUps || []);
+    res.json(await listFollowUps('Quotation', quotation._id));
   } catch (err) {
     console.error("Error fetching follow-ups for quotation:", err);
     res.status(500).json({ message: 'Failed to fetch follow-ups.', error: err.message });
   }
 };
 
-// Add a follow-up to a quotation
-// In quotationController.js
-
 // Add a new follow-up to a specific quotation
 exports.addFollowUp = async (req, res) => {
   const { id } = req.params;
-  // Destructure 'status' from req.body
-  const { date, note, addedBy, status } = req.body;
+  const { date, note, status, assignedTo, priority, title } = req.body;
 
   try {
-    const quotation = await Quotation.findById(id);
+    const invalid = validateFollowUpChanges(req.body);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const scope = await getBusinessScope(req.user);
+    const quotation = await Quotation.findOne(applyScope({ _id: id }, scope));
     if (!quotation) {
       return res.status(404).json({ message: 'Quotation not found' });
     }
 
-    // Create new follow-up object including status
-    const newFollowUp = { date, note, addedBy, status }; // Make sure 'status' is included here
-    quotation.followUps.push(newFollowUp);
-    await quotation.save();
-
-    // After saving, re-fetch to get populated 'addedBy' if needed for response
-    const updatedQuotation = await Quotation.findById(id)
-      .populate('followUps.addedBy', 'name email');
+    const task = await createFollowUp('Quotation', quotation, { date, note, addedBy: req.user.userId, status, assignedTo, priority, title });
+    await recordAudit(req, { entity: 'Task', entityId: task._id, action: 'create', after: task });
 
-    res.status(200).json({ message: 'Follow-up added successfully.', followUps: updatedQuotation.followUps });
+    res.status(200).json({ message: 'Follow-up added successfully.', followUps: await listFollowUps('Quotation', quotation._id) });
   } catch (err) {
     console.error("Error adding follow-up to quotation:", err);
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid follow-up.', error: err.message });
+    }
     res.status(500).json({ message: 'Failed to add follow-up.', error: err.message });
   }
 };
 
-// Update a specific follow-up by its index on a quotation
+// Update a follow-up on a quotation (:index is the task id, or its position for older clients)
 exports.updateFollowUp = async (req, res) => {
   try {
     const { id, index } = req.params;
-    // Destructure 'status' from req.body
-    const { date, note, status } = req.body;
+    const invalid = validateFollowUpChanges(req.body);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
 
-    const quotation = await Quotation.findById(id);
-    if (!quotation || !quotation.followUps[index]) {
+    const scope = await getBusinessScope(req.user);
+    const quotation = await Quotation.findOne(applyScope({ _id: id }, scope));
+    const task = quotation && await findFollowUp('Quotation', quotation._id, index);
+    if (!task) {
       return res.status(404).json({ message: 'Follow-up not found.' });
     }
 
-    quotation.followUps[index].date = date;
-    quotation.followUps[index].note = note;
-    // Update the status
-    quotation.followUps[index].status = status;
-    await quotation.save();
+    const before = task.toObject();
+    applyFollowUpChanges(task, req.body, req.user.userId);
+    await task.save();
+    await recordAudit(req, { entity: 'Task', entityId: task._id, action: 'update', before, after: task });
 
-    // After saving, re-fetch to get populated 'addedBy' if needed for response
-    const updatedQuotation = await Quotation.findById(id)
-        .populate('followUps.addedBy', 'name email');
-
-    res.status(200).json({ message: 'Follow-up updated successfully.', followUps: updatedQuotation.followUps });
+    res.status(200).json({ message: 'Follow-up updated successfully.', followUps: await listFollowUps('Quotation', quotation._id) });
   } catch (err) {
     console.error("Error updating follow-up on quotation:", err);
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid follow-up.', error: err.message });
+    }
     res.status(500).json({ message: 'Failed to update follow-up.', error: err.message });
   }
 };
-// Delete a follow-up by index on a quotation
+
+// Delete a follow-up from a quotation (:index is the task id, or its position for older clients)
 exports.deleteFollowUp = async (req, res) => {
   try {
     const { id, index } = req.params; // id is Quotation ID
 
-    const quotation = await Quotation.findById(id);
-    if (!quotation || !quotation.followUps[index]) {
+    const scope = await getBusinessScope(req.user);
+    const quotation = await Quotation.findOne(applyScope({ _id: id }, scope));
+    const task = quotation && await findFollowUp('Quotation', quotation._id, index);
+    if (!task) {
       return res.status(404).json({ message: 'Follow-up not found.' });
     }
 
-    quotation.followUps.splice(index, 1); // Remove item from array
-    await quotation.save();
-
-    // After saving, re-fetch to get populated 'addedBy' if needed for response
-    const updatedQuotation = await Quotation.findById(id)
-        .populate('followUps.addedBy', 'name email');
+    await task.deleteOne();
+    await recordAudit(req, { entity: 'Task', entityId: task._id, action: 'delete', before: task });
 
-    res.status(200).json({ message: 'Follow-up deleted successfully.', followUps: updatedQuotation.followUps });
+    res.status(200).json({ message: 'Follow-up deleted successfully.', followUps: await listFollowUps('Quotation', quotation._id) });
   } catch (err) {
     console.error("Error deleting follow-up from quotation:", err);
     res.status(500).json({ message: 'Failed to delete follow-up.', error: err.message });
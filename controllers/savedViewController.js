@@ -0,0 +1,149 @@
+// controllers/savedViewController.js
+const SavedView = require('../models/SavedView');
+const { exportColumns, selectColumns } = require('../utils/exporter');
+const { getViewScope, canManageView, validateView, resolveSharing } = require('../utils/savedViews');
+
+const VIEW_FIELDS = ['name', 'list', 'filters', 'sortBy', 'sortOrder', 'columns', 'pageSize', 'visibility', 'team', 'zone'];
+
+const pick = (body) => Object.fromEntries(VIEW_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+const toView = (view, reqUser) => ({
+  ...view.toObject(),
+  isOwner: String(view.owner._id || view.owner) === String(reqUser.userId)
+});
+
+// Validates the merged view data and works out who it is shared with.
+// Returns the fields to save or { error }.
+const prepareView = async (reqUser, data) => {
+  const filters = data.filters instanceof Map ? Object.fromEntries(data.filters) : (data.filters || {});
+  const viewError = validateView({ ...data, filters });
+  if (viewError) return { error: viewError };
+
+  if (data.columns && data.columns.length) {
+    if (!Array.isArray(data.columns)) return { error: 'columns must be an array' };
+    const { error } = selectColumns(data.list, data.columns.join(','), await exportColumns(data.list));
+    if (error) return { error };
+  }
+
+  const sharing = await resolveSharing(reqUser, data);
+  if (sharing.error) return { error: sharing.error };
+  return { ...sharing };
+};
+
+// @desc    Saved views the user can use: their own plus those shared with their team or zone
+// @route   GET /api/views?list=accounts|quotations|invoices
+// @access  Private
+exports.getViews = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.list) query.list = req.query.list;
+
+    const views = await SavedView.find({ $and: [query, await getViewScope(req.user)] })
+      .populate('owner', 'name')
+      .sort({ list: 1, name: 1 });
+    res.json(views.map(view => toView(view, req.user)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    One saved view
+// @route   GET /api/views/:id
+// @access  Private
+exports.getView = async (req, res) => {
+  try {
+    const view = await SavedView.findOne({ $and: [{ _id: req.params.id }, await getViewScope(req.user)] })
+      .populate('owner', 'name');
+    if (!view) {
+      return res.status(404).json({ message: 'Saved view not found' });
+    }
+    res.json(toView(view, req.user));
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid view ID format' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Save a view. visibility "team" / "zone" shares it with the owner's team / zone.
+// @route   POST /api/views
+// @access  Private
+exports.createView = async (req, res) => {
+  try {
+    const data = pick(req.body);
+    const { error, team, zone } = await prepareView(req.user, data);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const view = await SavedView.create({ ...data, team, zone, owner: req.user.userId });
+    res.status(201).json(toView(view, req.user));
+  } catch (err) {
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Update a saved view (owner or admin)
+// @route   PUT /api/views/:id
+// @access  Private
+exports.updateView = async (req, res) => {
+  try {
+    const view = await SavedView.findOne({ $and: [{ _id: req.params.id }, await getViewScope(req.user)] });
+    if (!view) {
+      return res.status(404).json({ message: 'Saved view not found' });
+    }
+    if (!canManageView(req.user, view)) {
+      return res.status(403).json({ error: 'Only the owner can change this view' });
+    }
+
+    const changes = pick(req.body);
+    const merged = { ...view.toObject(), ...changes };
+    // Changing the visibility without naming a target re-derives it from the owner
+    if (changes.visibility && changes.team === undefined) merged.team = null;
+    if (changes.visibility && changes.zone === undefined) merged.zone = null;
+
+    const { error, team, zone } = await prepareView(req.user, merged);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    view.set({ ...changes, team, zone });
+    await view.save();
+    res.json(toView(view, req.user));
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid view ID format' });
+    }
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Delete a saved view (owner or admin)
+// @route   DELETE /api/views/:id
+// @access  Private
+exports.deleteView = async (req, res) => {
+  try {
+    const view = await SavedView.findOne({ $and: [{ _id: req.params.id }, await getViewScope(req.user)] });
+    if (!view) {
+      return res.status(404).json({ message: 'Saved view not found' });
+    }
+    if (!canManageView(req.user, view)) {
+      return res.status(403).json({ error: 'Only the owner can delete this view' });
+    }
+
+    await view.deleteOne();
+    res.json({ message: 'Saved view deleted' });
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid view ID format' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,34 @@
+// controllers/searchController.js
+const { SEARCH_GROUPS, MIN_QUERY_LENGTH, globalSearch } = require('../utils/search');
+
+// @desc    Search accounts, contacts, quotations, invoices and products at once.
+//          Finds records by name, quotation/invoice number, GSTIN, phone, email,
+//          contact name, product name or HSN code; results are grouped and ranked.
+// @route   GET /api/search?q=&types=accounts,invoices&limit=
+// @access  Private (only records the caller may see)
+exports.search = async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (q.length < MIN_QUERY_LENGTH) {
+      return res.status(400).json({ message: `Search text must be at least ${MIN_QUERY_LENGTH} characters` });
+    }
+
+    let groups = SEARCH_GROUPS;
+    if (req.query.types) {
+      groups = String(req.query.types).split(',').map(type => type.trim()).filter(Boolean);
+      const unknown = groups.filter(group => !SEARCH_GROUPS.includes(group));
+      if (unknown.length) {
+        return res.status(400).json({ message: `Unknown search type(s): ${unknown.join(', ')}. Allowed: ${SEARCH_GROUPS.join(', ')}` });
+      }
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+
+    const results = await globalSearch(req.user, q, { groups, limit });
+    const total = Object.values(results).reduce((sum, group) => sum + group.length, 0);
+
+    res.json({ query: q, total, results });
+  } catch (err) {
+    console.error('Error running search:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,37 @@
+// controllers/settingsController.js
+const settingDefinitions = require('../config/settings');
+const { getSetting, updateSetting } = require('../utils/settings');
+
+// @desc    Get a setting (stored value merged over defaults)
+// @route   GET /api/settings/:key
+// @access  Private (Admin)
+exports.getSetting = async (req, res) => {
+    try {
+        const { key } = req.params;
+        if (!settingDefinitions[key]) {
+            return res.status(404).json({ message: 'Setting not found' });
+        }
+        res.json({ key, value: await getSetting(key) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// @desc    Update a setting (partial values are merged into the current value)
+// @route   PUT /api/settings/:key
+// @access  Private (Superadmin)
+exports.updateSetting = async (req, res) => {
+    try {
+        const { key } = req.params;
+        if (!settingDefinitions[key]) {
+            return res.status(404).json({ message: 'Setting not found' });
+        }
+        const value = await updateSetting(key, req.body || {}, req.user.userId);
+        res.json({ key, value });
+    } catch (err) {
+        if (err.status === 400) {
+            return res.status(400).json({ message: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+};
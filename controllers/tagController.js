@@ -0,0 +1,179 @@
+// controllers/tagController.js
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const BusinessAccount = require('../models/BusinessAccount');
+const { applyScope, getAccountScope } = require('../utils/dataScope');
+const { recordAudit } = require('../utils/audit');
+const { toIdList, checkTagIds } = require('../utils/tags');
+
+const TAG_FIELDS = ['name', 'color', 'category', 'description'];
+const MAX_BULK_ACCOUNTS = 1000;
+
+const pick = (body) => Object.fromEntries(TAG_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+const duplicateNameMessage = (name) => `A tag named "${name}" already exists`;
+
+// @desc    The tag vocabulary. withCounts=true adds how many of the caller's visible accounts carry each tag.
+// @route   GET /api/tags?category=&withCounts=true
+// @access  Private
+exports.getTags = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.category) query.category = req.query.category;
+
+    const tags = await Tag.find(query).sort({ category: 1, name: 1 }).collation({ locale: 'en' }).lean();
+    if (req.query.withCounts !== 'true') {
+      return res.json(tags);
+    }
+
+    const counts = await BusinessAccount.aggregate([
+      { $match: applyScope({ 'tags.0': { $exists: true } }, await getAccountScope(req.user)) },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(entry => [String(entry._id), entry.count]));
+    res.json(tags.map(tag => ({ ...tag, accountCount: countById.get(String(tag._id)) || 0 })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Add a tag to the vocabulary
+// @route   POST /api/tags
+// @access  Private (Manager)
+exports.createTag = async (req, res) => {
+  try {
+    const tag = await Tag.create({ ...pick(req.body), createdBy: req.user.userId });
+    await recordAudit(req, { entity: 'Tag', entityId: tag._id, action: 'create', after: tag });
+    res.status(201).json(tag);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: duplicateNameMessage(req.body.name) });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Rename or recolor a tag
+// @route   PUT /api/tags/:id
+// @access  Private (Manager)
+exports.updateTag = async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    const before = tag.toObject();
+    tag.set(pick(req.body));
+    await tag.save();
+    await recordAudit(req, { entity: 'Tag', entityId: tag._id, action: 'update', before, after: tag });
+    res.json(tag);
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid Tag ID format' });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({ message: duplicateNameMessage(req.body.name) });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Delete a tag and remove it from every account
+// @route   DELETE /api/tags/:id
+// @access  Private (Manager)
+exports.deleteTag = async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    const { modifiedCount } = await BusinessAccount.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } });
+    await tag.deleteOne();
+    await recordAudit(req, { entity: 'Tag', entityId: tag._id, action: 'delete', before: tag, meta: { removedFromAccounts: modifiedCount } });
+    res.json({ message: 'Tag deleted', removedFromAccounts: modifiedCount });
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid Tag ID format' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Add and/or remove tags on a selection of accounts. Accounts the caller cannot see are
+//          reported in notFound and left alone.
+// @route   POST /api/accounts/tags/bulk  { accountIds: [], add: [tagIds], remove: [tagIds] }
+// @access  Private
+exports.bulkTagAccounts = async (req, res) => {
+  try {
+    const accountIds = toIdList(req.body.accountIds);
+    const add = toIdList(req.body.add);
+    const remove = toIdList(req.body.remove);
+
+    if (accountIds.length === 0 || accountIds.some(id => !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'accountIds must be a list of account ids' });
+    }
+    if (accountIds.length > MAX_BULK_ACCOUNTS) {
+      return res.status(400).json({ message: `At most ${MAX_BULK_ACCOUNTS} accounts can be tagged at once` });
+    }
+    if (add.length === 0 && remove.length === 0) {
+      return res.status(400).json({ message: 'Nothing to do: give tags to add and/or remove' });
+    }
+    if (add.some(id => remove.includes(id))) {
+      return res.status(400).json({ message: 'A tag cannot be added and removed at the same time' });
+    }
+    const tagError = await checkTagIds([...add, ...remove]);
+    if (tagError) {
+      return res.status(400).json({ message: tagError });
+    }
+
+    const scope = await getAccountScope(req.user);
+    const accounts = await BusinessAccount.find(applyScope({ _id: { $in: accountIds } }, scope)).select('tags').lean();
+    const visibleIds = accounts.map(account => account._id);
+
+    const now = new Date();
+    if (add.length) {
+      await BusinessAccount.updateMany(
+        { _id: { $in: visibleIds } },
+        { $addToSet: { tags: { $each: add } }, $set: { updatedAt: now } }
+      );
+    }
+    if (remove.length) {
+      await BusinessAccount.updateMany(
+        { _id: { $in: visibleIds } },
+        { $pull: { tags: { $in: remove } }, $set: { updatedAt: now } }
+      );
+    }
+
+    // One audit entry per account whose tags actually changed
+    let modified = 0;
+    for (const account of accounts) {
+      const before = account.tags.map(String);
+      const after = [...new Set([...before.filter(id => !remove.includes(id)), ...add])];
+      if (after.length === before.length && after.every(id => before.includes(id))) continue;
+      modified++;
+      await recordAudit(req, {
+        entity: 'BusinessAccount', entityId: account._id, action: 'update',
+        before: { tags: before }, after: { tags: after }, meta: { bulkTagging: true }
+      });
+    }
+
+    const visible = new Set(visibleIds.map(String));
+    res.json({
+      matched: accounts.length,
+      modified,
+      notFound: accountIds.filter(id => !visible.has(id))
+    });
+  } catch (err) {
+    console.error('Error bulk tagging accounts:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,293 @@
+// controllers/taskController.js
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const BusinessAccount = require('../models/BusinessAccount');
+const Quotation = require('../models/Quotation');
+const Invoice = require('../models/Invoice');
+const { applyScope, getTaskScope, canAccessAccount } = require('../utils/dataScope');
+const { recordAudit } = require('../utils/audit');
+
+const RELATED_MODELS = { BusinessAccount, Quotation, Invoice };
+const UPCOMING_DAYS_DEFAULT = 7;
+
+const startOfDay = (date = new Date()) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+const populateTask = (query) => query
+  .populate('assignedTo', 'name email')
+  .populate('createdBy', 'name email');
+
+// Priority as a number for sorting ("high" first); the stored values sort alphabetically otherwise
+const PRIORITY_RANK = {
+  $switch: {
+    branches: [
+      { case: { $eq: ['$priority', 'high'] }, then: 0 },
+      { case: { $eq: ['$priority', 'medium'] }, then: 1 }
+    ],
+    default: 2
+  }
+};
+
+// Resolves relatedModel/relatedId into the account the task belongs to, checking visibility.
+// Returns { businessId } or { error } with an HTTP status.
+const resolveRelated = async (reqUser, relatedModel, relatedId) => {
+  if (!relatedModel && !relatedId) return { businessId: null };
+
+  const Model = RELATED_MODELS[relatedModel];
+  if (!Model || !mongoose.isValidObjectId(relatedId)) {
+    return { error: 'relatedModel must be BusinessAccount, Quotation or Invoice with a valid relatedId', status: 400 };
+  }
+
+  const related = await Model.findById(relatedId).select('businessId');
+  if (!related) return { error: `${relatedModel} not found`, status: 404 };
+
+  const businessId = relatedModel === 'BusinessAccount' ? related._id : related.businessId;
+  if (businessId && !(await canAccessAccount(reqUser, businessId))) {
+    return { error: `${relatedModel} not found`, status: 404 };
+  }
+  return { businessId: businessId || null };
+};
+
+// Date filters shared by the list endpoint and the "my tasks" views
+const dueFilter = (due, days = UPCOMING_DAYS_DEFAULT) => {
+  const today = startOfDay();
+  switch (due) {
+    case 'today':
+      return { status: 'pending', dueDate: { $gte: today, $lt: addDays(today, 1) } };
+    case 'overdue':
+      return { status: 'pending', dueDate: { $lt: new Date() } };
+    case 'upcoming':
+      return { status: 'pending', dueDate: { $gte: addDays(today, 1), $lt: addDays(today, 1 + days) } };
+    default:
+      return {};
+  }
+};
+
+// @desc    List tasks visible to the user
+// @route   GET /api/tasks?status=&due=today|overdue|upcoming&assignedTo=&relatedModel=&relatedId=&businessId=&priority=&page=&pageSize=
+// @access  Private
+exports.getTasks = async (req, res) => {
+  try {
+    const { status, due, assignedTo, relatedModel, relatedId, businessId, priority, page = 1, pageSize = 20 } = req.query;
+
+    // Bad ids or values would otherwise surface as cast errors
+    for (const [name, value] of Object.entries({ assignedTo, relatedId, businessId })) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ message: `${name} must be a valid id` });
+      }
+    }
+    const statuses = [...Task.schema.path('status').enumValues, 'overdue'];
+    if (status && !statuses.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${statuses.join(', ')}` });
+    }
+    const priorities = Task.schema.path('priority').enumValues;
+    if (priority && !priorities.includes(priority)) {
+      return res.status(400).json({ message: `priority must be one of: ${priorities.join(', ')}` });
+    }
+    if (relatedModel && !RELATED_MODELS[relatedModel]) {
+      return res.status(400).json({ message: `relatedModel must be one of: ${Object.keys(RELATED_MODELS).join(', ')}` });
+    }
+    if (due && !['today', 'overdue', 'upcoming'].includes(due)) {
+      return res.status(400).json({ message: 'due must be one of: today, overdue, upcoming' });
+    }
+
+    let query = {};
+    // "overdue" is accepted as a status too, since that is how users think of it
+    if (status === 'overdue') {
+      Object.assign(query, dueFilter('overdue'));
+    } else if (status) {
+      query.status = status;
+    }
+    if (due) Object.assign(query, dueFilter(due, parseInt(req.query.days) || UPCOMING_DAYS_DEFAULT));
+    if (assignedTo) query.assignedTo = assignedTo;
+    if (relatedModel) query.relatedModel = relatedModel;
+    if (relatedId) query.relatedId = relatedId;
+    if (businessId) query.businessId = businessId;
+    if (priority) query.priority = priority;
+
+    query = applyScope(query, await getTaskScope(req.user));
+
+    const limit = Math.min(parseInt(pageSize) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * limit;
+
+    const [total, tasks] = await Promise.all([
+      Task.countDocuments(query),
+      populateTask(Task.find(query)).sort({ dueDate: 1 }).skip(skip).limit(limit)
+    ]);
+
+    res.json({ data: tasks, total, page: parseInt(page) || 1, pageSize: limit });
+  } catch (err) {
+    console.error('Error fetching tasks:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    The logged-in user's pending tasks due today / overdue / upcoming (next ?days=7)
+// @route   GET /api/tasks/my/today | /api/tasks/my/overdue | /api/tasks/my/upcoming
+// @access  Private
+exports.getMyTasks = (due) => async (req, res) => {
+  try {
+    const query = {
+      assignedTo: new mongoose.Types.ObjectId(req.user.userId),
+      ...dueFilter(due, parseInt(req.query.days) || UPCOMING_DAYS_DEFAULT)
+    };
+    const rows = await Task.aggregate([
+      { $match: query },
+      { $addFields: { priorityRank: PRIORITY_RANK } },
+      { $sort: { dueDate: 1, priorityRank: 1 } },
+      { $project: { priorityRank: 0 } }
+    ]);
+    const tasks = await Task.populate(rows.map(row => Task.hydrate(row)), [
+      { path: 'assignedTo', select: 'name email' },
+      { path: 'createdBy', select: 'name email' }
+    ]);
+    res.json(tasks);
+  } catch (err) {
+    console.error(`Error fetching ${due} tasks:`, err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Get a task
+// @route   GET /api/tasks/:id
+// @access  Private
+exports.getTaskById = async (req, res) => {
+  try {
+    const scope = await getTaskScope(req.user);
+    const task = await populateTask(Task.findOne(applyScope({ _id: req.params.id }, scope)));
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    res.json(task);
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid Task ID format' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Create a task, optionally linked to an account, quotation or invoice
+// @route   POST /api/tasks
+// @access  Private
+exports.createTask = async (req, res) => {
+  try {
+    const { title, note, dueDate, assignedTo, priority, relatedModel, relatedId } = req.body;
+
+    const related = await resolveRelated(req.user, relatedModel, relatedId);
+    if (related.error) {
+      return res.status(related.status).json({ message: related.error });
+    }
+
+    const task = await Task.create({
+      title,
+      note,
+      dueDate,
+      priority,
+      assignedTo: assignedTo || req.user.userId,
+      createdBy: req.user.userId,
+      relatedModel: relatedModel || null,
+      relatedId: relatedId || null,
+      businessId: related.businessId
+    });
+    await recordAudit(req, { entity: 'Task', entityId: task._id, action: 'create', after: task });
+
+    res.status(201).json(await populateTask(Task.findById(task._id)));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Update a task (title, note, dueDate, assignedTo, priority, status)
+// @route   PUT /api/tasks/:id
+// @access  Private
+exports.updateTask = async (req, res) => {
+  try {
+    const scope = await getTaskScope(req.user);
+    const task = await Task.findOne(applyScope({ _id: req.params.id }, scope));
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const before = task.toObject();
+    for (const field of ['title', 'note', 'dueDate', 'assignedTo', 'priority']) {
+      if (req.body[field] !== undefined) task[field] = req.body[field];
+    }
+    if (req.body.status !== undefined && req.body.status !== task.status) {
+      task.status = req.body.status;
+      task.completedAt = task.status === 'completed' ? new Date() : null;
+      task.completedBy = task.status === 'completed' ? req.user.userId : null;
+    }
+    await task.save();
+    await recordAudit(req, { entity: 'Task', entityId: task._id, action: 'update', before, after: task });
+
+    res.json(await populateTask(Task.findById(task._id)));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid Task ID format' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Mark a task as completed
+// @route   PATCH /api/tasks/:id/complete
+// @access  Private
+exports.completeTask = async (req, res) => {
+  try {
+    const scope = await getTaskScope(req.user);
+    const task = await Task.findOne(applyScope({ _id: req.params.id }, scope));
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const before = task.toObject();
+    task.status = 'completed';
+    task.completedAt = new Date();
+    task.completedBy = req.user.userId;
+    await task.save();
+    await recordAudit(req, { entity: 'Task', entityId: task._id, action: 'update', before, after: task });
+
+    res.json(await populateTask(Task.findById(task._id)));
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid Task ID format' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// @desc    Delete a task
+// @route   DELETE /api/tasks/:id
+// @access  Private
+exports.deleteTask = async (req, res) => {
+  try {
+    const scope = await getTaskScope(req.user);
+    const task = await Task.findOneAndDelete(applyScope({ _id: req.params.id }, scope));
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    await recordAudit(req, { entity: 'Task', entityId: task._id, action: 'delete', before: task });
+
+    res.json({ message: 'Task deleted' });
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid Task ID format' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -3,6 +3,7 @@ const Team = require('../models/Team');
 const User = require('../models/User');
 const Department = require('../models/Department');
 const Zone = require('../models/Zone'); // NEW: Import the Zone model
+const { recordAudit } = require('../utils/audit');
 
 // Helper to update user's team, department, and now zone fields
 const updateUserTeamAndDepartment = async (userId, teamId = null, departmentId = null, zoneId = null) => {
@@ -52,6 +53,7 @@ exports.createTeam = async (req, res) => {
     }
 
     const newTeam = await Team.create({ name, department, teamLeader, members });
+    await recordAudit(req, { entity: 'Team', entityId: newTeam._id, action: 'create', after: newTeam });
 
     if (teamLeader) {
       await updateUserTeamAndDepartment(teamLeader, newTeam._id, department, zoneId);
@@ -146,6 +148,7 @@ exports.updateTeam = async (req, res) => {
       { name, department, teamLeader: newLeaderId, members: members || [] },
       { new: true, runValidators: true }
     );
+    await recordAudit(req, { entity: 'Team', entityId: updatedTeam._id, action: 'update', before: originalTeam, after: updatedTeam });
 
     const resolvedDepartmentId = department || originalTeam.department;
     const resolvedZoneId = (await User.findById(currentLeaderId))?.zone || (await User.findById(newLeaderId))?.zone; // This logic needs to be more robust. The zone should be handled in user management. I will make a simple assumption here to continue, as the user's intent is to modify the `updateUserTeamAndDepartment` function.
@@ -198,6 +201,7 @@ exports.deleteTeam = async (req, res) => {
     if (!deletedTeam) {
       return res.status(404).json({ message: 'Team not found' });
     }
+    await recordAudit(req, { entity: 'Team', entityId: deletedTeam._id, action: 'delete', before: deletedTeam });
 
     if (deletedTeam.teamLeader) {
       await updateUserTeamAndDepartment(deletedTeam.teamLeader, null, null, null);
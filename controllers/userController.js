@@ -3,6 +3,32 @@ const User = require('../models/User');
 const Team = require('../models/Team');
 const Department = require('../models/Department');
 const Zone = require('../models/Zone');
+const { validatePasswordStrength } = require('../utils/password');
+const { recordAudit } = require('../utils/audit');
+const { revokeAllSessions } = require('../utils/tokens');
+const LoginHistory = require('../models/LoginHistory');
+const { accountKey, clearLoginThrottle } = require('../utils/loginThrottle');
+
+// Fields an admin may set through the create and update endpoints. Session (tokenVersion) and
+// two-factor state are managed by the server and the dedicated endpoints only.
+const EDITABLE_USER_FIELDS = ['name', 'email', 'mobile', 'password', 'role', 'status', 'department', 'team', 'zone'];
+
+const pickUserFields = (body = {}) => {
+    const data = {};
+    for (const field of EDITABLE_USER_FIELDS) {
+        if (body[field] !== undefined) data[field] = body[field];
+    }
+    return data;
+};
+
+// Only a Superadmin may create, change or remove a Superadmin, or make someone one
+const superadminGuard = (req, target, data = {}) => {
+    if (req.user.role === 'Superadmin') return null;
+    if (data.role === 'Superadmin' || (target && target.role === 'Superadmin')) {
+        return 'Only a Superadmin can grant, change or remove the Superadmin role.';
+    }
+    return null;
+};
 
 // Helper function to update a user's team, department, and zone fields
 const updateUserTeamAndDepartmentAndZone = async (userId, teamId = null, departmentId = null, newZoneId = null) => {
@@ -60,7 +86,20 @@ exports.getSingleUser = async (req, res) => {
 // @access  Private (e.g., Admin)
 exports.createUser = async (req, res) => {
     try {
-        const newUser = await User.create(req.body);
+        const data = pickUserFields(req.body);
+        const forbidden = superadminGuard(req, null, data);
+        if (forbidden) {
+            return res.status(403).json({ message: forbidden });
+        }
+
+        const weakPasswordError = validatePasswordStrength(data.password);
+        if (weakPasswordError) {
+            return res.status(400).json({ message: weakPasswordError });
+        }
+
+        // The password is hashed by the User model's pre-save hook
+        const newUser = await User.create(data);
+        await recordAudit(req, { entity: 'User', entityId: newUser._id, action: 'create', after: newUser });
         res.status(201).json(newUser);
     } catch (err) {
         if (err.code === 11000) {
@@ -75,10 +114,39 @@ exports.createUser = async (req, res) => {
 // @access  Private (e.g., Admin)
 exports.updateUser = async (req, res) => {
     try {
-        const updated = await User.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+        const data = pickUserFields(req.body);
+
+        // An empty password field means "keep the current password"
+        if (data.password === '' || data.password === null) {
+            delete data.password;
+        }
+        if (data.password !== undefined) {
+            const weakPasswordError = validatePasswordStrength(data.password);
+            if (weakPasswordError) {
+                return res.status(400).json({ message: weakPasswordError });
+            }
+        }
+
+        const before = await User.findById(req.params.id);
+        if (!before) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const forbidden = superadminGuard(req, before, data);
+        if (forbidden) {
+            return res.status(403).json({ message: forbidden });
+        }
+        const updated = await User.findByIdAndUpdate(req.params.id, data, { new: true, runValidators: true });
         if (!updated) {
             return res.status(404).json({ message: 'User not found' });
         }
+        await recordAudit(req, { entity: 'User', entityId: updated._id, action: 'update', before, after: updated });
+
+        // Deactivated users and users whose role changed must log in again
+        if (before.status !== 'Inactive' && updated.status === 'Inactive') {
+            await revokeAllSessions(updated._id, 'user-deactivated');
+        } else if (before.role !== updated.role) {
+            await revokeAllSessions(updated._id, 'role-changed');
+        }
         res.json(updated);
     } catch (err) {
         if (err.kind === 'ObjectId') {
@@ -107,10 +175,20 @@ exports.getUsersByZone = async (req, res) => {
 // @access  Private (e.g., Admin)
 exports.deleteUser = async (req, res) => {
     try {
-        const deletedUser = await User.findByIdAndDelete(req.params.id);
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const forbidden = superadminGuard(req, user);
+        if (forbidden) {
+            return res.status(403).json({ message: forbidden });
+        }
+        const deletedUser = await User.findByIdAndDelete(user._id);
         if (!deletedUser) {
             return res.status(404).json({ message: 'User not found' });
         }
+        await recordAudit(req, { entity: 'User', entityId: deletedUser._id, action: 'delete', before: deletedUser });
+        await revokeAllSessions(deletedUser._id, 'user-deleted');
         res.json({ message: 'User deleted' });
     } catch (err) {
         if (err.kind === 'ObjectId') {
@@ -171,6 +249,7 @@ exports.transferUser = async (req, res) => {
             .populate('team', 'name')
             .populate('department', 'name')
             .populate('zone', 'name');
+        await recordAudit(req, { entity: 'User', entityId: user._id, action: 'transfer', before: user, after: updatedUser });
 
         res.json({ message: 'User transferred successfully', user: updatedUser });
 
@@ -178,4 +257,85 @@ exports.transferUser = async (req, res) => {
         console.error("Transfer error:", err);
         res.status(500).json({ error: err.message });
     }
-};
\ No newline at end of file
+};
+
+// @desc    Lift a temporary login lockout for a user. Only the account's own throttle is cleared:
+//          the per-IP throttles also guard every other account, so they are left to expire.
+// @route   POST /api/users/:id/unlock
+// @access  Private (Admin)
+exports.unlockUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        await clearLoginThrottle([accountKey(user.email)]);
+        res.json({ message: 'User login unlocked' });
+    } catch (err) {
+        if (err.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid User ID format' });
+        }
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// @desc    Get a user's login history (most recent first)
+// @route   GET /api/users/:id/login-history?page=&pageSize=
+// @access  Private (Admin)
+exports.getLoginHistory = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('email');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const limit = Math.min(parseInt(req.query.pageSize) || 20, 100);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        // Failed attempts for an email that were blocked before the user was looked up have no user id
+        const query = { $or: [{ user: user._id }, { user: null, email: user.email }] };
+        const [total, history] = await Promise.all([
+            LoginHistory.countDocuments(query),
+            LoginHistory.find(query)
+                .sort({ timestamp: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+        ]);
+
+        res.json({ data: history, total, page, pageSize: limit });
+    } catch (err) {
+        if (err.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid User ID format' });
+        }
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// @desc    Turn off two-factor authentication for a user who lost their device
+// @route   POST /api/users/:id/2fa/reset
+// @access  Private (Admin)
+exports.resetTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (superadminGuard(req, user)) {
+            return res.status(403).json({ message: 'Only a Superadmin can reset the two-factor authentication of a Superadmin.' });
+        }
+
+        const before = user.toObject();
+        user.twoFactor = { enabled: false, secret: null, pendingSecret: null, recoveryCodes: [], lastUsedCounter: null, enabledAt: null };
+        await user.save();
+        await recordAudit(req, { entity: 'User', entityId: user._id, action: '2fa-reset', before, after: user });
+        await revokeAllSessions(user._id, 'logout-all');
+
+        res.json({ message: 'Two-factor authentication has been reset' });
+    } catch (err) {
+        if (err.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid User ID format' });
+        }
+        res.status(500).json({ error: err.message });
+    }
+};
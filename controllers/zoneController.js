@@ -1,5 +1,6 @@
 // controllers/zoneController.js
 const Zone = require('../models/Zone');
+const { recordAudit } = require('../utils/audit');
 
 exports.getAllZones = async (req, res) => {
     try {
@@ -14,6 +15,7 @@ exports.createZone = async (req, res) => {
     try {
         const newZone = new Zone(req.body);
         await newZone.save();
+        await recordAudit(req, { entity: 'Zone', entityId: newZone._id, action: 'create', after: newZone });
         res.status(201).json(newZone);
     } catch (err) {
         // Handle MongoDB duplicate key error (code 11000)
@@ -26,10 +28,15 @@ exports.createZone = async (req, res) => {
 
 exports.updateZone = async (req, res) => {
     try {
+        const before = await Zone.findById(req.params.id);
+        if (!before) {
+            return res.status(404).json({ message: 'Zone not found' });
+        }
         const updatedZone = await Zone.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
         if (!updatedZone) {
             return res.status(404).json({ message: 'Zone not found' });
         }
+        await recordAudit(req, { entity: 'Zone', entityId: updatedZone._id, action: 'update', before, after: updatedZone });
         res.json(updatedZone);
     } catch (err) {
         if (err.code === 11000) {
@@ -45,6 +52,7 @@ exports.deleteZone = async (req, res) => {
         if (!deletedZone) {
             return res.status(404).json({ message: 'Zone not found' });
         }
+        await recordAudit(req, { entity: 'Zone', entityId: deletedZone._id, action: 'delete', before: deletedZone });
         res.json({ message: 'Zone deleted successfully' });
     } catch (err) {
         res.status(400).json({ error: err.message });
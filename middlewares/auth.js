@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
 
-module.exports = (req, res, next) => {
+// Verifies the access token and that the session is still valid: the user must
+// still exist, be Active, and the token must not predate a revocation (tokenVersion).
+module.exports = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader?.startsWith('Bearer ')) {
     return res.status(401).json({ error: 'Token missing' });
@@ -8,11 +11,28 @@ module.exports = (req, res, next) => {
 
   const token = authHeader.split(' ')[1];
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // { userId, role }
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  // Login challenge tokens (two-factor step) are not access tokens
+  if (decoded.purpose) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    const user = await User.findById(decoded.userId).select('role status tokenVersion');
+    if (!user || user.status === 'Inactive' || decoded.tokenVersion !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    // Role comes from the database so role changes take effect immediately
+    req.user = { userId: user._id.toString(), role: user.role };
     next();
   } catch (err) {
-    res.status(403).json({ error: 'Invalid or expired token' });
+    res.status(500).json({ error: 'Failed to verify session' });
   }
 };
@@ -0,0 +1,21 @@
+const { permissions } = require('../config/permissions');
+
+// Returns a middleware that only lets through users whose role is allowed
+// to perform `action` according to config/permissions.js.
+// Must be mounted after middlewares/auth.js so that req.user is set.
+module.exports = (action) => {
+  const allowedRoles = permissions[action];
+  if (!allowedRoles) {
+    throw new Error(`Unknown permission: ${action}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+    next();
+  };
+};
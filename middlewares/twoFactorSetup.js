@@ -0,0 +1,25 @@
+const auth = require('./auth');
+const { verifyChallengeToken } = require('../utils/tokens');
+
+// Two-factor enrolment can be done either by a logged-in user (access token) or,
+// when their role requires 2FA, by a user who has only passed the password step
+// and holds a '2fa-setup' challenge token in the request body.
+module.exports = async (req, res, next) => {
+  const { challengeToken } = req.body || {};
+  if (!challengeToken) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const user = await verifyChallengeToken(challengeToken, '2fa-setup');
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = { userId: user._id.toString(), role: user.role };
+    req.twoFactorSetupChallenge = true;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to verify session' });
+  }
+};
@@ -0,0 +1,31 @@
+const path = require('path');
+const multer = require('multer');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+const MAX_SPREADSHEET_BYTES = (parseInt(process.env.IMPORT_MAX_FILE_MB, 10) || 5) * 1024 * 1024;
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SPREADSHEET_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      return cb(new Error(`Only ${SPREADSHEET_EXTENSIONS.join(' and ')} files can be imported`));
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// Accepts a single CSV/XLSX file in the multipart field "file" (kept in memory as req.file).
+// Upload errors are answered with 400 instead of reaching the error handler.
+exports.uploadSpreadsheet = (req, res, next) => {
+  spreadsheetUpload(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'Upload a CSV or XLSX file in the "file" field' });
+    }
+    next();
+  });
+};
@@ -0,0 +1,26 @@
+// models/AssignmentLog.js
+const mongoose = require('mongoose');
+
+// One decision of the assignment engine for a new account, including when nobody was assigned
+const assignmentLogSchema = new mongoose.Schema({
+  account: { type: mongoose.Schema.Types.ObjectId, ref: 'BusinessAccount', required: true },
+  rule: { type: mongoose.Schema.Types.ObjectId, ref: 'AssignmentRule', default: null },
+  ruleName: String, // kept in case the rule is deleted later
+  strategy: String,
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  outcome: {
+    type: String,
+    enum: ['assigned', 'no-rule-matched', 'no-eligible-users'],
+    required: true
+  },
+  // Active users the rule could choose from
+  candidates: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  trigger: { type: String, enum: ['create', 'import'], required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  timestamp: { type: Date, default: Date.now }
+});
+
+assignmentLogSchema.index({ account: 1, timestamp: -1 });
+assignmentLogSchema.index({ rule: 1, timestamp: -1 });
+
+module.exports = mongoose.model('AssignmentLog', assignmentLogSchema);
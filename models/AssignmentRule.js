@@ -0,0 +1,31 @@
+// models/AssignmentRule.js
+const mongoose = require('mongoose');
+
+// Routes new, unassigned accounts to a team or a list of users (see utils/assignment.js).
+// Rules are tried in ascending `priority`; the first whose conditions all match wins.
+// An empty condition list matches any value.
+const assignmentRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  priority: { type: Number, default: 100 },
+  active: { type: Boolean, default: true },
+  conditions: {
+    zones: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Zone' }],
+    sourceTypes: [String],
+    typeOfLead: [{ type: String, enum: ['Regular', 'Government', 'Occupational'] }]
+  },
+  // Who receives the accounts: the members of a team, or an explicit list of users
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null },
+  users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  strategy: {
+    type: String,
+    enum: ['round-robin', 'least-open'],
+    default: 'round-robin'
+  },
+  // Number of round-robin assignments made so far; the next assignee is counter % candidates
+  roundRobinCounter: { type: Number, default: 0 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+assignmentRuleSchema.index({ active: 1, priority: 1 });
+
+module.exports = mongoose.model('AssignmentRule', assignmentRuleSchema);
@@ -0,0 +1,31 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+// One field-level change: `field` is a dotted path such as "items.0.rate"
+const changeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  actorRole: String,
+  entity: {
+    type: String,
+    required: true,
+    enum: ['BusinessAccount', 'Quotation', 'Invoice', 'Payment', 'Product', 'User', 'Team', 'Zone', 'Department', 'Task', 'AssignmentRule', 'CustomField', 'Tag', 'NumberSeries']
+  },
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true }, // For embedded payments: the invoice id
+  action: { type: String, required: true }, // create, update, delete, close, unlock, ...
+  changes: [changeSchema],
+  meta: mongoose.Schema.Types.Mixed, // Extra context, e.g. the invoice a payment belongs to
+  ip: String,
+  timestamp: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ entityId: 1, timestamp: -1 });
+auditLogSchema.index({ actor: 1, timestamp: -1 });
+auditLogSchema.index({ entity: 1, timestamp: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,6 +1,7 @@
 // File: BusinessAccount.js
 
 const mongoose = require('mongoose');
+const { computeMatchKeys } = require('../utils/duplicates');
 
 const noteSchema = new mongoose.Schema({
     text: String,
@@ -20,10 +21,22 @@ const followUpSchema = new mongoose.Schema({
     createdAt: { type: Date, default: Date.now }
 }, { _id: false });
 
+// A person at the customer. The primary contact is mirrored into the account's
+// contactName / contactEmail / contactNumber fields (see utils/contacts.js).
 const contactPersonSchema = new mongoose.Schema({
-    name: { type: String, required: true },
-    email: { type: String },
-    phoneNumber: { type: String },
+    name: { type: String, required: true, trim: true },
+    email: { type: String, trim: true },
+    phoneNumber: { type: String, trim: true },
+    designation: { type: String, trim: true }, // e.g. Purchase Manager, Site Engineer, Accounts
+    isPrimary: { type: Boolean, default: false },
+    preferences: {
+        preferredChannel: { type: String, enum: ['phone', 'email', 'whatsapp', 'sms', null], default: null },
+        emailOptIn: { type: Boolean, default: true },
+        whatsappOptIn: { type: Boolean, default: false },
+        doNotCall: { type: Boolean, default: false },
+        bestTimeToContact: String
+    },
+    notes: String
 }, { _id: true });
 
 const businessAccountSchema = new mongoose.Schema({
@@ -39,6 +52,9 @@ const businessAccountSchema = new mongoose.Schema({
         enum: ['Active', 'Pipeline', 'Quotations', 'Customer', 'Closed', 'TargetLeads'],
         default: 'Active'
     },
+    // Status changes go through utils/pipeline.js, which keeps the StageChange history
+    statusChangedAt: { type: Date },
+    closedReason: { type: String, default: null },
     notes: [noteSchema],
     followUps: [followUpSchema],
     selectedProduct: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
@@ -52,13 +68,72 @@ const businessAccountSchema = new mongoose.Schema({
         enum: ['Regular', 'Government', 'Occupational']
     }],
     gstNumber: String,
+    // Derived from gstNumber (utils/gstin.js); gstStateCode is entered by hand for unregistered accounts
+    gstStateCode: { type: String, default: null },
+    pan: { type: String, default: null },
+    // Set for customers without GST registration, which are billed without a GSTIN
+    gstUnregistered: { type: Boolean, default: false },
+    // Labels from the managed tag vocabulary (models/Tag.js)
+    tags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+    // Additional contact people (merged accounts bring theirs along)
+    contacts: [contactPersonSchema],
+    // Normalized name / phones / emails / GSTIN used for duplicate detection (utils/duplicates.js)
+    matchKeys: {
+        name: String,
+        phones: [String],
+        emails: [String],
+        gstin: String
+    },
     
-    quotations: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Quotation' }]
+    quotations: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Quotation' }],
+    // Set on accounts created by a bulk import, so the import can be rolled back
+    importBatch: { type: mongoose.Schema.Types.ObjectId, ref: 'ImportBatch', default: null },
+    // Values of admin-defined fields, checked by utils/customFields.js
+    customFields: { type: Map, of: mongoose.Schema.Types.Mixed, default: {} }
 });
 
 businessAccountSchema.pre('save', function (next) {
     this.updatedAt = new Date();
+    this.matchKeys = computeMatchKeys(this);
     next();
 });
 
+// Updates through findOneAndUpdate/findByIdAndUpdate only see the changed fields,
+// so the match keys are recomputed from the stored document afterwards
+businessAccountSchema.post('findOneAndUpdate', async function (doc) {
+    if (!doc) return;
+    const account = await this.model.findById(doc._id).lean();
+    if (account) {
+        await this.model.updateOne({ _id: account._id }, { $set: { matchKeys: computeMatchKeys(account) } });
+    }
+});
+
+// Fills in match keys of accounts created before duplicate detection existed
+businessAccountSchema.statics.backfillMatchKeys = async function () {
+    let updated = 0;
+    const cursor = this.find({ 'matchKeys.name': { $exists: false } }).lean().cursor();
+    for await (const account of cursor) {
+        await this.updateOne({ _id: account._id }, { $set: { matchKeys: computeMatchKeys(account) } });
+        updated++;
+    }
+    return updated;
+};
+
+businessAccountSchema.index({ 'matchKeys.name': 1 });
+businessAccountSchema.index({ 'matchKeys.phones': 1 });
+businessAccountSchema.index({ 'matchKeys.emails': 1 });
+businessAccountSchema.index({ 'matchKeys.gstin': 1 });
+businessAccountSchema.index({ tags: 1 });
+// Global search (utils/search.js); phones and emails are found through matchKeys instead
+businessAccountSchema.index({
+    businessName: 'text',
+    contactName: 'text',
+    'contacts.name': 'text',
+    gstNumber: 'text',
+    address: 'text'
+}, {
+    name: 'account_search',
+    weights: { businessName: 10, gstNumber: 8, contactName: 5, 'contacts.name': 5, address: 1 }
+});
+
 module.exports = mongoose.model('BusinessAccount', businessAccountSchema);
\ No newline at end of file
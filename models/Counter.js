@@ -0,0 +1,18 @@
+// models/Counter.js
+const mongoose = require('mongoose');
+
+// The sequence of one document number series (utils/numbering.js): one per document type,
+// billing entity and financial year. Numbers handed out for documents that then failed to
+// save are kept in `released` and handed out again first, so the series has no gaps.
+const counterSchema = new mongoose.Schema({
+  // `${docType}:${entity}:${financialYear}`, e.g. "invoice::2026-27" or "invoice:MC:2026-27"
+  key: { type: String, required: true, unique: true },
+  docType: { type: String, required: true },
+  entity: { type: String, default: '' },
+  financialYear: { type: String, required: true },
+  // The last number handed out
+  seq: { type: Number, default: 0 },
+  released: { type: [Number], default: [] }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,40 @@
+// models/CustomFieldDefinition.js
+const mongoose = require('mongoose');
+
+// An admin-defined field of accounts, quotations, invoices or products. Values live in the
+// entity's `customFields` map under `key` and are checked by utils/customFields.js.
+// Fields are deactivated rather than deleted, so stored values are kept.
+const customFieldDefinitionSchema = new mongoose.Schema({
+  entity: { type: String, enum: ['accounts', 'quotations', 'invoices', 'products'], required: true },
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{0,39}$/, 'key must start with a letter and contain only lowercase letters, digits and _']
+  },
+  label: { type: String, required: true, trim: true },
+  type: {
+    type: String,
+    enum: ['text', 'number', 'date', 'select', 'multi-select', 'boolean'],
+    required: true
+  },
+  required: { type: Boolean, default: false },
+  // Allowed values of select / multi-select fields
+  options: [{ type: String, trim: true }],
+  validation: {
+    min: Number,       // number: smallest value
+    max: Number,       // number: largest value
+    minLength: Number, // text
+    maxLength: Number, // text
+    pattern: String    // text: regular expression the value must match
+  },
+  helpText: String,
+  order: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+customFieldDefinitionSchema.index({ entity: 1, key: 1 }, { unique: true });
+customFieldDefinitionSchema.index({ entity: 1, active: 1, order: 1 });
+
+module.exports = mongoose.model('CustomFieldDefinition', customFieldDefinitionSchema);
@@ -0,0 +1,37 @@
+// models/ImportBatch.js
+const mongoose = require('mongoose');
+
+// One committed bulk import. Imported records point back to it (e.g. BusinessAccount.importBatch)
+// so the whole import can be rolled back.
+const importBatchSchema = new mongoose.Schema({
+  entity: { type: String, enum: ['BusinessAccount'], default: 'BusinessAccount' },
+  fileName: String,
+  mapping: mongoose.Schema.Types.Mixed, // column header -> field
+  status: {
+    type: String,
+    enum: ['importing', 'completed', 'rolled-back'],
+    default: 'importing'
+  },
+  totalRows: { type: Number, default: 0 },
+  importedCount: { type: Number, default: 0 },
+  skippedCount: { type: Number, default: 0 },
+  // Rows that were not imported, with the reasons
+  rowErrors: [{
+    _id: false,
+    row: Number,
+    messages: [String]
+  }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  rolledBackAt: { type: Date, default: null },
+  rolledBackBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  rollback: {
+    removedCount: Number,
+    keptCount: Number,
+    // Accounts left in place because they were worked on after the import
+    kept: [{ _id: false, account: mongoose.Schema.Types.ObjectId, reason: String }]
+  }
+}, { timestamps: true });
+
+importBatchSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
@@ -38,19 +38,55 @@ const itemSchema = new mongoose.Schema({
   hsnSac: String,
   quantity: Number,
   rate: Number,
+  // Computed by utils/taxEngine.js: GST rate (defaults from the product / HSN code), line discount
+  // (percent or amount), taxable value after all discounts and the tax on it
+  gstRate: Number,
+  discountPercent: Number,
+  discountAmount: Number,
+  taxableValue: Number,
+  cgstAmount: Number,
+  sgstAmount: Number,
+  igstAmount: Number,
+  amount: Number,
   specifications: [{ name: String, value: String }] // Array of specification objects
 }, { _id: false });
 
+// One row per HSN/SAC code and rate, as printed in the tax summary of the document
+const hsnSummarySchema = new mongoose.Schema({
+  hsnSac: String,
+  gstRate: Number,
+  taxableValue: Number,
+  cgstAmount: Number,
+  sgstAmount: Number,
+  igstAmount: Number,
+  totalTax: Number
+}, { _id: false });
+
+// A stored version of the invoice PDF
+const pdfVersionSchema = new mongoose.Schema({
+  version: Number,
+  key: String, // Private object key in the bucket (utils/s3Upload.js)
+  generatedAt: { type: Date, default: Date.now },
+  generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
 // Main Invoice Schema
 const invoiceSchema = new mongoose.Schema({
   // Unique invoice number, sparse allows null values but ensures uniqueness for non-null
   invoiceNumber: { type: String, unique: true, sparse: true },
+  // Code of the billing entity whose number series the invoice is numbered in ('' = default series)
+  billingEntity: { type: String, default: '' },
 
   businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'BusinessAccount' }, // Reference to BusinessAccount model
   businessName: String,             // Denormalized for display and easier access
   customerName: String,
   customerAddress: String,
   customerGSTIN: String,
+  // Customers without GST registration are invoiced without a GSTIN, to the state given here
+  customerUnregistered: { type: Boolean, default: false },
+  customerStateCode: String,
+  // State code of the place of supply; compared with the company's state to decide gstType
+  placeOfSupply: String,
   companyGSTIN: String,
   companyName: String,
   companyAddress: String,
@@ -61,6 +97,9 @@ const invoiceSchema = new mongoose.Schema({
   contactName: { type: String, required: true },
   email: { type: String, required: true },
   mobileNumber: { type: String, required: true },
+  // Contact person of the account picked for this invoice; fills contactName, email and mobileNumber
+  contactId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  contactDesignation: String,
 
   date: String, // Date of invoice creation
   dueDate: String, // Due date for payment
@@ -72,7 +111,13 @@ const invoiceSchema = new mongoose.Schema({
   taxRate: { type: Number, default: 18 }, // Default GST rate
   totalAmount: Number,
   discountAmount: { type: Number, default: 0 },
+  // Line and invoice discounts together, the value GST is charged on, and the rounding to the rupee
+  totalDiscount: Number,
+  taxableValue: Number,
+  roundOff: Number,
+  hsnSummary: [hsnSummarySchema],
 
+  // Set from the company's state and the place of supply (utils/documentGst.js)
   gstType: { type: String, enum: ['intrastate', 'interstate'], default: 'intrastate' },
   gstPercentage: { type: Number, default: 18 }, // Custom entry for GST percentage
   cgstAmount: Number, // Central GST amount
@@ -98,8 +143,34 @@ const invoiceSchema = new mongoose.Schema({
   // isClosed field to indicate if the invoice is locked/closed
   isClosed: { type: Boolean, default: false }, 
   
-  followUps: [followUpSchema] // Array of follow-up entries
+  followUps: [followUpSchema], // Array of follow-up entries
+
+  // Values of admin-defined fields, checked by utils/customFields.js
+  customFields: { type: Map, of: mongoose.Schema.Types.Mixed, default: {} },
+
+  // The latest stored PDF with all copies (utils/documentPdf.js). A new version is stored whenever
+  // the printed content changes, including when the invoice is closed and stamped FINAL. The objects
+  // are private: the API hands out short-lived signed URLs for them.
+  pdfKey: String,
+  pdfVersion: { type: Number, default: 0 },
+  pdfHash: String,
+  pdfGeneratedAt: Date,
+  pdfHistory: [pdfVersionSchema]
 
 }, { timestamps: true }); // timestamps: true adds createdAt and updatedAt fields automatically
 
+// Global search (utils/search.js)
+invoiceSchema.index({
+  invoiceNumber: 'text',
+  businessName: 'text',
+  customerName: 'text',
+  contactName: 'text',
+  customerGSTIN: 'text',
+  'items.description': 'text',
+  'items.hsnSac': 'text'
+}, {
+  name: 'invoice_search',
+  weights: { invoiceNumber: 10, customerGSTIN: 8, businessName: 5, customerName: 5, contactName: 3, 'items.hsnSac': 3, 'items.description': 1 }
+});
+
 module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,23 @@
+// models/JobRun.js
+const mongoose = require('mongoose');
+
+// One execution of a scheduled job (see utils/scheduler.js). runKey identifies the
+// period a run covers (e.g. "task-digest:2024-05-01"); it is unique so no period runs twice.
+const jobRunSchema = new mongoose.Schema({
+  job: { type: String, required: true },
+  runKey: { type: String, required: true, unique: true },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  attempts: { type: Number, default: 1 },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date, default: null },
+  result: mongoose.Schema.Types.Mixed,
+  error: { type: String, default: null }
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,20 @@
+// models/LoginHistory.js
+const mongoose = require('mongoose');
+
+const loginHistorySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null when the email matched no user
+  email: String,
+  ip: String,
+  userAgent: String,
+  success: { type: Boolean, required: true },
+  reason: {
+    type: String,
+    enum: ['success', 'invalid-credentials', 'invalid-2fa', 'inactive', 'locked'],
+    default: 'success'
+  },
+  timestamp: { type: Date, default: Date.now }
+});
+
+loginHistorySchema.index({ user: 1, timestamp: -1 });
+
+module.exports = mongoose.model('LoginHistory', loginHistorySchema);
@@ -0,0 +1,15 @@
+// models/LoginThrottle.js
+const mongoose = require('mongoose');
+
+// Failed-login counter for one key: "account:<email>" or "ip:<address>"
+const loginThrottleSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  lastFailureAt: Date,
+  lockedUntil: { type: Date, default: null }
+}, { timestamps: true });
+
+// Forget counters that have been quiet for a day
+loginThrottleSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
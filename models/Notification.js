@@ -0,0 +1,31 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+
+// A message sent to a user through utils/notifier.js. The record doubles as the
+// in-app notification and as the delivery log of the other channels (e.g. email).
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: {
+    type: String,
+    enum: ['task-reminder', 'task-digest'],
+    required: true
+  },
+  title: { type: String, required: true },
+  message: String,
+  data: mongoose.Schema.Types.Mixed, // e.g. { taskIds: [...] }
+  channels: [String],
+  deliveries: [{
+    _id: false,
+    channel: String,
+    status: { type: String, enum: ['sent', 'failed'] },
+    error: String,
+    at: { type: Date, default: Date.now }
+  }],
+  // Guards against sending the same notification twice
+  dedupeKey: { type: String, unique: true, sparse: true },
+  readAt: { type: Date, default: null }
+}, { timestamps: true });
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
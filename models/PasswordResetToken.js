@@ -0,0 +1,16 @@
+// models/PasswordResetToken.js
+const mongoose = require('mongoose');
+
+// Only a SHA-256 hash of the token is stored; the raw token is sent by mail.
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  requestedIp: String
+}, { timestamps: true });
+
+// Let MongoDB clean up expired tokens a day after they expire
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
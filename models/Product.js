@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { GST_RATES } = require('../utils/taxEngine');
 
 const noteSchema = new mongoose.Schema({
   text: String,
@@ -23,7 +24,24 @@ const productSchema = new mongoose.Schema({
   description: String,
   options: [optionSchema],
   notes: [noteSchema],
-  hsnSac: String // Added the HSN/SAC field here
+  hsnSac: String, // Added the HSN/SAC field here
+  // GST rate (percent) of this product's HSN/SAC; quotation and invoice lines default to it
+  gstRate: {
+    type: Number,
+    default: null,
+    validate: {
+      validator: rate => rate === null || GST_RATES.includes(rate),
+      message: `gstRate must be one of ${GST_RATES.join(', ')}`
+    }
+  },
+  // Values of admin-defined fields, checked by utils/customFields.js
+  customFields: { type: Map, of: mongoose.Schema.Types.Mixed, default: {} }
 }, { timestamps: true });
 
+// Global search (utils/search.js)
+productSchema.index(
+  { productName: 'text', hsnSac: 'text', description: 'text' },
+  { name: 'product_search', weights: { productName: 10, hsnSac: 8, description: 1 } }
+);
+
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -13,9 +13,38 @@ const itemSchema = new mongoose.Schema({
   quantity: Number,
   quantityType: String, 
   rate: Number,
+  // Computed by utils/taxEngine.js: GST rate (defaults from the product / HSN code), line discount
+  // (percent or amount), taxable value after all discounts and the tax on it
+  gstRate: Number,
+  discountPercent: Number,
+  discountAmount: Number,
+  taxableValue: Number,
+  cgstAmount: Number,
+  sgstAmount: Number,
+  igstAmount: Number,
+  amount: Number,
   specifications: [specificationSchema] 
 }, { _id: false });
 
+// One row per HSN/SAC code and rate, as printed in the tax summary of the document
+const hsnSummarySchema = new mongoose.Schema({
+  hsnSac: String,
+  gstRate: Number,
+  taxableValue: Number,
+  cgstAmount: Number,
+  sgstAmount: Number,
+  igstAmount: Number,
+  totalTax: Number
+}, { _id: false });
+
+// A stored version of the quotation PDF
+const pdfVersionSchema = new mongoose.Schema({
+  version: Number,
+  key: String, // Private object key in the bucket (utils/s3Upload.js)
+  generatedAt: { type: Date, default: Date.now },
+  generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
 const noteSchema = new mongoose.Schema({
   text: String,
   timestamp: String, 
@@ -39,21 +68,71 @@ const quotationSchema = new mongoose.Schema({
   businessType: String,
   businessInfo: String,
   gstin: String,
+  // Customers without GST registration are quoted without a GSTIN, to the state given here
+  customerUnregistered: { type: Boolean, default: false },
+  customerStateCode: String,
+  // State code of the place of supply; compared with the company's state to decide gstType
+  placeOfSupply: String,
     followUps: [followUpSchema],
 
   quotationNumber: { type: String, unique: true, required: true }, 
+  // Code of the billing entity whose number series the quotation is numbered in ('' = default series)
+  billingEntity: { type: String, default: '' },
   date: String, 
   validUntil: String, 
   customerName: String,
   customerAddress: String,
+  // Contact person of the account the quotation is addressed to (details copied at the time)
+  contactId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  contactName: String,
+  contactEmail: String,
+  contactNumber: String,
+  contactDesignation: String,
   items: [itemSchema],
   subTotal: Number,
+  // Discount on the whole quotation, on top of any line discounts
+  discountAmount: { type: Number, default: 0 },
+  totalDiscount: Number,
+  taxableValue: Number,
   tax: Number,
+  cgstAmount: Number,
+  sgstAmount: Number,
+  igstAmount: Number,
+  roundOff: Number,
   total: Number,
+  hsnSummary: [hsnSummarySchema],
   createdDate: String,
   notes: [noteSchema],
+  // Printed on the PDF; the company's quotationTerms setting is used when empty
+  terms: [String],
+  // The latest stored PDF (utils/documentPdf.js). A new version is stored whenever the printed
+  // content changes; pdfHash fingerprints the content of the latest one. The objects are private:
+  // the API hands out short-lived signed URLs for them.
+  pdfKey: String,
+  // Download link of the latest version: /api/quotations/:id/pdf?version=n (authenticated)
   pdfUrl: String,
-  gstType: String
+  pdfVersion: { type: Number, default: 0 },
+  pdfHash: String,
+  pdfGeneratedAt: Date,
+  pdfHistory: [pdfVersionSchema],
+  // 'intrastate' or 'interstate', set from the company's state and the place of supply (utils/documentGst.js)
+  gstType: String,
+  // Values of admin-defined fields, checked by utils/customFields.js
+  customFields: { type: Map, of: mongoose.Schema.Types.Mixed, default: {} }
 }, { timestamps: true });
 
+// Global search (utils/search.js)
+quotationSchema.index({
+  quotationNumber: 'text',
+  businessName: 'text',
+  customerName: 'text',
+  contactName: 'text',
+  gstin: 'text',
+  'items.description': 'text',
+  'items.hsnSac': 'text'
+}, {
+  name: 'quotation_search',
+  weights: { quotationNumber: 10, gstin: 8, businessName: 5, customerName: 5, contactName: 3, 'items.hsnSac': 3, 'items.description': 1 }
+});
+
 module.exports = mongoose.model('Quotation', quotationSchema);
\ No newline at end of file
@@ -0,0 +1,25 @@
+// models/RefreshToken.js
+const mongoose = require('mongoose');
+
+// Server-side record of an issued refresh token. Only a SHA-256 hash of the token is stored.
+// Tokens issued by rotating each other share a `family`, so reuse of an already rotated
+// token can revoke the whole chain.
+const refreshTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout-all', 'reuse-detected', 'user-deactivated', 'user-deleted', 'role-changed', 'password-changed', null],
+    default: null
+  },
+  createdByIp: String,
+  userAgent: String
+}, { timestamps: true });
+
+// Let MongoDB drop tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
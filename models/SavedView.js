@@ -0,0 +1,27 @@
+// models/SavedView.js
+const mongoose = require('mongoose');
+
+// A named filter / sort / column configuration of one of the list screens (see utils/savedViews.js).
+// `filters` holds the list's query-string filters (utils/listQueries.js); "me" as assignedTo and
+// "mine" as zone are resolved for whoever runs the view, so a shared view works for each viewer.
+const savedViewSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  list: { type: String, enum: ['accounts', 'quotations', 'invoices'], required: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  filters: { type: Map, of: String, default: {} },
+  sortBy: { type: String, default: 'createdAt' },
+  sortOrder: { type: String, enum: ['asc', 'desc'], default: 'desc' },
+  columns: [String],
+  pageSize: { type: Number, min: 1, max: 100, default: 10 },
+  // Who else sees the view. Sharing never widens what the viewer can see: the view runs
+  // with the viewer's own data scope.
+  visibility: { type: String, enum: ['private', 'team', 'zone'], default: 'private' },
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null },
+  zone: { type: mongoose.Schema.Types.ObjectId, ref: 'Zone', default: null }
+}, { timestamps: true });
+
+savedViewSchema.index({ owner: 1, list: 1 });
+savedViewSchema.index({ visibility: 1, team: 1 });
+savedViewSchema.index({ visibility: 1, zone: 1 });
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
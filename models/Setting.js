@@ -0,0 +1,11 @@
+// models/Setting.js
+const mongoose = require('mongoose');
+
+// Admin-configurable application settings, one document per key (see config/settings.js)
+const settingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, trim: true },
+  value: { type: mongoose.Schema.Types.Mixed, default: {} },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true, minimize: false });
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,18 @@
+// models/StageChange.js
+const mongoose = require('mongoose');
+
+// One move of a BusinessAccount between pipeline stages (BusinessAccount.status).
+// `from` is null for the stage an account was created in.
+const stageChangeSchema = new mongoose.Schema({
+  account: { type: mongoose.Schema.Types.ObjectId, ref: 'BusinessAccount', required: true },
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reason: { type: String, default: null },
+  changedAt: { type: Date, default: Date.now }
+});
+
+stageChangeSchema.index({ account: 1, changedAt: 1 });
+stageChangeSchema.index({ changedAt: -1 });
+
+module.exports = mongoose.model('StageChange', stageChangeSchema);
@@ -0,0 +1,22 @@
+// models/Tag.js
+const mongoose = require('mongoose');
+
+// A label from the managed tag vocabulary (e.g. "Port", "50T+ capacity", "Expo 2025 campaign").
+// Accounts reference tags by id in BusinessAccount.tags.
+const tagSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  color: {
+    type: String,
+    default: '#9e9e9e',
+    match: [/^#[0-9a-fA-F]{6}$/, 'color must be a hex color like #1e88e5']
+  },
+  // Groups tags in the UI, e.g. Industry, Capacity, Campaign
+  category: { type: String, trim: true, default: null },
+  description: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+// Names are unique regardless of case
+tagSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Tag', tagSchema);
@@ -0,0 +1,52 @@
+// models/Task.js
+const mongoose = require('mongoose');
+
+// A follow-up / to-do item. Tasks can stand alone or be linked to an account,
+// quotation or invoice; the /:id/followups routes of those entities are views over this collection.
+const taskSchema = new mongoose.Schema({
+  title: { type: String, trim: true },
+  note: { type: String, required: true },
+  dueDate: { type: Date, required: true },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  // "Overdue" is not stored: it is a pending task whose dueDate has passed (see isOverdue)
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'cancelled'],
+    default: 'pending'
+  },
+  completedAt: { type: Date, default: null },
+  completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Set once the due/overdue reminder went out (utils/taskReminders.js)
+  reminderSentAt: { type: Date, default: null },
+
+  // What the task is about
+  relatedModel: { type: String, enum: ['BusinessAccount', 'Quotation', 'Invoice', null], default: null },
+  relatedId: { type: mongoose.Schema.Types.ObjectId, refPath: 'relatedModel', default: null },
+  // The account behind the related record, used for visibility scoping
+  businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'BusinessAccount', default: null }
+}, { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+taskSchema.virtual('isOverdue').get(function () {
+  return this.status === 'pending' && this.dueDate < new Date();
+});
+
+// A rescheduled task gets a fresh reminder
+taskSchema.pre('save', function (next) {
+  if (!this.isNew && this.isModified('dueDate')) {
+    this.reminderSentAt = null;
+  }
+  next();
+});
+
+taskSchema.index({ assignedTo: 1, status: 1, dueDate: 1 });
+taskSchema.index({ status: 1, reminderSentAt: 1, dueDate: 1 });
+taskSchema.index({ relatedModel: 1, relatedId: 1, createdAt: 1 });
+taskSchema.index({ businessId: 1 });
+
+module.exports = mongoose.model('Task', taskSchema);
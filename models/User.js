@@ -1,5 +1,6 @@
 // models/User.js
 const mongoose = require('mongoose');
+const { isHashed, hashPassword } = require('../utils/password');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -46,7 +47,47 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Zone',
     default: null
+  },
+  // Incremented to invalidate all access tokens issued to this user (see utils/tokens.js)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // TOTP two-factor authentication (see utils/totp.js)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null },
+    pendingSecret: { type: String, default: null }, // Set during enrolment until the first code is confirmed
+    recoveryCodes: [String], // SHA-256 hashes of unused one-time recovery codes
+    lastUsedCounter: { type: Number, default: null }, // Rejects replay of an already used code
+    enabledAt: { type: Date, default: null }
   }
 }, { timestamps: true });
 
+// Hash the password whenever it is set in plaintext, whether through save() or findOneAndUpdate()
+userSchema.pre('save', async function () {
+  if (this.isModified('password') && !isHashed(this.password)) {
+    this.password = await hashPassword(this.password);
+  }
+});
+
+userSchema.pre('findOneAndUpdate', async function () {
+  const update = this.getUpdate() || {};
+  const target = update.$set && update.$set.password !== undefined ? update.$set : update;
+  if (target.password !== undefined && !isHashed(target.password)) {
+    target.password = await hashPassword(target.password);
+  }
+});
+
+// Never expose the password hash or two-factor secrets in API responses
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    if (ret.twoFactor) {
+      ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt };
+    }
+    return ret;
+  }
+});
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
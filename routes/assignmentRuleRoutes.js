@@ -0,0 +1,15 @@
+// routes/assignmentRuleRoutes.js
+const express = require('express');
+const router = express.Router();
+const assignmentRuleController = require('../controllers/assignmentRuleController');
+const authorize = require('../middlewares/authorize');
+
+// Log of assignment decisions (which rule fired for which account)
+router.get('/logs', authorize('assignmentRules:read'), assignmentRuleController.getAssignmentLogs);
+
+router.get('/', authorize('assignmentRules:read'), assignmentRuleController.getRules);
+router.post('/', authorize('assignmentRules:manage'), assignmentRuleController.createRule);
+router.put('/:id', authorize('assignmentRules:manage'), assignmentRuleController.updateRule);
+router.delete('/:id', authorize('assignmentRules:manage'), assignmentRuleController.deleteRule);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+// routes/auditLogRoutes.js
+const express = require('express');
+const router = express.Router();
+const auditLogController = require('../controllers/auditLogController');
+const authorize = require('../middlewares/authorize');
+
+// Query the audit trail (filter by entity, entityId, userId, action and date range)
+router.get('/', authorize('audit:read'), auditLogController.getAuditLogs);
+
+module.exports = router;
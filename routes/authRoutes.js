@@ -1,7 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const auth = require('../middlewares/auth');
+const twoFactorSetup = require('../middlewares/twoFactorSetup');
 
 router.post('/login', authController.login);
+router.post('/login/2fa', authController.verifyTwoFactorLogin);
+
+// Sessions
+router.post('/refresh', authController.refresh);
+router.post('/logout', authController.logout);
+router.post('/logout-all', auth, authController.logoutAll);
+
+// Password management
+router.post('/change-password', auth, authController.changePassword);
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
+
+// Two-factor authentication (TOTP)
+router.post('/2fa/setup', twoFactorSetup, authController.setupTwoFactor);
+router.post('/2fa/enable', twoFactorSetup, authController.enableTwoFactor);
+router.post('/2fa/disable', auth, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', auth, authController.regenerateRecoveryCodes);
 
 module.exports = router;
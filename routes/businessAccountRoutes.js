@@ -1,11 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const controller = require('../controllers/businessAccountController');
+const importController = require('../controllers/accountImportController');
+const contactController = require('../controllers/contactController');
+const tagController = require('../controllers/tagController');
+const authorize = require('../middlewares/authorize');
+const { uploadSpreadsheet } = require('../middlewares/upload');
 const User = require('../models/User'); // Assuming User model path
 const Zone = require('../models/Zone'); // Assuming Zone model exists
 
 // Route to get all users for "Assigned To" dropdown
-router.get('/users', async (req, res) => {
+router.get('/users', authorize('accounts:read'), async (req, res) => {
     try {
         const users = await User.find({}, 'name role');
         res.json(users);
@@ -15,7 +20,7 @@ router.get('/users', async (req, res) => {
 });
 
 // NEW ROUTE: Get all zones for "Zone" dropdown
-router.get('/zones', async (req, res) => {
+router.get('/zones', authorize('accounts:read'), async (req, res) => {
     try {
         const zones = await Zone.find({}, 'name');
         res.json(zones);
@@ -25,45 +30,80 @@ router.get('/zones', async (req, res) => {
 });
 
 // Route to get quotations sent
-router.get('/quotations', controller.getQuotationsSent);
+router.get('/quotations', authorize('accounts:read'), controller.getQuotationsSent);
 
 // NEW ROUTE: Get paginated and filtered business accounts
-router.get('/paginated', controller.getPaginatedAccounts);
+router.get('/paginated', authorize('accounts:read'), controller.getPaginatedAccounts);
+
+// Export the filtered account list as CSV or XLSX
+router.get('/export', authorize('accounts:export'), controller.exportAccounts);
 
 // NEW ROUTE: Get aggregated counts for all account statuses
-router.get('/counts', controller.getAccountCounts);
+router.get('/counts', authorize('accounts:read'), controller.getAccountCounts);
+
+// Bulk import from CSV/XLSX (dryRun=true for a validation report), and rollback by batch
+router.post('/import', authorize('accounts:import'), uploadSpreadsheet, importController.importAccounts);
+router.get('/imports', authorize('accounts:import'), importController.getImportBatches);
+router.get('/imports/:batchId', authorize('accounts:import'), importController.getImportBatch);
+router.post('/imports/:batchId/rollback', authorize('accounts:import'), importController.rollbackImport);
+
+// Add / remove tags on a selection of accounts
+router.post('/tags/bulk', authorize('accounts:tag'), tagController.bulkTagAccounts);
+
+// Groups of accounts that look like the same company
+router.get('/duplicates', authorize('accounts:read'), controller.getDuplicates);
+
+// Average time spent in each pipeline stage, overall and per user
+router.get('/reports/stage-durations', authorize('accounts:read'), controller.getStageDurationReport);
 
 // GET all business accounts (Can be deprecated if '/paginated' is used for all list views)
-router.get('/', controller.getAll);
+router.get('/', authorize('accounts:read'), controller.getAll);
 
 // GET only customers (isCustomer: true)
-router.get('/customers', controller.getCustomers);
+router.get('/customers', authorize('accounts:read'), controller.getCustomers);
 
 // GET active leads
-router.get('/leads/active', controller.getActiveLeads);
+router.get('/leads/active', authorize('accounts:read'), controller.getActiveLeads);
 
 // GET leads by source type
-router.get('/leads/source/:sourceType', controller.getLeadsBySource);
+router.get('/leads/source/:sourceType', authorize('accounts:read'), controller.getLeadsBySource);
 
 // CRUD operations for accounts
-router.post('/', controller.create);
-router.put('/:id', controller.update);
-router.delete('/:id', controller.delete); // This is a soft delete (status to 'Closed')
+router.post('/', authorize('accounts:create'), controller.create);
+router.put('/:id', authorize('accounts:update'), controller.update);
+router.delete('/:id', authorize('accounts:delete'), controller.delete); // This is a soft delete (status to 'Closed')
 
 // GET a business account by ID
-router.get('/:id', controller.getAccountById);
+router.get('/:id', authorize('accounts:read'), controller.getAccountById);
+
+// Pipeline stage changes (validated against the configured transitions) and their history
+router.patch('/:id/status', authorize('accounts:update'), controller.changeStatus);
+router.get('/:id/stage-history', authorize('accounts:read'), controller.getStageHistory);
+
+// Notes, follow-ups, status changes, quotations, invoices, payments and assignments in one feed
+router.get('/:id/timeline', authorize('accounts:read'), controller.getTimeline);
+
+// Merge duplicate accounts ({ sourceIds }) into this one
+router.post('/:id/merge', authorize('accounts:merge'), controller.mergeAccounts);
 
 // Follow-up routes
-router.get('/:id/followups', controller.getFollowUpsByAccountId);
-router.post('/:id/followups', controller.addFollowUp);
-router.put('/:id/followups/:index', controller.updateFollowUp);
-router.delete('/:id/followups/:index', controller.deleteFollowUp);
+router.get('/:id/followups', authorize('accounts:followups'), controller.getFollowUpsByAccountId);
+router.post('/:id/followups', authorize('accounts:followups'), controller.addFollowUp);
+router.put('/:id/followups/:index', authorize('accounts:followups'), controller.updateFollowUp);
+router.delete('/:id/followups/:index', authorize('accounts:followups'), controller.deleteFollowUp);
+
+// Contact person routes
+router.get('/:id/contacts', authorize('accounts:read'), contactController.getContacts);
+router.post('/:id/contacts', authorize('accounts:contacts'), contactController.addContact);
+router.put('/:id/contacts/:contactId', authorize('accounts:contacts'), contactController.updateContact);
+router.patch('/:id/contacts/:contactId/primary', authorize('accounts:contacts'), contactController.setPrimary);
+router.delete('/:id/contacts/:contactId', authorize('accounts:contacts'), contactController.deleteContact);
 
 // Note routes
-router.post('/:id/notes', controller.addNote);
+router.post('/:id/notes', authorize('accounts:notes'), controller.addNote);
 
 // Placeholder for quotation specific routes if needed
-router.post('/:id/quotations', controller.addQuotation); // Example for adding a quotation to an account
-router.get('/:id/quotations', controller.getQuotations); // Example for getting quotations for an account
+router.post('/:id/quotations', authorize('quotations:create'), controller.addQuotation); // Example for adding a quotation to an account
+router.get('/:id/quotations', authorize('quotations:read'), controller.getQuotations); // Example for getting quotations for an account
 
 module.exports = router;
\ No newline at end of file
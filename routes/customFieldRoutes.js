@@ -0,0 +1,12 @@
+// routes/customFieldRoutes.js
+const express = require('express');
+const router = express.Router();
+const customFieldController = require('../controllers/customFieldController');
+const authorize = require('../middlewares/authorize');
+
+router.get('/', authorize('customFields:read'), customFieldController.getFields);
+router.post('/', authorize('customFields:manage'), customFieldController.createField);
+router.put('/:id', authorize('customFields:manage'), customFieldController.updateField);
+router.delete('/:id', authorize('customFields:manage'), customFieldController.deactivateField);
+
+module.exports = router;
@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const departmentController = require('../controllers/departmentController');
+const authorize = require('../middlewares/authorize');
 
-router.get('/', departmentController.getAllDepartments);
-router.get('/:id', departmentController.getSingleDepartment);
-router.post('/', departmentController.createDepartment);
-router.put('/:id', departmentController.updateDepartment);
-router.delete('/:id', departmentController.deleteDepartment);
+router.get('/', authorize('departments:read'), departmentController.getAllDepartments);
+router.get('/:id', authorize('departments:read'), departmentController.getSingleDepartment);
+router.post('/', authorize('departments:manage'), departmentController.createDepartment);
+router.put('/:id', authorize('departments:manage'), departmentController.updateDepartment);
+router.delete('/:id', authorize('departments:manage'), departmentController.deleteDepartment);
 
 module.exports = router;
\ No newline at end of file
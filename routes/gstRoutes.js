@@ -0,0 +1,10 @@
+// routes/gstRoutes.js
+const express = require('express');
+const router = express.Router();
+const gstController = require('../controllers/gstController');
+const authorize = require('../middlewares/authorize');
+
+router.get('/states', authorize('gst:read'), gstController.getStates);
+router.get('/gstin/:gstin', authorize('gst:read'), gstController.checkGstin);
+
+module.exports = router;
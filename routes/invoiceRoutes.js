@@ -1,39 +1,46 @@
 const express = require('express');
 const router = express.Router();
 const invoiceController = require('../controllers/invoiceController');
+const authorize = require('../middlewares/authorize');
 
 // GET routes
-router.get('/', invoiceController.getAll);
+router.get('/', authorize('invoices:read'), invoiceController.getAll);
+router.get('/paginated', authorize('invoices:read'), invoiceController.getPaginated);
+router.get('/export', authorize('invoices:export'), invoiceController.exportInvoices);
 // Removed router.get('/types') as invoiceType is now fixed to 'Invoice'
-router.get('/leads/active', invoiceController.getActiveBusinesses);
-router.get('/business/:id', invoiceController.getInvoicesByBusinessId);
-router.get('/business/:id/payments', invoiceController.getPaymentsByBusinessId);
+router.get('/leads/active', authorize('accounts:read'), invoiceController.getActiveBusinesses);
+router.get('/business/:id', authorize('invoices:read'), invoiceController.getInvoicesByBusinessId);
+router.get('/business/:id/payments', authorize('invoices:read'), invoiceController.getPaymentsByBusinessId);
 
 // --- CORRECTED FOLLOW-UP ROUTES (associated with Invoice ID) ---
-router.get('/:id/followups', invoiceController.getFollowUpsByInvoiceId);
-router.post('/:id/followups', invoiceController.addFollowUp);
-router.put('/:id/followups/:index', invoiceController.updateFollowUp);
-router.delete('/:id/followups/:index', invoiceController.deleteFollowUp);
+router.get('/:id/followups', authorize('invoices:followups'), invoiceController.getFollowUpsByInvoiceId);
+router.post('/:id/followups', authorize('invoices:followups'), invoiceController.addFollowUp);
+router.put('/:id/followups/:index', authorize('invoices:followups'), invoiceController.updateFollowUp);
+router.delete('/:id/followups/:index', authorize('invoices:followups'), invoiceController.deleteFollowUp);
 
-router.get('/:id', invoiceController.getInvoiceById);
+// PDF with the original / duplicate / triplicate copies; POST stores a new version
+router.get('/:id/pdf', authorize('invoices:read'), invoiceController.getPdf);
+router.post('/:id/pdf', authorize('invoices:update'), invoiceController.regeneratePdf);
+
+router.get('/:id', authorize('invoices:read'), invoiceController.getInvoiceById);
 
 // POST & PUT routes
-router.post('/', invoiceController.create);
-router.put('/:id', invoiceController.update);
-router.put('/:id/paymentHistory', invoiceController.updatePaymentHistory);
+router.post('/', authorize('invoices:create'), invoiceController.create);
+router.put('/:id', authorize('invoices:update'), invoiceController.update);
+router.put('/:id/paymentHistory', authorize('invoices:payments'), invoiceController.updatePaymentHistory);
 
 // PATCH routes
-router.patch('/:id/close', invoiceController.closeInvoice);
-router.patch('/:id/unlock', invoiceController.unlockInvoice);
+router.patch('/:id/close', authorize('invoices:close'), invoiceController.closeInvoice);
+router.patch('/:id/unlock', authorize('invoices:unlock'), invoiceController.unlockInvoice);
 // Removed router.patch('/:id/convert-to-invoice') as Proforma is removed.
 
 // This route is for adding a NEW payment to an invoice's paymentHistory array
-router.post('/:id/payments', invoiceController.addPayment);
+router.post('/:id/payments', authorize('invoices:payments'), invoiceController.addPayment);
 
 // NEW: Route to delete a specific payment from an invoice
-router.delete('/:invoiceId/payments/:paymentId', invoiceController.deletePayment);
+router.delete('/:invoiceId/payments/:paymentId', authorize('invoices:deletePayment'), invoiceController.deletePayment);
 
 // DELETE invoice
-router.delete('/:id', invoiceController.remove);
+router.delete('/:id', authorize('invoices:delete'), invoiceController.remove);
 
 module.exports = router;
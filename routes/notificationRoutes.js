@@ -0,0 +1,14 @@
+// routes/notificationRoutes.js
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const authorize = require('../middlewares/authorize');
+
+// History of the reminder / digest jobs
+router.get('/job-runs', authorize('jobs:read'), notificationController.getJobRuns);
+
+router.get('/', authorize('notifications:read'), notificationController.getNotifications);
+router.patch('/read-all', authorize('notifications:read'), notificationController.markAllNotificationsRead);
+router.patch('/:id/read', authorize('notifications:read'), notificationController.markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+// routes/numberSeriesRoutes.js
+const express = require('express');
+const router = express.Router();
+const numberSeriesController = require('../controllers/numberSeriesController');
+const authorize = require('../middlewares/authorize');
+
+router.get('/', authorize('numberSeries:read'), numberSeriesController.getSeries);
+router.get('/next', authorize('numberSeries:read'), numberSeriesController.getNextNumber);
+router.put('/', authorize('numberSeries:manage'), numberSeriesController.setNextNumber);
+
+module.exports = router;
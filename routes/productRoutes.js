@@ -1,23 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
+const authorize = require('../middlewares/authorize');
 
 // Get all products
-router.get('/product', productController.getAllProducts);
+router.get('/product', authorize('products:read'), productController.getAllProducts);
 
 // Get one product by ID
-router.get('/product/:id', productController.getProductById);
+router.get('/product/:id', authorize('products:read'), productController.getProductById);
 
 // Create a new product
-router.post('/product', productController.createProduct);
+router.post('/product', authorize('products:manage'), productController.createProduct);
 
 // Update a product
-router.put('/product/:id', productController.updateProduct);
+router.put('/product/:id', authorize('products:manage'), productController.updateProduct);
 
 // Delete a product
-router.delete('/product/:id', productController.deleteProduct);
+router.delete('/product/:id', authorize('products:manage'), productController.deleteProduct);
 
 // Update product notes
-router.put('/product/:id/notes', productController.updateProductNotes);
+router.put('/product/:id/notes', authorize('products:notes'), productController.updateProductNotes);
 
 module.exports = router;
@@ -2,33 +2,40 @@
 const express = require('express');
 const router = express.Router();
 const quotationController = require('../controllers/quotationController'); // Ensure it's quotationController
+const authorize = require('../middlewares/authorize');
 
 // GET routes
-router.get('/', quotationController.getAll);
+router.get('/', authorize('quotations:read'), quotationController.getAll);
+router.get('/paginated', authorize('quotations:read'), quotationController.getPaginated);
+router.get('/export', authorize('quotations:export'), quotationController.exportQuotations);
 
 // POST create a new quotation
-router.post('/', quotationController.create);
+router.post('/', authorize('quotations:create'), quotationController.create);
 
 // PUT update a quotation by ID
-router.put('/:id', quotationController.update);
+router.put('/:id', authorize('quotations:update'), quotationController.update);
 
 // DELETE a quotation by ID
-router.delete('/:id', quotationController.remove);
+router.delete('/:id', authorize('quotations:delete'), quotationController.remove);
+
+// Download the quotation PDF; regenerate stores a fresh version
+router.get('/:id/pdf', authorize('quotations:read'), quotationController.getPdf);
+router.post('/:id/pdf', authorize('quotations:update'), quotationController.regeneratePdf);
 
 // GET active businesses (for selection in quotation form, etc.)
-router.get('/leads/active', quotationController.getActiveBusinesses);
+router.get('/leads/active', authorize('accounts:read'), quotationController.getActiveBusinesses);
 
-router.get('/business/:id', quotationController.getQuotationsByBusinessId);
+router.get('/business/:id', authorize('quotations:read'), quotationController.getQuotationsByBusinessId);
 
 // --- NEW FOLLOW-UP ROUTES FOR QUOTATIONS ---
 // Get all follow-ups for a specific quotation
-router.get('/:id/followups', quotationController.getFollowUpsByQuotationId);
+router.get('/:id/followups', authorize('quotations:followups'), quotationController.getFollowUpsByQuotationId);
 // Add a new follow-up to a specific quotation
-router.post('/:id/followups', quotationController.addFollowUp);
+router.post('/:id/followups', authorize('quotations:followups'), quotationController.addFollowUp);
 // Update a specific follow-up by its index on a quotation
-router.put('/:id/followups/:index', quotationController.updateFollowUp);
+router.put('/:id/followups/:index', authorize('quotations:followups'), quotationController.updateFollowUp);
 // Delete a specific follow-up by its index from a quotation
-router.delete('/:id/followups/:index', quotationController.deleteFollowUp);
+router.delete('/:id/followups/:index', authorize('quotations:followups'), quotationController.deleteFollowUp);
 
 
 module.exports = router;
@@ -0,0 +1,13 @@
+// routes/savedViewRoutes.js
+const express = require('express');
+const router = express.Router();
+const savedViewController = require('../controllers/savedViewController');
+const authorize = require('../middlewares/authorize');
+
+router.get('/', authorize('views:read'), savedViewController.getViews);
+router.post('/', authorize('views:manage'), savedViewController.createView);
+router.get('/:id', authorize('views:read'), savedViewController.getView);
+router.put('/:id', authorize('views:manage'), savedViewController.updateView);
+router.delete('/:id', authorize('views:manage'), savedViewController.deleteView);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+// routes/searchRoutes.js
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const authorize = require('../middlewares/authorize');
+
+router.get('/', authorize('search:read'), searchController.search);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+// routes/settingsRoutes.js
+const express = require('express');
+const router = express.Router();
+const settingsController = require('../controllers/settingsController');
+const authorize = require('../middlewares/authorize');
+
+router.get('/:key', authorize('settings:read'), settingsController.getSetting);
+router.put('/:key', authorize('settings:manage'), settingsController.updateSetting);
+
+module.exports = router;
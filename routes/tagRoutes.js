@@ -0,0 +1,12 @@
+// routes/tagRoutes.js
+const express = require('express');
+const router = express.Router();
+const tagController = require('../controllers/tagController');
+const authorize = require('../middlewares/authorize');
+
+router.get('/', authorize('tags:read'), tagController.getTags);
+router.post('/', authorize('tags:manage'), tagController.createTag);
+router.put('/:id', authorize('tags:manage'), tagController.updateTag);
+router.delete('/:id', authorize('tags:manage'), tagController.deleteTag);
+
+module.exports = router;
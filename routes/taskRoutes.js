@@ -0,0 +1,19 @@
+// routes/taskRoutes.js
+const express = require('express');
+const router = express.Router();
+const taskController = require('../controllers/taskController');
+const authorize = require('../middlewares/authorize');
+
+// The logged-in user's own tasks
+router.get('/my/today', authorize('tasks:read'), taskController.getMyTasks('today'));
+router.get('/my/overdue', authorize('tasks:read'), taskController.getMyTasks('overdue'));
+router.get('/my/upcoming', authorize('tasks:read'), taskController.getMyTasks('upcoming'));
+
+router.get('/', authorize('tasks:read'), taskController.getTasks);
+router.post('/', authorize('tasks:manage'), taskController.createTask);
+router.get('/:id', authorize('tasks:read'), taskController.getTaskById);
+router.put('/:id', authorize('tasks:manage'), taskController.updateTask);
+router.patch('/:id/complete', authorize('tasks:manage'), taskController.completeTask);
+router.delete('/:id', authorize('tasks:manage'), taskController.deleteTask);
+
+module.exports = router;
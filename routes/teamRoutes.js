@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const teamController = require('../controllers/teamController');
+const authorize = require('../middlewares/authorize');
 
-router.get('/', teamController.getAllTeams);
-router.get('/:id', teamController.getSingleTeam);
-router.post('/', teamController.createTeam);
-router.put('/:id', teamController.updateTeam);
-router.delete('/:id', teamController.deleteTeam);
+router.get('/', authorize('teams:read'), teamController.getAllTeams);
+router.get('/:id', authorize('teams:read'), teamController.getSingleTeam);
+router.post('/', authorize('teams:manage'), teamController.createTeam);
+router.put('/:id', authorize('teams:manage'), teamController.updateTeam);
+router.delete('/:id', authorize('teams:manage'), teamController.deleteTeam);
 
 module.exports = router;
\ No newline at end of file
@@ -2,26 +2,32 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const authorize = require('../middlewares/authorize');
 
 // Get all users
-router.get('/', userController.getAllUsers);
+router.get('/', authorize('users:read'), userController.getAllUsers);
 
 // Get a single user by ID
-router.get('/:id', userController.getSingleUser);
+router.get('/:id', authorize('users:read'), userController.getSingleUser);
 
 // Get users by zone
-router.get('/zone/:zoneId', userController.getUsersByZone);
+router.get('/zone/:zoneId', authorize('users:read'), userController.getUsersByZone);
 
 // Create a new user
-router.post('/', userController.createUser);
+router.post('/', authorize('users:create'), userController.createUser);
 
 // Update an existing user
-router.put('/:id', userController.updateUser);
+router.put('/:id', authorize('users:update'), userController.updateUser);
 
 // Delete a user
-router.delete('/:id', userController.deleteUser);
+router.delete('/:id', authorize('users:delete'), userController.deleteUser);
 
 // Transfer a user
-router.put('/transfer/:id', userController.transferUser);
+router.put('/transfer/:id', authorize('users:transfer'), userController.transferUser);
+
+// Login security
+router.post('/:id/unlock', authorize('users:unlock'), userController.unlockUser);
+router.get('/:id/login-history', authorize('users:loginHistory'), userController.getLoginHistory);
+router.post('/:id/2fa/reset', authorize('users:resetTwoFactor'), userController.resetTwoFactor);
 
 module.exports = router;
\ No newline at end of file
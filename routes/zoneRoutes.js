@@ -6,14 +6,15 @@ const {
   updateZone,
   deleteZone
 } = require('../controllers/zoneController');
+const authorize = require('../middlewares/authorize');
 const router = express.Router();
 
 router.route('/')
-  .get(getAllZones)
-  .post(createZone);
+  .get(authorize('zones:read'), getAllZones)
+  .post(authorize('zones:manage'), createZone);
 
 router.route('/:id')
-  .put(updateZone)
-  .delete(deleteZone);
+  .put(authorize('zones:manage'), updateZone)
+  .delete(authorize('zones:manage'), deleteZone);
 
 module.exports = router;
\ No newline at end of file
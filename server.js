@@ -3,9 +3,17 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const auth = require('./middlewares/auth');
 
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "1") so req.ip is the client address
+// used by login throttling and login history
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // ✅ Middleware
 app.use(cors());
 const corsOptions = {
@@ -28,28 +36,74 @@ const productRoutes = require('./routes/productRoutes');
 const departmentRoutes = require('./routes/departmentRoutes'); 
 const teamRoutes = require('./routes/teamRoutes'); 
 const zoneRoutes = require('./routes/zoneRoutes'); // New: Import zoneRoutes
+const auditLogRoutes = require('./routes/auditLogRoutes');
+const settingsRoutes = require('./routes/settingsRoutes');
+const taskRoutes = require('./routes/taskRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const assignmentRuleRoutes = require('./routes/assignmentRuleRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const savedViewRoutes = require('./routes/savedViewRoutes');
+const customFieldRoutes = require('./routes/customFieldRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const gstRoutes = require('./routes/gstRoutes');
+const numberSeriesRoutes = require('./routes/numberSeriesRoutes');
+const { migrateAllEmbeddedFollowUps } = require('./utils/followUps');
+const { startScheduler } = require('./utils/scheduler');
+const { registerTaskReminderJobs } = require('./utils/taskReminders');
+const BusinessAccount = require('./models/BusinessAccount');
 
-// ✅ Route mounting
-app.use('/api/auth', authRoutes);
-app.use('/api/departments', departmentRoutes); 
-app.use('/api/teams', teamRoutes);
-app.use('/api/zones', zoneRoutes); // New: Mount zoneRoutes
-app.use('/api/accounts', businessRoutes);
-app.use('/api/quotations', quotationRoutes);
-app.use('/api/invoices', invoiceRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api', productRoutes);
-
-
-// ✅ Test route (optional)
+// ✅ Test route (optional, public)
 app.get('/api/test', (req, res) => {
   res.json({ message: 'Server is working fine 🎉' });
 });
 
+// ✅ Route mounting
+// Only /api/auth is public; every other router requires a valid JWT and
+// checks the caller's role per route (see config/permissions.js).
+app.use('/api/auth', authRoutes);
+app.use('/api/departments', auth, departmentRoutes); 
+app.use('/api/teams', auth, teamRoutes);
+app.use('/api/zones', auth, zoneRoutes); // New: Mount zoneRoutes
+app.use('/api/accounts', auth, businessRoutes);
+app.use('/api/quotations', auth, quotationRoutes);
+app.use('/api/invoices', auth, invoiceRoutes);
+app.use('/api/users', auth, userRoutes);
+app.use('/api/audit-logs', auth, auditLogRoutes);
+app.use('/api/settings', auth, settingsRoutes);
+app.use('/api/tasks', auth, taskRoutes);
+app.use('/api/notifications', auth, notificationRoutes);
+app.use('/api/assignment-rules', auth, assignmentRuleRoutes);
+app.use('/api/search', auth, searchRoutes);
+app.use('/api/views', auth, savedViewRoutes);
+app.use('/api/custom-fields', auth, customFieldRoutes);
+app.use('/api/tags', auth, tagRoutes);
+app.use('/api/gst', auth, gstRoutes);
+app.use('/api/number-series', auth, numberSeriesRoutes);
+app.use('/api', auth, productRoutes);
+
 // ✅ Connect DB and start server
-connectDB().then(() => {
+connectDB().then(async () => {
+  // Follow-ups used to be embedded in accounts, quotations and invoices; move any left over into tasks
+  try {
+    await migrateAllEmbeddedFollowUps();
+  } catch (err) {
+    console.error('❌ Follow-up migration failed:', err.message);
+  }
+  // Duplicate detection needs match keys on accounts created before it existed
+  try {
+    await BusinessAccount.backfillMatchKeys();
+  } catch (err) {
+    console.error('❌ Account match key backfill failed:', err.message);
+  }
+
   const PORT = process.env.PORT || 5000;
   app.listen(PORT, () => {
     console.log(`🌍 Server running at http://localhost:${PORT}`);
   });
+
+  // Set SCHEDULER_ENABLED=false on instances that should not send reminders
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    registerTaskReminderJobs();
+    startScheduler();
+  }
 });
\ No newline at end of file
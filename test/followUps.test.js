@@ -0,0 +1,53 @@
+// test/followUps.test.js
+// Follow-up handlers, with the models stubbed so no database is needed.
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Invoice = require('../models/Invoice');
+const Task = require('../models/Task');
+const AuditLog = require('../models/AuditLog');
+const { validateFollowUpChanges } = require('../utils/followUps');
+const invoiceController = require('../controllers/invoiceController');
+
+const mockRes = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+// A query stub that resolves to `value` whatever is chained onto it
+const query = (value) => {
+  const chain = { then: (resolve, reject) => Promise.resolve(value).then(resolve, reject) };
+  for (const method of ['select', 'sort', 'skip', 'limit', 'populate', 'lean']) chain[method] = () => chain;
+  return chain;
+};
+
+test('validateFollowUpChanges accepts a missing body', () => {
+  assert.strictEqual(validateFollowUpChanges(undefined), null);
+});
+
+test('deleting an invoice follow-up works without a request body', async (t) => {
+  const userId = new mongoose.Types.ObjectId();
+  const invoice = { _id: new mongoose.Types.ObjectId() };
+  const task = { _id: new mongoose.Types.ObjectId(), deleted: false, deleteOne: async () => { task.deleted = true; } };
+
+  t.mock.method(User, 'findById', () => query({ _id: userId, role: 'Superadmin' }));
+  t.mock.method(Invoice, 'findOne', () => query(invoice));
+  t.mock.method(Task, 'findOne', () => query(task));
+  t.mock.method(Task, 'find', () => query([]));
+  t.mock.method(AuditLog, 'create', async () => ({}));
+
+  const req = {
+    params: { id: String(invoice._id), index: String(task._id) },
+    body: undefined, // what Express 5 leaves on a DELETE without a body
+    user: { userId: String(userId), role: 'Superadmin' }
+  };
+  const res = mockRes();
+  await invoiceController.deleteFollowUp(req, res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.message, 'Follow-up deleted');
+  assert.ok(task.deleted);
+});
@@ -0,0 +1,222 @@
+// utils/accountImport.js
+// Turns spreadsheet rows into BusinessAccount data and checks them the same way
+// POST /api/accounts would: schema validation, pipeline rules and duplicate detection.
+const mongoose = require('mongoose');
+const BusinessAccount = require('../models/BusinessAccount');
+const User = require('../models/User');
+const Zone = require('../models/Zone');
+const { checkTransition } = require('./pipeline');
+const { getSetting } = require('./settings');
+const { computeMatchKeys, findDuplicates, matchReasons } = require('./duplicates');
+const { CUSTOM_FIELD_PREFIX, getDefinitions, checkCustomFields } = require('./customFields');
+const { accountGstFields } = require('./gstin');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000;
+
+// Importable fields and the column headers recognised for them without an explicit mapping
+const IMPORT_FIELDS = {
+  businessName: ['business name', 'business', 'company', 'company name', 'account', 'account name'],
+  contactName: ['contact name', 'contact'],
+  contactEmail: ['email', 'e mail', 'contact email', 'email address'],
+  contactNumber: ['phone', 'mobile', 'contact number', 'phone number', 'mobile number', 'contact no'],
+  address: ['address'],
+  sourceType: ['source', 'source type', 'lead source'],
+  assignedTo: ['assigned to', 'owner', 'sales person', 'salesperson'],
+  status: ['status', 'stage'],
+  zone: ['zone', 'region'],
+  contactPerson: ['contact person'],
+  typeOfLead: ['type of lead', 'lead type'],
+  gstNumber: ['gst', 'gstin', 'gst number', 'gst no'],
+  closedReason: ['closed reason', 'lost reason', 'reason']
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// IMPORT_FIELDS plus the account custom fields (cf_<key>), recognised by their label or key
+const importableFields = (customFields = []) => ({
+  ...IMPORT_FIELDS,
+  ...Object.fromEntries(customFields.map(definition => [
+    `${CUSTOM_FIELD_PREFIX}${definition.key}`,
+    [normalizeHeader(definition.label), normalizeHeader(definition.key)]
+  ]))
+});
+
+// Maps each header to a field: explicit mapping first ({ header: field }, '' to ignore a column),
+// then field names and the known aliases above. `customFields` are the active account custom fields.
+const resolveMapping = (headers, explicitMapping = {}, customFields = []) => {
+  const fields = importableFields(customFields);
+  const unknownFields = Object.values(explicitMapping).filter(field => field && !fields[field]);
+  if (unknownFields.length) {
+    const err = new Error(`Unknown field(s) in mapping: ${unknownFields.join(', ')}. Importable fields: ${Object.keys(fields).join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const mapping = {};
+  for (const header of headers) {
+    if (Object.prototype.hasOwnProperty.call(explicitMapping, header)) {
+      if (explicitMapping[header]) mapping[header] = explicitMapping[header];
+      continue;
+    }
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(fields).find(name => (
+      name.toLowerCase() === normalized.replace(/ /g, '') || fields[name].includes(normalized)
+    ));
+    if (field && !Object.values(mapping).includes(field)) mapping[header] = field;
+  }
+  return mapping;
+};
+
+// Users and zones by name / email, loaded once per import
+const loadLookups = async () => {
+  const [users, zones, pipeline, customFields] = await Promise.all([
+    User.find({ status: { $ne: 'Inactive' } }).select('name email').lean(),
+    Zone.find().select('name').lean(),
+    getSetting('pipeline'),
+    getDefinitions('accounts')
+  ]);
+
+  const usersByEmail = new Map(users.filter(u => u.email).map(u => [u.email.toLowerCase(), u]));
+  const usersByName = new Map();
+  for (const user of users) {
+    const key = String(user.name || '').trim().toLowerCase();
+    usersByName.set(key, [...(usersByName.get(key) || []), user]);
+  }
+  const usersById = new Map(users.map(u => [String(u._id), u]));
+  const zonesByName = new Map(zones.map(z => [String(z.name).trim().toLowerCase(), z]));
+  const zonesById = new Map(zones.map(z => [String(z._id), z]));
+
+  return { usersByEmail, usersByName, usersById, zonesByName, zonesById, pipeline, customFields };
+};
+
+const resolveUser = (value, lookups) => {
+  if (mongoose.isValidObjectId(value) && lookups.usersById.has(value)) return { id: lookups.usersById.get(value)._id };
+  const byEmail = lookups.usersByEmail.get(value.toLowerCase());
+  if (byEmail) return { id: byEmail._id };
+  const byName = lookups.usersByName.get(value.toLowerCase()) || [];
+  if (byName.length === 1) return { id: byName[0]._id };
+  if (byName.length > 1) return { error: `assignedTo: "${value}" matches more than one user, use their email` };
+  return { error: `assignedTo: no active user named or with email "${value}"` };
+};
+
+const resolveZone = (value, lookups) => {
+  const zone = lookups.zonesById.get(value) || lookups.zonesByName.get(value.toLowerCase());
+  return zone ? { id: zone._id } : { error: `zone: unknown zone "${value}"` };
+};
+
+const enumValue = (path) => BusinessAccount.schema.path(path).enumValues
+  || BusinessAccount.schema.path(path).caster.enumValues;
+
+// Builds account data from one row. Returns { data, errors }.
+const buildAccountData = (values, mapping, lookups) => {
+  const data = {};
+  const errors = [];
+  const customInput = {};
+
+  for (const [header, field] of Object.entries(mapping)) {
+    const raw = String(values[header] ?? '').trim();
+    if (!raw) continue;
+
+    if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+      customInput[field.slice(CUSTOM_FIELD_PREFIX.length)] = raw;
+    } else if (field === 'assignedTo' || field === 'zone') {
+      const resolved = field === 'assignedTo' ? resolveUser(raw, lookups) : resolveZone(raw, lookups);
+      if (resolved.error) errors.push(resolved.error);
+      else data[field] = resolved.id;
+    } else if (field === 'status') {
+      const status = enumValue('status').find(value => value.toLowerCase() === raw.toLowerCase().replace(/\s/g, ''));
+      if (status) data.status = status;
+      else errors.push(`status: "${raw}" is not one of ${enumValue('status').join(', ')}`);
+    } else if (field === 'typeOfLead') {
+      data.typeOfLead = [];
+      for (const part of raw.split(/[,;/|]/).map(p => p.trim()).filter(Boolean)) {
+        const type = enumValue('typeOfLead').find(value => value.toLowerCase() === part.toLowerCase());
+        if (type) data.typeOfLead.push(type);
+        else errors.push(`typeOfLead: "${part}" is not one of ${enumValue('typeOfLead').join(', ')}`);
+      }
+    } else if (field === 'gstNumber') {
+      const gst = accountGstFields({ gstNumber: raw });
+      if (gst.error) errors.push(gst.error);
+      else Object.assign(data, gst.fields);
+    } else {
+      data[field] = raw;
+    }
+  }
+
+  // Checked for every row, so required custom fields cannot be skipped by leaving out the column
+  const { values: customFields, errors: customFieldErrors } = checkCustomFields(lookups.customFields, customInput, null);
+  data.customFields = customFields;
+  errors.push(...customFieldErrors);
+  return { data, errors };
+};
+
+// Checks all rows. Returns one entry per row:
+// { row, valid, errors, duplicates, data } where duplicates lists matching accounts / earlier rows.
+// An identical business name is always an error; other duplicate matches only when !allowDuplicates.
+const validateRows = async (rows, mapping, { allowDuplicates = false } = {}) => {
+  const lookups = await loadLookups();
+  const seen = []; // { row, keys } of earlier valid rows in the file
+  const seenByKey = new Map();
+  const results = [];
+
+  for (const { rowNumber, values } of rows) {
+    const { data, errors } = buildAccountData(values, mapping, lookups);
+    const status = data.status || 'Active';
+
+    const validationError = new BusinessAccount({ ...data, status }).validateSync();
+    if (validationError) {
+      errors.push(...Object.values(validationError.errors).map(e => `${e.path}: ${e.message}`));
+    }
+    const transitionError = await checkTransition(null, status, data.closedReason, lookups.pipeline);
+    if (transitionError) errors.push(transitionError);
+
+    const duplicates = [];
+    if (data.businessName) {
+      const keys = computeMatchKeys(data);
+      for (const match of await findDuplicates(BusinessAccount, data)) {
+        duplicates.push({
+          account: match.account._id,
+          businessName: match.account.businessName,
+          reasons: match.reasons,
+          sameName: match.account.businessName.toLowerCase() === data.businessName.toLowerCase()
+        });
+      }
+
+      // Earlier rows of the same file sharing a key or a name prefix
+      const candidateKeys = [
+        keys.gstin && `gstin:${keys.gstin}`,
+        ...keys.phones.map(p => `phone:${p}`),
+        ...keys.emails.map(e => `email:${e}`),
+        keys.name && `name:${keys.name.slice(0, 4)}`
+      ].filter(Boolean);
+      const earlier = new Set(candidateKeys.flatMap(key => seenByKey.get(key) || []));
+      for (const index of earlier) {
+        const reasons = matchReasons(keys, seen[index].keys);
+        if (reasons.length) {
+          duplicates.push({
+            row: seen[index].row,
+            businessName: seen[index].businessName,
+            reasons,
+            sameName: seen[index].businessName.toLowerCase() === data.businessName.toLowerCase()
+          });
+        }
+      }
+
+      if (duplicates.some(d => d.sameName)) {
+        errors.push('businessName: an account with this name already exists');
+      } else if (duplicates.length && !allowDuplicates) {
+        errors.push(`Looks like a duplicate of ${duplicates.map(d => d.row ? `row ${d.row}` : d.businessName).join(', ')}`);
+      }
+
+      if (errors.length === 0) {
+        const index = seen.push({ row: rowNumber, businessName: data.businessName, keys }) - 1;
+        for (const key of candidateKeys) seenByKey.set(key, [...(seenByKey.get(key) || []), index]);
+      }
+    }
+
+    results.push({ row: rowNumber, valid: errors.length === 0, errors, duplicates, data: { ...data, status } });
+  }
+  return results;
+};
+
+module.exports = { MAX_IMPORT_ROWS, IMPORT_FIELDS, importableFields, resolveMapping, validateRows };
@@ -0,0 +1,43 @@
+// utils/amountInWords.js
+// Rupee amounts in words with Indian grouping, as printed on quotations and invoices:
+// 123456.5 -> "Rupees One Lakh Twenty Three Thousand Four Hundred Fifty Six and Fifty Paise Only"
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// 0-99
+const twoDigits = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim());
+
+// 0-999
+const threeDigits = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = twoDigits(n % 100);
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest].filter(Boolean).join(' ');
+};
+
+// Whole numbers in crore / lakh / thousand / hundred; above 99 crore the crores are
+// themselves spelt out ("One Hundred Twenty Crore")
+const integerInWords = (n) => {
+  if (n === 0) return 'Zero';
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+  return [
+    crore ? `${integerInWords(crore)} Crore` : '',
+    lakh ? `${twoDigits(lakh)} Lakh` : '',
+    thousand ? `${twoDigits(thousand)} Thousand` : '',
+    rest ? threeDigits(rest) : ''
+  ].filter(Boolean).join(' ');
+};
+
+const amountInWords = (amount) => {
+  const paise = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(paise / 100);
+  const remainder = paise % 100;
+  const words = `Rupees ${integerInWords(rupees)}${remainder ? ` and ${twoDigits(remainder)} Paise` : ''} Only`;
+  return Number(amount) < 0 ? `Minus ${words}` : words;
+};
+
+module.exports = { amountInWords, integerInWords };
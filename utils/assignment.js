@@ -0,0 +1,87 @@
+// utils/assignment.js
+// Assignment engine for new accounts that nobody was assigned to. Picks the first active
+// AssignmentRule matching the account's zone, sourceType and typeOfLead, then a user from the
+// rule's team or user list, skipping Inactive users:
+//   round-robin - takes turns, using a counter stored on the rule
+//   least-open  - the user with the fewest open accounts (not Customer or Closed)
+const AssignmentRule = require('../models/AssignmentRule');
+const AssignmentLog = require('../models/AssignmentLog');
+const BusinessAccount = require('../models/BusinessAccount');
+const Team = require('../models/Team');
+const User = require('../models/User');
+
+const CLOSED_STATUSES = ['Customer', 'Closed'];
+
+const includesId = (ids, id) => ids.some(item => String(item) === String(id));
+
+const ruleMatches = (rule, account) => {
+  const { zones = [], sourceTypes = [], typeOfLead = [] } = rule.conditions || {};
+  if (zones.length && !(account.zone && includesId(zones, account.zone))) return false;
+  if (sourceTypes.length && !sourceTypes.some(source => source.toLowerCase() === String(account.sourceType || 'Direct').toLowerCase())) {
+    return false;
+  }
+  if (typeOfLead.length && !(account.typeOfLead || []).some(type => typeOfLead.includes(type))) return false;
+  return true;
+};
+
+// Active users a rule can assign to, in a stable order
+const eligibleUsers = async (rule) => {
+  let ids = rule.users || [];
+  if (rule.team) {
+    const team = await Team.findById(rule.team).select('members');
+    ids = team ? team.members : [];
+  }
+  const users = await User.find({ _id: { $in: ids }, status: { $ne: 'Inactive' } }).select('_id').sort({ _id: 1 });
+  return users.map(user => user._id);
+};
+
+const pickRoundRobin = async (rule, candidates) => {
+  const updated = await AssignmentRule.findByIdAndUpdate(rule._id, { $inc: { roundRobinCounter: 1 } }, { new: true });
+  return candidates[(updated.roundRobinCounter - 1) % candidates.length];
+};
+
+const pickLeastOpen = async (candidates) => {
+  const counts = await BusinessAccount.aggregate([
+    { $match: { assignedTo: { $in: candidates }, status: { $nin: CLOSED_STATUSES } } },
+    { $group: { _id: '$assignedTo', open: { $sum: 1 } } }
+  ]);
+  const openByUser = new Map(counts.map(count => [String(count._id), count.open]));
+  return candidates.reduce((best, id) => (
+    (openByUser.get(String(id)) || 0) < (openByUser.get(String(best)) || 0) ? id : best
+  ));
+};
+
+// Decides who a new account (plain data, before it is saved) goes to.
+// Returns { assignedTo, rule, strategy, outcome, candidates }.
+const chooseAssignee = async (account) => {
+  const rules = await AssignmentRule.find({ active: true }).sort({ priority: 1, createdAt: 1 });
+  const rule = rules.find(candidate => ruleMatches(candidate, account));
+  if (!rule) {
+    return { assignedTo: null, rule: null, outcome: 'no-rule-matched', candidates: [] };
+  }
+
+  const candidates = await eligibleUsers(rule);
+  if (candidates.length === 0) {
+    return { assignedTo: null, rule, strategy: rule.strategy, outcome: 'no-eligible-users', candidates };
+  }
+
+  const assignedTo = rule.strategy === 'least-open'
+    ? await pickLeastOpen(candidates)
+    : await pickRoundRobin(rule, candidates);
+  return { assignedTo, rule, strategy: rule.strategy, outcome: 'assigned', candidates };
+};
+
+// Records a decision of chooseAssignee() once the account has been saved
+const logAssignment = (accountId, decision, { trigger, actor }) => AssignmentLog.create({
+  account: accountId,
+  rule: decision.rule ? decision.rule._id : null,
+  ruleName: decision.rule ? decision.rule.name : null,
+  strategy: decision.strategy,
+  assignedTo: decision.assignedTo,
+  outcome: decision.outcome,
+  candidates: decision.candidates,
+  trigger,
+  actor: actor || null
+});
+
+module.exports = { ruleMatches, chooseAssignee, logAssignment };
@@ -0,0 +1,77 @@
+// utils/audit.js
+// Records who changed what on CRM entities. Audit failures are logged but never
+// fail the request that triggered them.
+const AuditLog = require('../models/AuditLog');
+
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+const REDACTED_FIELDS = ['password', 'twoFactor'];
+
+// Converts a mongoose document (or plain object) into plain JSON values,
+// so ObjectIds and Dates compare and store as strings
+const toPlain = (doc) => {
+  if (!doc) return {};
+  const obj = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(obj));
+};
+
+// Flattens nested objects and arrays into dotted paths: { items: [{ rate: 1 }] } -> { 'items.0.rate': 1 }
+const flatten = (value, prefix = '', out = {}) => {
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 0 && prefix) {
+      out[prefix] = value;
+    }
+    for (const key of keys) {
+      if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+      flatten(value[key], prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+// Field-level diff between two versions of a document
+const diff = (before, after) => {
+  const flatBefore = flatten(toPlain(before));
+  const flatAfter = flatten(toPlain(after));
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  const changes = [];
+  for (const field of fields) {
+    const a = flatBefore[field];
+    const b = flatAfter[field];
+    if (JSON.stringify(a) === JSON.stringify(b)) continue;
+
+    if (REDACTED_FIELDS.includes(field.split('.')[0])) {
+      changes.push({ field, before: '[redacted]', after: '[redacted]' });
+    } else {
+      changes.push({ field, before: a === undefined ? null : a, after: b === undefined ? null : b });
+    }
+  }
+  return changes;
+};
+
+// Writes one audit entry.
+// `before` is omitted for creates and `after` for deletes.
+const recordAudit = async (req, { entity, entityId, action, before = null, after = null, meta }) => {
+  try {
+    const changes = diff(before, after);
+    if (action === 'update' && changes.length === 0) return;
+
+    await AuditLog.create({
+      actor: req.user?.userId || null,
+      actorRole: req.user?.role,
+      entity,
+      entityId,
+      action,
+      changes,
+      meta,
+      ip: req.ip
+    });
+  } catch (err) {
+    console.error(`Failed to record audit log for ${entity} ${entityId}:`, err.message);
+  }
+};
+
+module.exports = { recordAudit, diff };
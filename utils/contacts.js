@@ -0,0 +1,76 @@
+// utils/contacts.js
+// Contact persons of a business account. The account's own contactName / contactEmail /
+// contactNumber fields always describe the primary contact, so existing screens keep working.
+const BusinessAccount = require('../models/BusinessAccount');
+const { normalizeEmail, normalizePhone } = require('./duplicates');
+
+const sameContact = (contact, other) => (
+  (contact.email && normalizeEmail(contact.email) === normalizeEmail(other.email))
+  || (contact.phoneNumber && normalizePhone(contact.phoneNumber) === normalizePhone(other.phoneNumber))
+  || (!contact.email && !contact.phoneNumber && String(contact.name).toLowerCase() === String(other.name).toLowerCase())
+);
+
+// Copies the primary contact into the account's contact fields
+const mirrorPrimary = (account, contact) => {
+  account.contactName = contact.name;
+  account.contactEmail = contact.email;
+  account.contactNumber = contact.phoneNumber || account.contactNumber;
+};
+
+// Accounts created before contacts existed only have the contact fields: turn those into the
+// primary contact (or flag a matching existing contact as primary). Returns true if changed.
+const ensurePrimaryContact = (account) => {
+  if (account.contacts.some(contact => contact.isPrimary) || !account.contactName) return false;
+
+  const legacy = { name: account.contactName, email: account.contactEmail, phoneNumber: account.contactNumber };
+  const existing = account.contacts.find(contact => sameContact(contact, legacy));
+  if (existing) {
+    existing.isPrimary = true;
+  } else {
+    account.contacts.unshift({ ...legacy, designation: account.contactPerson, isPrimary: true });
+  }
+  return true;
+};
+
+const setPrimaryContact = (account, contactId) => {
+  const primary = account.contacts.id(contactId);
+  for (const contact of account.contacts) {
+    contact.isPrimary = String(contact._id) === String(primary._id);
+  }
+  mirrorPrimary(account, primary);
+};
+
+// Looks up a contact of an account for a quotation / invoice. Returns { contact } or { error }.
+const resolveContact = async (businessId, contactId) => {
+  const account = await BusinessAccount.findById(businessId).select('contacts contactName contactEmail contactNumber contactPerson');
+  const contact = account && account.contacts.id(contactId);
+  if (!contact) return { error: 'Contact not found on this business account' };
+  return { contact };
+};
+
+// Fields a quotation / invoice copies from the picked contact
+const quotationContactFields = (contact) => ({
+  contactId: contact._id,
+  contactName: contact.name,
+  contactEmail: contact.email,
+  contactNumber: contact.phoneNumber,
+  contactDesignation: contact.designation
+});
+
+const invoiceContactFields = (contact) => ({
+  contactId: contact._id,
+  contactName: contact.name,
+  email: contact.email,
+  mobileNumber: contact.phoneNumber,
+  contactPerson: contact.name,
+  contactDesignation: contact.designation
+});
+
+module.exports = {
+  ensurePrimaryContact,
+  setPrimaryContact,
+  mirrorPrimary,
+  resolveContact,
+  quotationContactFields,
+  invoiceContactFields
+};
@@ -0,0 +1,230 @@
+// utils/customFields.js
+// Values of admin-defined custom fields (models/CustomFieldDefinition.js). Entities store them
+// in a `customFields` map keyed by the field key; these helpers check and convert input values,
+// build list filters (?cf_<key>=...) and export columns (cf_<key>).
+const CustomFieldDefinition = require('../models/CustomFieldDefinition');
+const { escapeRegex } = require('./regex');
+
+// Prefix of custom fields in list filters, export columns and import mappings
+const CUSTOM_FIELD_PREFIX = 'cf_';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+const badRequest = (message, details) => {
+  const err = new Error(message);
+  err.status = 400;
+  if (details) err.details = details;
+  return err;
+};
+
+const getDefinitions = (entity, { includeInactive = false } = {}) => CustomFieldDefinition
+  .find(includeInactive ? { entity } : { entity, active: true })
+  .sort({ order: 1, label: 1 })
+  .lean();
+
+const isEmpty = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+const toPlainValues = (values) => {
+  if (!values) return {};
+  return values instanceof Map ? Object.fromEntries(values) : { ...values };
+};
+
+// Converts one input value to the stored form. Returns { value } or { error }.
+const convertValue = (definition, raw) => {
+  if (isEmpty(raw)) return { value: null };
+  const rules = definition.validation || {};
+
+  switch (definition.type) {
+    case 'text': {
+      const value = String(raw).trim();
+      if (rules.minLength != null && value.length < rules.minLength) return { error: `must be at least ${rules.minLength} characters` };
+      if (rules.maxLength != null && value.length > rules.maxLength) return { error: `must be at most ${rules.maxLength} characters` };
+      if (rules.pattern && !new RegExp(rules.pattern).test(value)) return { error: 'has an invalid format' };
+      return { value };
+    }
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(value)) return { error: `"${raw}" is not a number` };
+      if (rules.min != null && value < rules.min) return { error: `must be at least ${rules.min}` };
+      if (rules.max != null && value > rules.max) return { error: `must be at most ${rules.max}` };
+      return { value };
+    }
+    case 'date': {
+      const value = raw instanceof Date ? raw : new Date(raw);
+      if (isNaN(value)) return { error: `"${raw}" is not a date` };
+      return { value };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const text = String(raw).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return { value: true };
+      if (FALSE_VALUES.includes(text)) return { value: false };
+      return { error: `"${raw}" is not yes / no` };
+    }
+    case 'select':
+    case 'multi-select': {
+      const parts = Array.isArray(raw) ? raw : String(raw).split(/[,;|]/);
+      const values = [];
+      for (const part of parts.map(p => String(p).trim()).filter(Boolean)) {
+        const option = definition.options.find(o => o.toLowerCase() === part.toLowerCase());
+        if (!option) return { error: `"${part}" is not one of ${definition.options.join(', ')}` };
+        if (!values.includes(option)) values.push(option);
+      }
+      if (definition.type === 'select') {
+        if (values.length > 1) return { error: 'takes a single value' };
+        return { value: values[0] ?? null };
+      }
+      return { value: values.length ? values : null };
+    }
+    default:
+      return { error: `unsupported field type ${definition.type}` };
+  }
+};
+
+// Applies `input` ({ key: value }, null / '' clears a value) over the `existing` values and checks
+// required fields. Values of deactivated fields are kept but cannot be written.
+// Returns { values, errors }.
+const checkCustomFields = (definitions, input, existing) => {
+  const values = toPlainValues(existing);
+  const errors = [];
+  if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+    return { values, errors: ['customFields must be an object of { key: value }'] };
+  }
+
+  const byKey = new Map(definitions.filter(d => d.active !== false).map(d => [d.key, d]));
+  for (const [key, raw] of Object.entries(input || {})) {
+    const definition = byKey.get(key);
+    if (!definition) {
+      errors.push(`customFields.${key}: unknown custom field`);
+      continue;
+    }
+    const { value, error } = convertValue(definition, raw);
+    if (error) errors.push(`${definition.label}: ${error}`);
+    else if (value === null) delete values[key];
+    else values[key] = value;
+  }
+
+  for (const definition of byKey.values()) {
+    if (definition.required && isEmpty(values[definition.key])) {
+      errors.push(`${definition.label} is required`);
+    }
+  }
+  return { values, errors };
+};
+
+// The customFields to store for a create (existing = null) or update of `entity`.
+// Throws with `status = 400` (and `details`) when a value is invalid or a required field is missing.
+const prepareCustomFields = async (entity, input, existing = null) => {
+  const { values, errors } = checkCustomFields(await getDefinitions(entity), input, existing);
+  if (errors.length) {
+    throw badRequest(`Invalid custom fields: ${errors.join('; ')}`, errors);
+  }
+  return values;
+};
+
+// Mongo conditions for the ?cf_<key>= list filters of `entity`:
+//   text         - contains (case-insensitive)
+//   number, date - exact value (dates: that day) or a range "from..to" (either end optional)
+//   select       - one of a comma-separated list
+//   multi-select - has all of a comma-separated list
+//   boolean      - true / false
+// Throws with `status = 400` on unknown fields or invalid values.
+const customFieldFilter = async (entity, params) => {
+  const keys = Object.keys(params).filter(name => name.startsWith(CUSTOM_FIELD_PREFIX));
+  if (keys.length === 0) return {};
+
+  const definitions = new Map((await getDefinitions(entity, { includeInactive: true })).map(d => [d.key, d]));
+  const filter = {};
+  for (const name of keys) {
+    const key = name.slice(CUSTOM_FIELD_PREFIX.length);
+    const definition = definitions.get(key);
+    if (!definition) throw badRequest(`Unknown custom field filter: ${name}`);
+
+    const raw = String(params[name]);
+    const path = `customFields.${key}`;
+    const convert = (value) => {
+      const result = convertValue({ ...definition, validation: {} }, value);
+      if (result.error) throw badRequest(`${name}: ${result.error}`);
+      return result.value;
+    };
+
+    if (definition.type === 'text') {
+      filter[path] = { $regex: escapeRegex(raw), $options: 'i' };
+    } else if (definition.type === 'number' || definition.type === 'date') {
+      if (raw.includes('..')) {
+        const [from, to] = raw.split('..');
+        const range = {};
+        if (from) range.$gte = convert(from);
+        if (to) range.$lte = definition.type === 'date' ? new Date(convert(to).getTime() + DAY_MS - 1) : convert(to);
+        filter[path] = range;
+      } else if (definition.type === 'date') {
+        const day = convert(raw);
+        filter[path] = { $gte: day, $lt: new Date(day.getTime() + DAY_MS) };
+      } else {
+        filter[path] = convert(raw);
+      }
+    } else if (definition.type === 'boolean') {
+      filter[path] = convert(raw);
+    } else {
+      const options = raw.split(',').map(part => convert(part.trim())).filter(value => value !== null);
+      filter[path] = definition.type === 'select' ? { $in: options } : { $all: options.flat() };
+    }
+  }
+  return filter;
+};
+
+const formatValue = (definition, value) => {
+  if (isEmpty(value)) return '';
+  if (definition.type === 'date') return new Date(value).toISOString().slice(0, 10);
+  if (definition.type === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.join(', ');
+  return value;
+};
+
+// Export columns of the entity's active custom fields: cf_<key> -> [label, value(doc)]
+const customFieldColumns = async (entity) => {
+  const columns = {};
+  for (const definition of await getDefinitions(entity)) {
+    columns[`${CUSTOM_FIELD_PREFIX}${definition.key}`] = [
+      definition.label,
+      doc => formatValue(definition, toPlainValues(doc.customFields)[definition.key])
+    ];
+  }
+  return columns;
+};
+
+// Checks a field definition beyond what the schema validates. Returns an error message or null.
+const validateDefinition = (definition) => {
+  const { type, options = [], validation = {} } = definition;
+  if (type === 'select' || type === 'multi-select') {
+    if (!options.length) return `A ${type} field needs options`;
+    const lower = options.map(o => String(o).trim().toLowerCase());
+    if (lower.some(o => !o) || new Set(lower).size !== lower.length) return 'Options must be unique and not empty';
+  }
+  if (validation.pattern) {
+    if (type !== 'text') return 'pattern only applies to text fields';
+    try {
+      new RegExp(validation.pattern);
+    } catch (err) {
+      return `Invalid pattern: ${err.message}`;
+    }
+  }
+  if (validation.min != null && validation.max != null && validation.min > validation.max) return 'min is greater than max';
+  if (validation.minLength != null && validation.maxLength != null && validation.minLength > validation.maxLength) {
+    return 'minLength is greater than maxLength';
+  }
+  return null;
+};
+
+module.exports = {
+  CUSTOM_FIELD_PREFIX,
+  getDefinitions,
+  checkCustomFields,
+  prepareCustomFields,
+  customFieldFilter,
+  customFieldColumns,
+  validateDefinition
+};
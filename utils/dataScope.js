@@ -0,0 +1,82 @@
+// utils/dataScope.js
+// Works out which records the authenticated user is allowed to see.
+// Visibility is always derived from the database, never from the query string:
+//   Superadmin  - everything
+//   Admin       - accounts in their zone, or everything if they have no zone
+//   Team Leader - accounts assigned to themselves or to members of the teams they lead
+//   Employee    - accounts assigned to themselves
+const User = require('../models/User');
+const Team = require('../models/Team');
+const BusinessAccount = require('../models/BusinessAccount');
+
+// A filter that matches nothing, used when the caller cannot be resolved
+const NO_ACCESS = { _id: null };
+
+const isUnrestricted = (scope) => Object.keys(scope).length === 0;
+
+// Combines a query with a scope filter without clobbering keys both may use (e.g. assignedTo, $or)
+const applyScope = (query, scope) => {
+  if (isUnrestricted(scope)) return query;
+  if (Object.keys(query).length === 0) return scope;
+  return { $and: [query, scope] };
+};
+
+// Mongo filter on BusinessAccount for the given req.user ({ userId, role })
+const getAccountScope = async (reqUser) => {
+  if (!reqUser || !reqUser.userId) return NO_ACCESS;
+
+  const user = await User.findById(reqUser.userId).select('role zone team');
+  if (!user) return NO_ACCESS;
+
+  switch (user.role) {
+    case 'Superadmin':
+      return {};
+    case 'Admin':
+      return user.zone ? { zone: user.zone } : {};
+    case 'Team Leader': {
+      // Every team they lead; their own team when they lead none
+      let teams = await Team.find({ teamLeader: user._id }).select('members');
+      if (teams.length === 0 && user.team) teams = await Team.find({ _id: user.team }).select('members');
+      const memberIds = teams.flatMap(team => team.members);
+      return { assignedTo: { $in: [user._id, ...memberIds] } };
+    }
+    default:
+      return { assignedTo: user._id };
+  }
+};
+
+// Mongo filter on documents that reference an account through `field` (quotations, invoices)
+const getBusinessScope = async (reqUser, field = 'businessId') => {
+  const accountScope = await getAccountScope(reqUser);
+  if (isUnrestricted(accountScope)) return {};
+
+  const accountIds = await BusinessAccount.distinct('_id', accountScope);
+  return { [field]: { $in: accountIds } };
+};
+
+// Mongo filter on Task: tasks on visible accounts, plus tasks the user created or is assigned
+// (a Team Leader also sees tasks assigned to their team)
+const getTaskScope = async (reqUser) => {
+  const accountScope = await getAccountScope(reqUser);
+  if (isUnrestricted(accountScope)) return {};
+
+  const accountIds = await BusinessAccount.distinct('_id', accountScope);
+  const conditions = [
+    { businessId: { $in: accountIds } },
+    { createdBy: reqUser.userId },
+    { assignedTo: reqUser.userId }
+  ];
+  if (accountScope.assignedTo) {
+    conditions.push({ assignedTo: accountScope.assignedTo });
+  }
+  return { $or: conditions };
+};
+
+// True if the account with the given id is visible to the user
+const canAccessAccount = async (reqUser, accountId) => {
+  const scope = await getAccountScope(reqUser);
+  const count = await BusinessAccount.countDocuments(applyScope({ _id: accountId }, scope));
+  return count > 0;
+};
+
+module.exports = { applyScope, getAccountScope, getBusinessScope, getTaskScope, canAccessAccount };
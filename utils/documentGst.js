@@ -0,0 +1,100 @@
+// utils/documentGst.js
+// GST of quotations and invoices.
+// Parties: the customer's GSTIN (or their explicit unregistered flag and state) comes from the
+// request, falling back to the account; the company's GSTIN or state from the request or the
+// `company` setting. gstType follows from the two states.
+// Amounts: computed by utils/taxEngine.js with line rates from the products and the `tax` setting.
+const mongoose = require('mongoose');
+const BusinessAccount = require('../models/BusinessAccount');
+const Product = require('../models/Product');
+const { getSetting } = require('./settings');
+const { resolveGstParties } = require('./gstin');
+const { computeTaxes } = require('./taxEngine');
+
+// Request fields that change the GST parties of a document
+const GST_INPUT_FIELDS = ['businessId', 'customerGSTIN', 'customerUnregistered', 'customerStateCode', 'placeOfSupply', 'companyGSTIN'];
+
+const touchesGst = (input) => GST_INPUT_FIELDS.some(field => input[field] !== undefined);
+
+// `input` uses the invoice field names (quotations pass their `gstin` as customerGSTIN).
+// `existing` is the stored document on updates. Returns the fields to store:
+// { customerGSTIN, customerUnregistered, customerStateCode, placeOfSupply, companyGSTIN, gstType }.
+// Throws with `status = 400` when the parties are incomplete or a GSTIN is invalid.
+const resolveDocumentGst = async (input, existing = null) => {
+  const pick = (field) => (input[field] !== undefined ? input[field] : existing ? existing[field] : undefined);
+  const customer = {
+    gstin: pick('customerGSTIN'),
+    unregistered: pick('customerUnregistered'),
+    stateCode: pick('customerStateCode')
+  };
+
+  // Nothing said about the customer's registration: use what the account records
+  const businessId = pick('businessId');
+  if (!customer.gstin && !customer.unregistered && businessId) {
+    const account = await BusinessAccount.findById(businessId).select('gstNumber gstUnregistered gstStateCode').lean();
+    if (account) {
+      customer.gstin = account.gstNumber;
+      customer.unregistered = account.gstUnregistered;
+      customer.stateCode = customer.stateCode || account.gstStateCode;
+    }
+  }
+
+  const companySettings = await getSetting('company');
+  const company = {
+    gstin: pick('companyGSTIN') || companySettings.gstin,
+    stateCode: companySettings.stateCode
+  };
+
+  const parties = resolveGstParties({ company, customer, placeOfSupply: pick('placeOfSupply') });
+  if (parties.error) {
+    const err = new Error(parties.error);
+    err.status = 400;
+    throw err;
+  }
+
+  return {
+    customerGSTIN: parties.customerGSTIN,
+    customerUnregistered: parties.customerUnregistered,
+    customerStateCode: parties.customerStateCode,
+    placeOfSupply: parties.placeOfSupply,
+    companyGSTIN: parties.companyGSTIN,
+    // Without a company state the type cannot be worked out; keep the one given by hand
+    gstType: parties.gstType || pick('gstType') || 'intrastate'
+  };
+};
+
+// Request fields that change the amounts of a document
+const TAX_INPUT_FIELDS = ['items', 'discountAmount', 'taxRate'];
+
+const touchesTax = (input) => TAX_INPUT_FIELDS.some(field => input[field] !== undefined);
+
+// Line amounts, totals and the HSN-wise summary of a document ({ items, totals, hsnSummary,
+// defaultRate }). `defaultRate` (e.g. an invoice's
+// legacy taxRate) applies to lines with no rate of their own, their product's or their HSN code's.
+// Throws with `status = 400` and the problems in `details` for invalid lines or discounts.
+const computeDocumentTaxes = async (items, { gstType, discountAmount, defaultRate } = {}) => {
+  const productIds = (Array.isArray(items) ? items : []).map(item => item && item.productId).filter(id => id && mongoose.isValidObjectId(id));
+  const [taxSettings, products] = await Promise.all([
+    getSetting('tax'),
+    productIds.length ? Product.find({ _id: { $in: productIds } }).select('hsnSac gstRate').lean() : []
+  ]);
+
+  const rate = defaultRate !== undefined && defaultRate !== null ? Number(defaultRate) : taxSettings.defaultRate;
+  const result = computeTaxes(items || [], {
+    gstType,
+    discountAmount,
+    products: new Map(products.map(product => [String(product._id), product])),
+    hsnRates: taxSettings.hsnRates,
+    defaultRate: rate,
+    roundTotal: taxSettings.roundTotal
+  });
+  if (result.errors) {
+    const err = new Error('Some items could not be taxed');
+    err.status = 400;
+    err.details = result.errors;
+    throw err;
+  }
+  return { ...result, defaultRate: rate };
+};
+
+module.exports = { GST_INPUT_FIELDS, touchesGst, resolveDocumentGst, TAX_INPUT_FIELDS, touchesTax, computeDocumentTaxes };
@@ -0,0 +1,93 @@
+// utils/documentPdf.js
+// Storing quotation and invoice PDFs. Each stored PDF is a new version uploaded through
+// utils/s3Upload.js ("<folder>/<number>-v<version>.pdf"); the document keeps the latest
+// pdfKey / pdfVersion / pdfHash and the earlier versions in pdfHistory. A version is only
+// stored when the printed content differs from the latest one (compared by hash).
+// The stored objects are private; callers get short-lived signed URLs (storedPdfUrl).
+const crypto = require('crypto');
+const { getSetting } = require('./settings');
+const { parseGstin, toStateCode } = require('./gstin');
+const { uploadPDFToS3, signedPdfUrl, isStorageConfigured } = require('./s3Upload');
+const { billingEntityFor } = require('./numbering');
+
+// Fields that never appear on the printed document
+const UNPRINTED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'followUps', 'notes', 'customFields',
+  'paymentHistory', 'paymentStatus', 'pdfKey', 'pdfUrl', 'pdfVersion', 'pdfHash', 'pdfGeneratedAt', 'pdfHistory'];
+
+// The seller printed on the letterhead: the company settings, with the name and GSTIN of the
+// document's billing entity (utils/numbering.js) when it has one
+const sellerFor = async (billingEntity) => {
+  const [company, numbering] = await Promise.all([getSetting('company'), getSetting('numbering')]);
+  const entity = billingEntityFor(numbering.entities, billingEntity) || {};
+  const gstin = entity.gstin || company.gstin || '';
+  const parsed = gstin ? parseGstin(gstin) : {};
+  return {
+    ...company,
+    name: entity.name || company.name,
+    gstin,
+    stateCode: parsed.stateCode || toStateCode(company.stateCode) || ''
+  };
+};
+
+// Fingerprint of what a PDF would show: the printed fields of the document and the seller
+const contentHash = (doc, seller) => {
+  const plain = JSON.parse(JSON.stringify(typeof doc.toObject === 'function' ? doc.toObject() : doc));
+  for (const field of UNPRINTED_FIELDS) delete plain[field];
+  return crypto.createHash('sha1').update(JSON.stringify({ document: plain, seller })).digest('hex');
+};
+
+const pdfFileName = (number, version) => `${String(number || 'document').replace(/[^A-Za-z0-9-]+/g, '-')}-v${version}.pdf`;
+
+// Stores `buffer` as the next PDF version of `doc` unless its content is the latest version's.
+// Saved without touching updatedAt, since the document itself did not change.
+// With a `downloadPath` (the document's authenticated /pdf endpoint), pdfUrl is pointed at the
+// new version there. Nothing is stored while no storage is configured. Returns { stored, pdfKey, pdfVersion }.
+const storePdfVersion = async ({ Model, doc, number, folder, buffer, hash, userId, downloadPath, force = false }) => {
+  if (!isStorageConfigured()) {
+    return { stored: false, pdfKey: doc.pdfKey, pdfVersion: doc.pdfVersion };
+  }
+  if (!force && doc.pdfKey && doc.pdfHash === hash) {
+    return { stored: false, pdfKey: doc.pdfKey, pdfVersion: doc.pdfVersion };
+  }
+
+  const version = (doc.pdfVersion || 0) + 1;
+  const key = await uploadPDFToS3(buffer, pdfFileName(number, version), folder);
+  const generatedAt = new Date();
+
+  const latest = { pdfKey: key, pdfVersion: version, pdfHash: hash, pdfGeneratedAt: generatedAt };
+  if (downloadPath) latest.pdfUrl = `${downloadPath}?version=${version}`;
+
+  // Only the request that got there first records its version
+  const { modifiedCount } = await Model.updateOne(
+    { _id: doc._id, pdfVersion: doc.pdfVersion || 0 },
+    {
+      $set: latest,
+      $push: { pdfHistory: { version, key, generatedAt, generatedBy: userId || null } }
+    },
+    { timestamps: false }
+  );
+  if (!modifiedCount) {
+    const current = await Model.findById(doc._id).select('pdfKey pdfVersion').lean();
+    return { stored: false, pdfKey: current.pdfKey, pdfVersion: current.pdfVersion };
+  }
+  return { stored: true, pdfKey: key, pdfVersion: version };
+};
+
+// Signed URL of a stored version of `doc`'s PDF (the latest by default), or null if there is none
+const storedPdfUrl = async (doc, version = doc.pdfVersion) => {
+  if (!isStorageConfigured()) return null;
+  const entry = (doc.pdfHistory || []).find(item => item.version === version);
+  const key = entry ? entry.key : version === doc.pdfVersion && doc.pdfKey;
+  return key ? signedPdfUrl(key) : null;
+};
+
+// Sends a PDF for download (or inline display with ?inline=true)
+const sendPdf = (res, buffer, fileName, { inline = false, version } = {}) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Length', buffer.length);
+  res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${fileName}"`);
+  if (version) res.setHeader('X-Pdf-Version', String(version));
+  res.end(buffer);
+};
+
+module.exports = { sellerFor, contentHash, pdfFileName, storePdfVersion, storedPdfUrl, sendPdf };
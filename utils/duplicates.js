@@ -0,0 +1,177 @@
+// utils/duplicates.js
+// Duplicate detection for business accounts. Each account stores normalized match keys
+// (see BusinessAccount.matchKeys) so exact matches on name, phone, email or GSTIN are index
+// lookups; similar names are found by comparing names that share a prefix.
+const { escapeRegex } = require('./regex');
+
+// Words that do not tell two companies apart ("Mega Cranes Pvt Ltd" == "Megacranes Private Limited")
+const NOISE_WORDS = new Set([
+  'm', 's', 'ms', 'the', 'and', 'pvt', 'private', 'ltd', 'limited', 'llp', 'inc', 'co', 'company',
+  'corp', 'corporation', 'enterprise', 'enterprises', 'india', 'industries', 'opc'
+]);
+const SIMILAR_NAME_RATIO = 0.85;
+const NAME_PREFIX_LENGTH = 4;
+
+const normalizeName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .split(/[^a-z0-9]+/)
+  .filter(word => word && !NOISE_WORDS.has(word))
+  .join('');
+
+// Last 10 digits, so "+91 98765-43210" and "09876543210" match
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : '';
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const normalizeGstin = (gstin) => String(gstin || '').replace(/\s/g, '').toUpperCase();
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+// The match keys of an account (or of account data that is about to be created)
+const computeMatchKeys = (account) => {
+  const contacts = account.contacts || [];
+  return {
+    name: normalizeName(account.businessName),
+    phones: unique([account.contactNumber, ...contacts.map(c => c.phoneNumber)].map(normalizePhone)),
+    emails: unique([account.contactEmail, ...contacts.map(c => c.email)].map(normalizeEmail)),
+    gstin: normalizeGstin(account.gstNumber) || null
+  };
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for identical strings, towards 0 the more edits are needed
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+// Why two sets of match keys look like the same company, e.g. ['gstin', 'phone']
+const matchReasons = (keys, other) => {
+  const reasons = [];
+  if (keys.gstin && keys.gstin === other.gstin) reasons.push('gstin');
+  if (keys.phones.some(phone => (other.phones || []).includes(phone))) reasons.push('phone');
+  if (keys.emails.some(email => (other.emails || []).includes(email))) reasons.push('email');
+  if (keys.name && keys.name === other.name) {
+    reasons.push('name');
+  } else if (keys.name.length >= NAME_PREFIX_LENGTH && similarity(keys.name, other.name) >= SIMILAR_NAME_RATIO) {
+    reasons.push('similar-name');
+  }
+  return reasons;
+};
+
+// Mongo filter for accounts that may match the given keys; matchReasons() decides
+const candidateQuery = (keys) => {
+  const or = [];
+  if (keys.gstin) or.push({ 'matchKeys.gstin': keys.gstin });
+  if (keys.phones.length) or.push({ 'matchKeys.phones': { $in: keys.phones } });
+  if (keys.emails.length) or.push({ 'matchKeys.emails': { $in: keys.emails } });
+  if (keys.name.length >= NAME_PREFIX_LENGTH) {
+    or.push({ 'matchKeys.name': { $regex: `^${escapeRegex(keys.name.slice(0, NAME_PREFIX_LENGTH))}` } });
+  } else if (keys.name) {
+    or.push({ 'matchKeys.name': keys.name });
+  }
+  return or.length ? { $or: or } : null;
+};
+
+// Accounts that look like duplicates of `account`: [{ account, reasons }], strongest first
+const findDuplicates = async (BusinessAccount, account, { excludeId, select = 'businessName contactName contactNumber contactEmail gstNumber assignedTo status matchKeys' } = {}) => {
+  const keys = computeMatchKeys(account);
+  const query = candidateQuery(keys);
+  if (!query) return [];
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const candidates = await BusinessAccount.find(query).select(select).populate('assignedTo', 'name role');
+  return candidates
+    .map(candidate => ({ account: candidate, reasons: matchReasons(keys, candidate.matchKeys || computeMatchKeys(candidate)) }))
+    .filter(match => match.reasons.length > 0)
+    .sort((a, b) => b.reasons.length - a.reasons.length);
+};
+
+// Groups accounts (plain objects with _id and matchKeys) into sets of likely duplicates:
+// [{ accounts: [...], reasons: [...] }]
+const groupDuplicates = (accounts) => {
+  const parent = new Map(accounts.map(account => [String(account._id), String(account._id)]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const reasonsByRoot = new Map();
+  const link = (a, b, reasons) => {
+    const rootA = find(String(a._id));
+    const rootB = find(String(b._id));
+    const merged = new Set([...(reasonsByRoot.get(rootA) || []), ...(reasonsByRoot.get(rootB) || []), ...reasons]);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+    reasonsByRoot.set(rootA, merged);
+  };
+
+  // Only accounts sharing a key or a name prefix are compared
+  const buckets = new Map();
+  const addToBucket = (key, account) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(account);
+  };
+  for (const account of accounts) {
+    const keys = account.matchKeys || computeMatchKeys(account);
+    if (keys.gstin) addToBucket(`gstin:${keys.gstin}`, account);
+    keys.phones.forEach(phone => addToBucket(`phone:${phone}`, account));
+    keys.emails.forEach(email => addToBucket(`email:${email}`, account));
+    if (keys.name) addToBucket(`name:${keys.name.slice(0, NAME_PREFIX_LENGTH)}`, account);
+  }
+
+  for (const bucket of buckets.values()) {
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        const reasons = matchReasons(
+          bucket[i].matchKeys || computeMatchKeys(bucket[i]),
+          bucket[j].matchKeys || computeMatchKeys(bucket[j])
+        );
+        if (reasons.length) link(bucket[i], bucket[j], reasons);
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (const account of accounts) {
+    const root = find(String(account._id));
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(account);
+  }
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => ({ accounts: members, reasons: [...reasonsByRoot.get(root)] }));
+};
+
+module.exports = {
+  normalizeName,
+  normalizePhone,
+  normalizeEmail,
+  normalizeGstin,
+  computeMatchKeys,
+  similarity,
+  matchReasons,
+  findDuplicates,
+  groupDuplicates
+};
@@ -0,0 +1,199 @@
+// utils/exporter.js
+// Streams query results to the response as CSV or XLSX, one document at a time,
+// so large exports never sit in memory.
+const ExcelJS = require('exceljs');
+const { validateListParams } = require('./listQueries');
+const { resolveListParams } = require('./savedViews');
+const { customFieldColumns } = require('./customFields');
+
+const CURSOR_BATCH_SIZE = 500;
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const name = (ref) => (ref && typeof ref === 'object' ? ref.name || ref.productName || ref.businessName || '' : '');
+const date = (value) => (value ? new Date(value).toISOString() : '');
+const paidAmount = (invoice) => (invoice.paymentHistory || []).reduce((sum, payment) => sum + (payment.amount || 0), 0);
+
+// Exportable columns per list: key -> [header, value(doc)]. Populated refs are exported by name.
+const COLUMNS = {
+  accounts: {
+    businessName: ['Business Name', doc => doc.businessName],
+    contactName: ['Contact Name', doc => doc.contactName],
+    contactEmail: ['Contact Email', doc => doc.contactEmail],
+    contactNumber: ['Contact Number', doc => doc.contactNumber],
+    address: ['Address', doc => doc.address],
+    sourceType: ['Source', doc => doc.sourceType],
+    status: ['Status', doc => doc.status],
+    closedReason: ['Closed Reason', doc => doc.closedReason],
+    assignedTo: ['Assigned To', doc => name(doc.assignedTo)],
+    zone: ['Zone', doc => name(doc.zone)],
+    selectedProduct: ['Product', doc => name(doc.selectedProduct)],
+    totalPrice: ['Total Price', doc => doc.totalPrice],
+    typeOfLead: ['Type of Lead', doc => (doc.typeOfLead || []).join(', ')],
+    tags: ['Tags', doc => (doc.tags || []).map(name).join(', ')],
+    gstNumber: ['GST Number', doc => doc.gstNumber],
+    gstStateCode: ['GST State Code', doc => doc.gstStateCode],
+    createdAt: ['Created At', doc => date(doc.createdAt)]
+  },
+  quotations: {
+    quotationNumber: ['Quotation Number', doc => doc.quotationNumber],
+    date: ['Date', doc => doc.date],
+    validUntil: ['Valid Until', doc => doc.validUntil],
+    businessName: ['Business Name', doc => doc.businessName || name(doc.businessId)],
+    customerName: ['Customer Name', doc => doc.customerName],
+    gstin: ['GSTIN', doc => doc.gstin],
+    gstType: ['GST Type', doc => doc.gstType],
+    placeOfSupply: ['Place of Supply', doc => doc.placeOfSupply],
+    subTotal: ['Sub Total', doc => doc.subTotal],
+    totalDiscount: ['Discount', doc => doc.totalDiscount],
+    taxableValue: ['Taxable Value', doc => doc.taxableValue],
+    tax: ['Tax', doc => doc.tax],
+    total: ['Total', doc => doc.total],
+    assignedTo: ['Assigned To', doc => name(doc.businessId && doc.businessId.assignedTo)],
+    zone: ['Zone', doc => name(doc.businessId && doc.businessId.zone)],
+    createdAt: ['Created At', doc => date(doc.createdAt)]
+  },
+  invoices: {
+    invoiceNumber: ['Invoice Number', doc => doc.invoiceNumber],
+    date: ['Date', doc => doc.date],
+    dueDate: ['Due Date', doc => doc.dueDate],
+    businessName: ['Business Name', doc => doc.businessName || name(doc.businessId)],
+    customerName: ['Customer Name', doc => doc.customerName],
+    customerGSTIN: ['Customer GSTIN', doc => doc.customerGSTIN],
+    placeOfSupply: ['Place of Supply', doc => doc.placeOfSupply],
+    gstType: ['GST Type', doc => doc.gstType],
+    contactName: ['Contact Name', doc => doc.contactName],
+    email: ['Email', doc => doc.email],
+    mobileNumber: ['Mobile Number', doc => doc.mobileNumber],
+    subTotal: ['Sub Total', doc => doc.subTotal],
+    discountAmount: ['Discount', doc => doc.discountAmount],
+    taxableValue: ['Taxable Value', doc => doc.taxableValue],
+    cgstAmount: ['CGST', doc => doc.cgstAmount],
+    sgstAmount: ['SGST', doc => doc.sgstAmount],
+    igstAmount: ['IGST', doc => doc.igstAmount],
+    totalAmount: ['Total Amount', doc => doc.totalAmount],
+    paidAmount: ['Paid Amount', doc => paidAmount(doc)],
+    balance: ['Balance', doc => (doc.totalAmount || 0) - paidAmount(doc)],
+    paymentStatus: ['Payment Status', doc => doc.paymentStatus],
+    isClosed: ['Closed', doc => (doc.isClosed ? 'Yes' : 'No')],
+    assignedTo: ['Assigned To', doc => name(doc.businessId && doc.businessId.assignedTo)],
+    zone: ['Zone', doc => name(doc.businessId && doc.businessId.zone)],
+    createdAt: ['Created At', doc => date(doc.createdAt)]
+  }
+};
+
+// The list's columns plus the custom field columns (cf_<key>) of its entity
+const exportColumns = async (list) => ({ ...COLUMNS[list], ...(await customFieldColumns(list)) });
+
+// Picks the requested columns (?columns=a,b,c) out of `available`; all columns if none are given.
+// Returns { columns } or { error }.
+const selectColumns = (list, requested, available = COLUMNS[list]) => {
+  if (!requested) return { columns: Object.keys(available) };
+
+  const keys = String(requested).split(',').map(key => key.trim()).filter(Boolean);
+  const unknown = keys.filter(key => !available[key]);
+  if (unknown.length) {
+    return { error: `Unknown column(s): ${unknown.join(', ')}. Available: ${Object.keys(available).join(', ')}` };
+  }
+  return { columns: keys };
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string' && FORMULA_PREFIX.test(value)) return `'${value}`;
+  return value;
+};
+
+const csvField = (value) => {
+  const text = String(cellValue(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Waits until `res` can take more data. Resolves false instead when the client went away,
+// so an aborted download stops the export rather than waiting forever.
+const waitForDrain = (res) => new Promise((resolve) => {
+  if (res.destroyed) return resolve(false);
+  const finish = (drained) => () => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    res.off('error', onClose);
+    resolve(drained);
+  };
+  const onDrain = finish(true);
+  const onClose = finish(false);
+  res.on('drain', onDrain);
+  res.on('close', onClose);
+  res.on('error', onClose);
+});
+
+// Writes every document of `cursor` to `res`. Headers are sent before the first row,
+// so errors after that point can only end the response early.
+const streamExport = async (res, { list, cursor, columns, format, fileName, available = COLUMNS[list] }) => {
+  const definitions = columns.map(key => available[key]);
+  res.setHeader('Content-Type', FORMATS[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet(list);
+    worksheet.addRow(definitions.map(([header]) => header)).commit();
+    for await (const doc of cursor) {
+      if (res.destroyed) return;
+      worksheet.addRow(definitions.map(([, value]) => cellValue(value(doc)))).commit();
+      // The workbook streams into res; let it flush before reading further
+      if (res.writableNeedDrain && !(await waitForDrain(res))) return;
+    }
+    worksheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  // Byte order mark so Excel opens the CSV as UTF-8
+  res.write('\uFEFF' + definitions.map(([header]) => csvField(header)).join(',') + '\r\n');
+  for await (const doc of cursor) {
+    if (res.destroyed) return;
+    if (!res.write(definitions.map(([, value]) => csvField(value(doc))).join(',') + '\r\n') && !(await waitForDrain(res))) {
+      return;
+    }
+  }
+  res.end();
+};
+
+// Handles an export request for one of the lists: ?format=csv|xlsx&columns=a,b plus the list's filters,
+// or ?viewId= of a saved view. buildQuery is the list's query builder from utils/listQueries.js.
+const exportList = async (req, res, { list, Model, buildQuery, populate = [] }) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!FORMATS[format]) {
+    return res.status(400).json({ message: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+  }
+  const { params, error: viewError, status } = await resolveListParams(req.user, list, req.query);
+  if (viewError) {
+    return res.status(status).json({ message: viewError });
+  }
+  const available = await exportColumns(list);
+  const { columns, error } = selectColumns(list, params.columns, available);
+  const paramError = error || validateListParams(params);
+  if (paramError) {
+    return res.status(400).json({ message: paramError });
+  }
+
+  const { filter, sort } = await buildQuery(req.user, params);
+  let query = Model.find(filter).sort(sort).lean();
+  for (const path of populate) query = query.populate(path);
+  const cursor = query.cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+  const fileName = `${list}-${new Date().toISOString().slice(0, 10)}`;
+  try {
+    await streamExport(res, { list, cursor, columns, format, fileName, available });
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = { FORMATS, COLUMNS, exportColumns, selectColumns, streamExport, exportList };
@@ -0,0 +1,164 @@
+// utils/followUps.js
+// Follow-ups of accounts, quotations and invoices are stored as Tasks. These helpers
+// keep the old /:id/followups API working on top of the Task collection.
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const BusinessAccount = require('../models/BusinessAccount');
+const Quotation = require('../models/Quotation');
+const Invoice = require('../models/Invoice');
+
+const RELATED_MODELS = { BusinessAccount, Quotation, Invoice };
+
+// Legacy follow-up statuses map one-to-one onto task statuses
+const FOLLOW_UP_STATUSES = ['pending', 'completed'];
+
+// Shape of a follow-up as the old embedded API returned it, plus the task fields
+const toFollowUpView = (task) => ({
+  _id: task._id,
+  date: task.dueDate,
+  note: task.note,
+  addedBy: task.createdBy,
+  status: task.status,
+  createdAt: task.createdAt,
+  assignedTo: task.assignedTo,
+  priority: task.priority,
+  isOverdue: task.isOverdue
+});
+
+// The account a related record belongs to
+const businessIdFor = (relatedModel, doc) => (relatedModel === 'BusinessAccount' ? doc._id : doc.businessId || null);
+
+const findFollowUpTasks = (relatedModel, relatedId) => Task.find({ relatedModel, relatedId })
+  .sort({ createdAt: 1 })
+  .populate('createdBy', 'name email')
+  .populate('assignedTo', 'name email');
+
+const listFollowUps = async (relatedModel, relatedId) => (
+  (await findFollowUpTasks(relatedModel, relatedId)).map(toFollowUpView)
+);
+
+// `ref` is a task id, or (legacy clients) the position of the follow-up in the list
+const findFollowUp = async (relatedModel, relatedId, ref) => {
+  if (mongoose.isValidObjectId(ref) && String(ref).length === 24) {
+    return Task.findOne({ _id: ref, relatedModel, relatedId });
+  }
+  const index = Number(ref);
+  if (!Number.isInteger(index) || index < 0) return null;
+
+  const tasks = await Task.find({ relatedModel, relatedId }).sort({ createdAt: 1 }).skip(index).limit(1);
+  return tasks[0] || null;
+};
+
+const createFollowUp = (relatedModel, doc, { date, note, addedBy, status, assignedTo, priority, title }) => Task.create({
+  title,
+  note,
+  dueDate: date,
+  createdBy: addedBy,
+  assignedTo: assignedTo || addedBy,
+  priority,
+  status: FOLLOW_UP_STATUSES.includes(status) ? status : 'pending',
+  completedAt: status === 'completed' ? new Date() : null,
+  relatedModel,
+  relatedId: doc._id,
+  businessId: businessIdFor(relatedModel, doc)
+});
+
+// Checks follow-up fields before they reach the Task model, so bad input is a 400 rather than a
+// cast or validation error. Returns an error message or null.
+const validateFollowUpChanges = ({ date, status, assignedTo, priority } = {}) => {
+  const statuses = Task.schema.path('status').enumValues;
+  const priorities = Task.schema.path('priority').enumValues;
+  if (status !== undefined && !statuses.includes(status)) {
+    return `status must be one of: ${statuses.join(', ')}`;
+  }
+  if (priority !== undefined && !priorities.includes(priority)) {
+    return `priority must be one of: ${priorities.join(', ')}`;
+  }
+  if (assignedTo !== undefined && assignedTo !== null && assignedTo !== '' && !mongoose.isValidObjectId(assignedTo)) {
+    return 'assignedTo must be a user id';
+  }
+  if (date !== undefined && Number.isNaN(new Date(date).getTime())) {
+    return 'date must be a valid date';
+  }
+  return null;
+};
+
+// Applies a legacy follow-up update ({ date, note, status } plus optional task fields) to a task
+const applyFollowUpChanges = (task, { date, note, status, assignedTo, priority, title } = {}, userId) => {
+  if (date !== undefined) task.dueDate = date;
+  if (note !== undefined) task.note = note;
+  if (assignedTo !== undefined) task.assignedTo = assignedTo;
+  if (priority !== undefined) task.priority = priority;
+  if (title !== undefined) task.title = title;
+  if (status !== undefined && status !== task.status) {
+    task.status = status;
+    task.completedAt = status === 'completed' ? new Date() : null;
+    task.completedBy = status === 'completed' ? userId : null;
+  }
+};
+
+// Moves follow-ups still embedded in the document into the Task collection.
+// Clearing the array first (atomically) guarantees each follow-up is migrated only once.
+const migrateEmbeddedFollowUps = async (relatedModel, docId) => {
+  const Model = RELATED_MODELS[relatedModel];
+  const doc = await Model.findOneAndUpdate(
+    { _id: docId, 'followUps.0': { $exists: true } },
+    { $set: { followUps: [] } },
+    { new: false }
+  ).lean();
+  if (!doc) return 0;
+
+  const businessId = businessIdFor(relatedModel, doc);
+  const account = businessId ? await BusinessAccount.findById(businessId).select('assignedTo').lean() : null;
+  const migratedAt = new Date();
+  const tasks = doc.followUps.map(followUp => ({
+    note: followUp.note,
+    dueDate: followUp.date,
+    createdBy: followUp.addedBy || null,
+    // Fall back to the account owner when the author is unknown
+    assignedTo: followUp.addedBy || (account && account.assignedTo) || null,
+    status: followUp.status || 'pending',
+    completedAt: followUp.status === 'completed' ? (followUp.createdAt || new Date()) : null,
+    relatedModel,
+    relatedId: doc._id,
+    businessId,
+    // Follow-ups already past due are treated as reminded, so the migration does not send
+    // an overdue reminder for every old follow-up
+    reminderSentAt: new Date(followUp.date) < migratedAt ? migratedAt : null,
+    createdAt: followUp.createdAt || migratedAt
+  }));
+
+  try {
+    await Task.insertMany(tasks);
+  } catch (err) {
+    // Put the follow-ups back so nothing is lost; the next startup retries
+    await Model.updateOne({ _id: doc._id }, { $set: { followUps: doc.followUps } });
+    throw err;
+  }
+  return tasks.length;
+};
+
+// One-off startup migration of all embedded follow-ups
+const migrateAllEmbeddedFollowUps = async () => {
+  let migrated = 0;
+  for (const relatedModel of Object.keys(RELATED_MODELS)) {
+    const ids = await RELATED_MODELS[relatedModel].distinct('_id', { 'followUps.0': { $exists: true } });
+    for (const id of ids) {
+      migrated += await migrateEmbeddedFollowUps(relatedModel, id);
+    }
+  }
+  if (migrated > 0) {
+    console.log(`📋 Migrated ${migrated} embedded follow-up(s) to tasks`);
+  }
+  return migrated;
+};
+
+module.exports = {
+  toFollowUpView,
+  listFollowUps,
+  findFollowUp,
+  createFollowUp,
+  validateFollowUpChanges,
+  applyFollowUpChanges,
+  migrateAllEmbeddedFollowUps
+};
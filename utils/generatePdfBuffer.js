@@ -1,32 +1,63 @@
-const PDFDocument = require('pdfkit');
+// utils/generatePdfBuffer.js
+// Renders a quotation as a PDF: letterhead, customer block, item table with specifications,
+// GST breakdown, amount in words, validity and terms. `seller` comes from
+// utils/documentPdf.js#sellerFor.
+const { amountInWords } = require('./amountInWords');
+const {
+  ITEM_COLUMNS, itemRows, totalRows, stateLabel, createPdf, drawLetterhead, drawParties, drawTable,
+  drawTotals, drawGstSummary, drawSection, drawSignature, drawPageNumbers
+} = require('./pdfLayout');
 
-const generatePdfBuffer = (quotation) => {
-  return new Promise((resolve, reject) => {
-    const doc = new PDFDocument();
-    const buffers = [];
+const generatePdfBuffer = async (quotation, seller = {}) => {
+  const { doc, done } = createPdf({ Title: `Quotation ${quotation.quotationNumber}`, Author: seller.name || '' });
 
-    doc.on('data', buffers.push.bind(buffers));
-    doc.on('end', () => {
-      resolve(Buffer.concat(buffers));
-    });
+  drawLetterhead(doc, seller, {
+    title: 'QUOTATION',
+    meta: [
+      ['No', quotation.quotationNumber],
+      ['Date', quotation.date],
+      ['Valid Until', quotation.validUntil]
+    ]
+  });
 
-    doc.fontSize(20).text('Quotation', { align: 'center' });
-    doc.text(`Quotation #: ${quotation.quotationNumber}`);
-    doc.text(`Customer: ${quotation.customerName}`);
-    doc.text(`Business: ${quotation.businessName}`);
-    doc.text(`Date: ${quotation.date}`);
-    doc.text(`Valid Until: ${quotation.validUntil}`);
+  const contact = [quotation.contactName, quotation.contactDesignation].filter(Boolean).join(', ');
+  drawParties(doc, [
+    {
+      heading: 'To',
+      lines: [
+        quotation.businessName,
+        quotation.customerName !== quotation.businessName && quotation.customerName,
+        quotation.customerAddress,
+        quotation.gstin ? `GSTIN: ${quotation.gstin}` : quotation.customerUnregistered && 'Unregistered (no GSTIN)',
+        quotation.customerStateCode && `State: ${stateLabel(quotation.customerStateCode)}`
+      ]
+    },
+    {
+      heading: 'Kind Attention',
+      lines: [
+        contact,
+        quotation.contactNumber && `Phone: ${quotation.contactNumber}`,
+        quotation.contactEmail && `Email: ${quotation.contactEmail}`,
+        quotation.placeOfSupply && `Place of Supply: ${stateLabel(quotation.placeOfSupply)}`
+      ]
+    }
+  ]);
 
-    quotation.items.forEach((item, i) => {
-      doc.text(`${i + 1}. ${item.description} | Qty: ${item.quantity} | Rate: ${item.rate} | Total: ${item.quantity * item.rate}`);
-    });
+  drawTable(doc, ITEM_COLUMNS, itemRows(quotation.items || []));
+  drawTotals(doc, totalRows(quotation, quotation.total));
+  drawSection(doc, 'Amount in Words', [amountInWords(quotation.total)]);
+  drawGstSummary(doc, quotation.hsnSummary, quotation.gstType);
 
-    doc.text(`SubTotal: ₹${quotation.subTotal}`);
-    doc.text(`Tax: ₹${quotation.tax}`);
-    doc.text(`Total: ₹${quotation.total}`);
+  if (quotation.validUntil) {
+    drawSection(doc, 'Validity', [`This quotation is valid until ${quotation.validUntil}.`]);
+  }
+  const terms = quotation.terms && quotation.terms.length ? quotation.terms : seller.quotationTerms;
+  drawSection(doc, 'Terms and Conditions', terms, { numbered: true });
+  drawSignature(doc, seller.name);
+  drawPageNumbers(doc);
 
-    doc.end();
-  });
+  doc.end();
+  return done;
 };
 
-module.exports = generatePdfBuffer;
\ No newline at end of file
+module.exports = generatePdfBuffer;
@@ -0,0 +1,183 @@
+// utils/gstin.js
+// GSTIN parsing and the intrastate / interstate decision.
+// A GSTIN is 15 characters: 2-digit state code, the holder's 10-character PAN, the entity number,
+// the letter Z and a check character (mod-36 checksum over the first 14 characters).
+// Supply within the company's own state is intrastate (CGST + SGST), anything else interstate (IGST).
+const { normalizeGstin } = require('./duplicates');
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const CHECKSUM_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '25': 'Daman and Diu',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '28': 'Andhra Pradesh (before 2014)',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory',
+  '99': 'Centre Jurisdiction'
+};
+
+// The check character for the first 14 characters of a GSTIN
+const checksumChar = (first14) => {
+  let sum = 0;
+  for (let i = 0; i < first14.length; i++) {
+    const product = CHECKSUM_CHARS.indexOf(first14[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return CHECKSUM_CHARS[(36 - (sum % 36)) % 36];
+};
+
+// Returns { gstin, stateCode, stateName, pan } for a valid GSTIN, or { error }
+const parseGstin = (value) => {
+  const gstin = normalizeGstin(value);
+  if (!GSTIN_PATTERN.test(gstin)) {
+    return { error: `"${value}" is not a valid GSTIN (expected 15 characters like 27AAPFU0939F1ZV)` };
+  }
+  const stateCode = gstin.slice(0, 2);
+  if (!STATE_CODES[stateCode]) {
+    return { error: `GSTIN ${gstin} has an unknown state code ${stateCode}` };
+  }
+  if (checksumChar(gstin.slice(0, 14)) !== gstin[14]) {
+    return { error: `GSTIN ${gstin} has an invalid check digit` };
+  }
+  return { gstin, stateCode, stateName: STATE_CODES[stateCode], pan: gstin.slice(2, 12) };
+};
+
+const isValidStateCode = (code) => Boolean(STATE_CODES[code]);
+
+// Accepts "27", "7" or a state name ("Maharashtra"); returns the two-digit code or null
+const toStateCode = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d{1,2}$/.test(text)) {
+    const code = text.padStart(2, '0');
+    return STATE_CODES[code] ? code : null;
+  }
+  const lower = text.toLowerCase();
+  return Object.keys(STATE_CODES).find(code => STATE_CODES[code].toLowerCase() === lower) || null;
+};
+
+const gstTypeFor = (companyStateCode, placeOfSupply) => (
+  companyStateCode === placeOfSupply ? 'intrastate' : 'interstate'
+);
+
+// The GST registration fields of an account after applying `data` (create / update input) to
+// `existing`. A GSTIN fills in the state and PAN; an account without one may be flagged
+// gstUnregistered and given the state it is in. Returns { fields } or { error }; fields is
+// empty when `data` does not touch gstNumber, gstUnregistered or gstStateCode.
+const accountGstFields = (data, existing = {}) => {
+  if (data.gstNumber === undefined && data.gstUnregistered === undefined && data.gstStateCode === undefined) {
+    return { fields: {} };
+  }
+  const gstNumber = data.gstNumber !== undefined ? data.gstNumber : existing.gstNumber;
+  const unregistered = data.gstUnregistered !== undefined
+    ? data.gstUnregistered === true || data.gstUnregistered === 'true'
+    : Boolean(existing.gstUnregistered);
+
+  if (gstNumber) {
+    if (unregistered && data.gstUnregistered !== undefined) {
+      return { error: 'An account with a GSTIN cannot be marked as unregistered' };
+    }
+    const parsed = parseGstin(gstNumber);
+    if (parsed.error) return { error: `gstNumber: ${parsed.error}` };
+    return { fields: { gstNumber: parsed.gstin, gstStateCode: parsed.stateCode, pan: parsed.pan, gstUnregistered: false } };
+  }
+
+  const stateInput = data.gstStateCode !== undefined ? data.gstStateCode : existing.gstStateCode;
+  const gstStateCode = toStateCode(stateInput);
+  if (stateInput && !gstStateCode) return { error: `Unknown gstStateCode "${stateInput}"` };
+  return { fields: { gstNumber: null, gstStateCode, pan: null, gstUnregistered: unregistered } };
+};
+
+// Works out the GST parties of a quotation or invoice and whether the supply is intrastate.
+//   company:  { gstin, stateCode } of the seller (the company settings, or a GSTIN on the document)
+//   customer: { gstin, unregistered, stateCode } - a registered customer needs a valid GSTIN; an
+//             unregistered one must be flagged as such and needs a state to supply to
+//   placeOfSupply: state code or name; defaults to the customer's state
+// Returns { companyGSTIN, companyStateCode, customerGSTIN, customerStateCode, customerUnregistered,
+// placeOfSupply, gstType } or { error }. gstType is null when the company's state is not known.
+const resolveGstParties = ({ company = {}, customer = {}, placeOfSupply }) => {
+  let companyGSTIN = null;
+  let companyStateCode = toStateCode(company.stateCode);
+  if (company.gstin) {
+    const parsed = parseGstin(company.gstin);
+    if (parsed.error) return { error: `companyGSTIN: ${parsed.error}` };
+    companyGSTIN = parsed.gstin;
+    companyStateCode = parsed.stateCode;
+  }
+
+  let customerGSTIN = null;
+  let customerStateCode = null;
+  const customerUnregistered = customer.unregistered === true || customer.unregistered === 'true';
+  if (customer.gstin) {
+    if (customerUnregistered) return { error: 'An unregistered customer cannot have a GSTIN' };
+    const parsed = parseGstin(customer.gstin);
+    if (parsed.error) return { error: `customerGSTIN: ${parsed.error}` };
+    customerGSTIN = parsed.gstin;
+    customerStateCode = parsed.stateCode;
+  } else if (customerUnregistered) {
+    customerStateCode = toStateCode(customer.stateCode);
+    if (customer.stateCode && !customerStateCode) return { error: `Unknown customer state "${customer.stateCode}"` };
+  } else {
+    return { error: 'customerGSTIN is required; set customerUnregistered: true for a customer without GST registration' };
+  }
+
+  const supplyState = placeOfSupply ? toStateCode(placeOfSupply) : customerStateCode;
+  if (placeOfSupply && !supplyState) return { error: `Unknown place of supply "${placeOfSupply}"` };
+  if (!supplyState) return { error: 'placeOfSupply (or the customer\'s state) is required for an unregistered customer' };
+
+  return {
+    companyGSTIN,
+    companyStateCode,
+    customerGSTIN,
+    customerStateCode,
+    customerUnregistered,
+    placeOfSupply: supplyState,
+    gstType: companyStateCode ? gstTypeFor(companyStateCode, supplyState) : null
+  };
+};
+
+module.exports = {
+  GSTIN_PATTERN,
+  STATE_CODES,
+  parseGstin,
+  isValidStateCode,
+  toStateCode,
+  gstTypeFor,
+  accountGstFields,
+  resolveGstParties
+};
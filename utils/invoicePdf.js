@@ -0,0 +1,180 @@
+// utils/invoicePdf.js
+// Renders a GST tax invoice as a PDF: letterhead with the seller's GSTIN, billed-to party and
+// place of supply, item table, totals in figures and words, HSN/SAC-wise tax summary, bank
+// details with a UPI payment QR code, payment terms and signature. Each requested copy
+// (original / duplicate / triplicate) is rendered in turn, and closed invoices are stamped FINAL.
+// `seller` comes from utils/documentPdf.js#sellerFor.
+const QRCode = require('qrcode');
+const { amountInWords } = require('./amountInWords');
+const { parseGstin } = require('./gstin');
+const {
+  BOLD, FONT, ITEM_COLUMNS, itemRows, totalRows, stateLabel, createPdf, contentWidth,
+  ensureSpace, drawLetterhead, drawParties, drawTable, drawTotals, drawGstSummary, drawSection,
+  drawSignature, drawStamp, forEachPage, drawPageNumbers
+} = require('./pdfLayout');
+
+// The copies of a tax invoice, in order, with the line printed at the top of each page
+const INVOICE_COPIES = {
+  original: 'ORIGINAL FOR RECIPIENT',
+  duplicate: 'DUPLICATE FOR TRANSPORTER',
+  triplicate: 'TRIPLICATE FOR SUPPLIER'
+};
+
+const QR_SIZE = 80;
+
+// Copies from a query value such as "original,duplicate" (all of them when empty)
+const parseCopies = (value) => {
+  const requested = [].concat(value || []).join(',').split(',').map(copy => copy.trim().toLowerCase()).filter(Boolean);
+  if (requested.length === 0) return { copies: Object.keys(INVOICE_COPIES) };
+  const unknown = requested.filter(copy => !INVOICE_COPIES[copy]);
+  if (unknown.length) {
+    return { error: `Unknown invoice copy "${unknown[0]}"; use ${Object.keys(INVOICE_COPIES).join(', ')}` };
+  }
+  // Always printed in the standard order, each once
+  return { copies: Object.keys(INVOICE_COPIES).filter(copy => requested.includes(copy)) };
+};
+
+// The seller as recorded on the invoice: its own company name, address and GSTIN win over
+// the current settings, so a reprint matches what was issued
+const invoiceSeller = (invoice, seller) => {
+  const gstin = invoice.companyGSTIN || seller.gstin || '';
+  const parsed = gstin ? parseGstin(gstin) : {};
+  return {
+    ...seller,
+    name: invoice.companyName || seller.name,
+    address: invoice.companyAddress || seller.address,
+    gstin,
+    stateCode: parsed.stateCode || seller.stateCode || ''
+  };
+};
+
+// upi://pay link for the invoice total, as understood by UPI apps
+const upiPaymentLink = (invoice, seller) => {
+  const params = [
+    ['pa', seller.upiId],
+    ['pn', (seller.bank && seller.bank.accountName) || seller.name],
+    ['am', (Number(invoice.totalAmount) || 0).toFixed(2)],
+    ['cu', 'INR'],
+    ['tn', `Invoice ${invoice.invoiceNumber || ''}`.trim()]
+  ].filter(([, value]) => value);
+  return `upi://pay?${params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&')}`;
+};
+
+// PNG of the UPI QR code, or null when there is no UPI ID or nothing to pay
+const upiQrCode = (invoice, seller) => {
+  if (!seller.upiId || !(Number(invoice.totalAmount) > 0)) return Promise.resolve(null);
+  return QRCode.toBuffer(upiPaymentLink(invoice, seller), { type: 'png', margin: 1, width: 240 });
+};
+
+// Bank details and payment terms, with the UPI QR code at the right
+const drawPayment = (doc, invoice, seller, qrCode) => {
+  const bank = seller.bank || {};
+  const blocks = [
+    {
+      heading: 'Bank Details',
+      lines: [
+        bank.accountName && `Account Name: ${bank.accountName}`,
+        bank.accountNumber && `Account No: ${bank.accountNumber}`,
+        bank.bankName && `Bank: ${[bank.bankName, bank.branch].filter(Boolean).join(', ')}`,
+        bank.ifsc && `IFSC: ${bank.ifsc}`,
+        seller.upiId && `UPI: ${seller.upiId}`
+      ]
+    },
+    {
+      heading: 'Payment Terms',
+      lines: [invoice.paymentTerms, invoice.dueDate && `Payment due by ${invoice.dueDate}`]
+    }
+  ].filter(block => block.lines.some(Boolean));
+  if (blocks.length === 0 && !qrCode) return;
+
+  ensureSpace(doc, qrCode ? QR_SIZE + 30 : 60);
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const top = doc.y;
+  if (blocks.length) drawParties(doc, blocks, { width: qrCode ? width - QR_SIZE - 20 : width });
+  if (!qrCode) return;
+
+  const qrX = left + width - QR_SIZE;
+  doc.image(qrCode, qrX, top, { width: QR_SIZE, height: QR_SIZE });
+  doc.font(FONT).fontSize(7).text('Scan to pay with any UPI app', qrX - 10, top + QR_SIZE + 2, { width: QR_SIZE + 20, align: 'center' });
+  doc.x = left;
+  doc.y = Math.max(doc.y, top + QR_SIZE + 14) + 4;
+};
+
+// One complete copy of the invoice, starting on the current page
+const drawInvoice = (doc, invoice, seller, qrCode) => {
+  drawLetterhead(doc, seller, {
+    title: 'TAX INVOICE',
+    meta: [
+      ['Invoice No', invoice.invoiceNumber],
+      ['Date', invoice.date],
+      ['Due Date', invoice.dueDate]
+    ]
+  });
+
+  const interstate = invoice.gstType === 'interstate';
+  const contact = [invoice.contactName, invoice.contactDesignation].filter(Boolean).join(', ');
+  drawParties(doc, [
+    {
+      heading: 'Billed To',
+      lines: [
+        invoice.businessName,
+        invoice.customerName !== invoice.businessName && invoice.customerName,
+        invoice.customerAddress,
+        invoice.customerGSTIN ? `GSTIN: ${invoice.customerGSTIN}` : invoice.customerUnregistered && 'Unregistered (no GSTIN)',
+        invoice.customerStateCode && `State: ${stateLabel(invoice.customerStateCode)}`
+      ]
+    },
+    {
+      heading: 'Supply',
+      lines: [
+        invoice.placeOfSupply && `Place of Supply: ${stateLabel(invoice.placeOfSupply)}`,
+        `Supply Type: ${interstate ? 'Interstate (IGST)' : 'Intrastate (CGST + SGST)'}`,
+        contact && `Contact: ${contact}`,
+        invoice.mobileNumber && `Phone: ${invoice.mobileNumber}`,
+        invoice.email && `Email: ${invoice.email}`
+      ]
+    }
+  ]);
+
+  drawTable(doc, ITEM_COLUMNS, itemRows(invoice.items || []));
+  const totals = totalRows(invoice, invoice.totalAmount);
+  drawTotals(doc, totals);
+  if (invoice.isClosed) {
+    // In the free space left of the totals
+    drawStamp(doc, 'FINAL', doc.page.margins.left + contentWidth(doc) * 0.25, doc.y - totals.length * 6 - 6);
+  }
+  drawSection(doc, 'Amount in Words', [amountInWords(invoice.totalAmount)]);
+  drawGstSummary(doc, invoice.hsnSummary, invoice.gstType);
+  drawPayment(doc, invoice, seller, qrCode);
+  drawSection(doc, 'Terms and Conditions', seller.invoiceTerms, { numbered: true });
+  drawSignature(doc, seller.name);
+};
+
+// Renders `copies` (keys of INVOICE_COPIES) of the invoice into one PDF; resolves with the buffer
+const generateInvoicePdf = async (invoice, seller = {}, { copies = Object.keys(INVOICE_COPIES) } = {}) => {
+  const issuer = invoiceSeller(invoice, seller);
+  const qrCode = await upiQrCode(invoice, issuer);
+  const { doc, done } = createPdf({ Title: `Tax Invoice ${invoice.invoiceNumber}`, Author: issuer.name || '' });
+
+  const firstPages = [];
+  copies.forEach((copy, index) => {
+    if (index > 0) doc.addPage();
+    const { start, count } = doc.bufferedPageRange();
+    firstPages.push(start + count - 1);
+    drawInvoice(doc, invoice, issuer, qrCode);
+  });
+
+  // Which copy each page belongs to, at the top right above the letterhead
+  forEachPage(doc, (i) => {
+    const copy = copies[firstPages.filter(first => first <= i).length - 1];
+    doc.font(BOLD).fontSize(7).fillColor('#666666')
+      .text(INVOICE_COPIES[copy], doc.page.margins.left, 22, { width: contentWidth(doc), align: 'right' });
+  });
+  drawPageNumbers(doc, firstPages);
+
+  doc.end();
+  return done;
+};
+
+module.exports = { INVOICE_COPIES, parseCopies, upiPaymentLink, generateInvoicePdf };
@@ -0,0 +1,105 @@
+// utils/listQueries.js
+// Filters of the account, quotation and invoice lists, built from the query string and limited
+// to what the user may see. The paginated list endpoints and the exports share these, so an
+// export contains exactly the rows of the list the user is looking at.
+const mongoose = require('mongoose');
+const BusinessAccount = require('../models/BusinessAccount');
+const { applyScope, getAccountScope, getBusinessScope } = require('./dataScope');
+const { escapeRegex } = require('./regex');
+const { customFieldFilter } = require('./customFields');
+const { TAG_MATCH_MODES, toIdList, tagFilter } = require('./tags');
+
+// Query-string filters each list understands (besides sortBy / sortOrder and the
+// custom field filters ?cf_<key>=, see utils/customFields.js)
+const LIST_FILTERS = {
+  accounts: ['status', 'zone', 'assignedTo', 'search', 'tags', 'tagMatch'],
+  quotations: ['search', 'businessId', 'zone', 'assignedTo', 'gstType', 'from', 'to'],
+  invoices: ['search', 'businessId', 'zone', 'assignedTo', 'paymentStatus', 'isClosed', 'from', 'to']
+};
+
+const searchFilter = (search, fields) => ({
+  $or: fields.map(field => ({ [field]: { $regex: escapeRegex(search), $options: 'i' } }))
+});
+
+const sortFrom = ({ sortBy = 'createdAt', sortOrder = 'desc' }) => ({ [sortBy]: sortOrder === 'asc' ? 1 : -1 });
+
+const dateRange = (from, to) => {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  return range;
+};
+
+// ?status=&zone=&search=&assignedTo=&tags=id1,id2&tagMatch=any|all&cf_<key>=&sortBy=&sortOrder=
+const buildAccountListQuery = async (reqUser, params) => {
+  const { search = '', status, zone, assignedTo, tags, tagMatch } = params;
+
+  let filter = {};
+  if (status && status !== 'all') filter.status = status;
+  if (zone) filter.zone = zone;
+  if (assignedTo) filter.assignedTo = assignedTo;
+  if (search) Object.assign(filter, searchFilter(search, ['businessName', 'contactName']));
+  Object.assign(filter, tagFilter(tags, tagMatch));
+  Object.assign(filter, await customFieldFilter('accounts', params));
+
+  filter = applyScope(filter, await getAccountScope(reqUser));
+  return { filter, sort: sortFrom(params) };
+};
+
+// Quotations and invoices are filtered by zone and assignee through their account
+const accountFilterFor = async (reqUser, { zone, assignedTo, businessId }) => {
+  if (!zone && !assignedTo) {
+    return businessId ? { businessId } : {};
+  }
+  const accountFilter = {};
+  if (zone) accountFilter.zone = zone;
+  if (assignedTo) accountFilter.assignedTo = assignedTo;
+  if (businessId) accountFilter._id = businessId;
+
+  const accountIds = await BusinessAccount.distinct('_id', applyScope(accountFilter, await getAccountScope(reqUser)));
+  return { businessId: { $in: accountIds } };
+};
+
+// ?search=&businessId=&zone=&assignedTo=&gstType=&from=&to=&cf_<key>=&sortBy=&sortOrder=
+const buildQuotationListQuery = async (reqUser, params) => {
+  const { search = '', gstType, from, to } = params;
+
+  let filter = await accountFilterFor(reqUser, params);
+  if (gstType) filter.gstType = gstType;
+  if (from || to) filter.createdAt = dateRange(from, to);
+  if (search) Object.assign(filter, searchFilter(search, ['quotationNumber', 'businessName', 'customerName']));
+  Object.assign(filter, await customFieldFilter('quotations', params));
+
+  filter = applyScope(filter, await getBusinessScope(reqUser));
+  return { filter, sort: sortFrom(params) };
+};
+
+// ?search=&businessId=&zone=&assignedTo=&paymentStatus=&isClosed=&from=&to=&cf_<key>=&sortBy=&sortOrder=
+const buildInvoiceListQuery = async (reqUser, params) => {
+  const { search = '', paymentStatus, isClosed, from, to } = params;
+
+  let filter = { invoiceType: 'Invoice', ...(await accountFilterFor(reqUser, params)) };
+  if (paymentStatus && paymentStatus !== 'all') filter.paymentStatus = paymentStatus;
+  if (isClosed === 'true' || isClosed === 'false') filter.isClosed = isClosed === 'true';
+  if (from || to) filter.createdAt = dateRange(from, to);
+  if (search) Object.assign(filter, searchFilter(search, ['invoiceNumber', 'businessName', 'customerName']));
+  Object.assign(filter, await customFieldFilter('invoices', params));
+
+  filter = applyScope(filter, await getBusinessScope(reqUser));
+  return { filter, sort: sortFrom(params) };
+};
+
+// Rejects ids and dates in the query string that would make the query throw
+const validateListParams = (params) => {
+  for (const name of ['zone', 'assignedTo', 'businessId']) {
+    if (params[name] && !mongoose.isValidObjectId(params[name])) return `Invalid ${name}`;
+  }
+  for (const name of ['from', 'to']) {
+    if (params[name] && isNaN(new Date(params[name]))) return `Invalid ${name} date`;
+  }
+  if (toIdList(params.tags).some(id => !mongoose.isValidObjectId(id))) return 'Invalid tags';
+  if (params.tagMatch && !TAG_MATCH_MODES.includes(params.tagMatch)) return `tagMatch must be one of: ${TAG_MATCH_MODES.join(', ')}`;
+  return null;
+};
+
+module.exports = { LIST_FILTERS, buildAccountListQuery, buildQuotationListQuery, buildInvoiceListQuery, validateListParams };
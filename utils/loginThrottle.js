@@ -0,0 +1,69 @@
+// utils/loginThrottle.js
+// Brute-force protection for POST /api/auth/login. Failures are counted per account and per IP:
+// after a few failures each further attempt must wait an exponentially growing delay, and
+// reaching the limit locks the key for LOCK_MINUTES.
+const LoginThrottle = require('../models/LoginThrottle');
+
+const LIMITS = {
+  account: { maxFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES, 10) || 5 },
+  ip: { maxFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20 }
+};
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+const FREE_ATTEMPTS = 2; // failures allowed before the progressive delay kicks in
+const MAX_DELAY_SECONDS = 30;
+
+const accountKey = (email) => `account:${String(email || '').toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const delaySecondsFor = (failures) => (
+  failures <= FREE_ATTEMPTS ? 0 : Math.min(2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_SECONDS)
+);
+
+// Returns { blocked: false } or { blocked: true, locked, retryAfter } (seconds)
+const checkLoginThrottle = async (keys) => {
+  const now = Date.now();
+  const entries = await LoginThrottle.find({ key: { $in: keys } });
+
+  let retryAfter = 0;
+  let locked = false;
+  for (const entry of entries) {
+    if (entry.lockedUntil && entry.lockedUntil.getTime() > now) {
+      locked = true;
+      retryAfter = Math.max(retryAfter, Math.ceil((entry.lockedUntil.getTime() - now) / 1000));
+      continue;
+    }
+    const delay = delaySecondsFor(entry.failures);
+    const waitUntil = entry.lastFailureAt ? entry.lastFailureAt.getTime() + delay * 1000 : 0;
+    if (waitUntil > now) {
+      retryAfter = Math.max(retryAfter, Math.ceil((waitUntil - now) / 1000));
+    }
+  }
+
+  return retryAfter > 0 ? { blocked: true, locked, retryAfter } : { blocked: false };
+};
+
+const registerLoginFailure = async (keys) => {
+  const now = new Date();
+  for (const key of keys) {
+    const type = key.split(':')[0];
+    const entry = await LoginThrottle.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { lastFailureAt: now } },
+      { upsert: true, new: true }
+    );
+
+    if (entry.failures >= LIMITS[type].maxFailures) {
+      // Lock and start counting afresh once the lock expires
+      await LoginThrottle.updateOne(
+        { key },
+        { failures: 0, lockedUntil: new Date(now.getTime() + LOCK_MINUTES * 60 * 1000) }
+      );
+    }
+  }
+};
+
+const clearLoginThrottle = async (keys) => {
+  await LoginThrottle.deleteMany({ key: { $in: keys } });
+};
+
+module.exports = { accountKey, ipKey, checkLoginThrottle, registerLoginFailure, clearLoginThrottle };
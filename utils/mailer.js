@@ -0,0 +1,51 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Pluggable mail transports. MAIL_TRANSPORT selects one by name:
+//   file    - writes each message as an .eml file to MAIL_DIR (SMTP stand-in)
+//   console - logs the message to stdout
+// Other transports (e.g. a real SMTP client) can be added with registerTransport().
+const transports = {
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'crm-mail');
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.eml`;
+    const raw = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text
+    ].join('\r\n');
+
+    const filePath = path.join(dir, fileName);
+    await fs.writeFile(filePath, raw);
+    return { transport: 'file', path: filePath };
+  },
+
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { transport: 'console' };
+  }
+};
+
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || 'file';
+  const send = transports[name];
+  if (!send) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  const from = process.env.MAIL_FROM || 'no-reply@megacrane.in';
+  return send({ from, to, subject, text });
+};
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,65 @@
+// utils/notifier.js
+// Sends notifications to users through pluggable channels. Every notification is stored as a
+// Notification record first (that record is the in-app notification); the other channels are then
+// tried one by one and their outcome is logged on the record. Channel failures never throw.
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { sendMail } = require('./mailer');
+
+const IN_APP = 'in-app';
+
+// Delivery functions for channels other than in-app: (user, notification) => Promise
+const channels = {
+  email: (user, notification) => sendMail({
+    to: user.email,
+    subject: notification.title,
+    text: notification.message
+  })
+};
+
+const registerChannel = (name, send) => {
+  channels[name] = send;
+};
+
+// Notifies one user. Returns the Notification, or null if the user cannot be notified or a
+// notification with the same dedupeKey was already sent.
+const notify = async (userId, { type, title, message, data, dedupeKey }, channelNames = [IN_APP, 'email']) => {
+  const user = await User.findById(userId).select('name email status');
+  if (!user || user.status === 'Inactive') return null;
+
+  let notification;
+  try {
+    notification = await Notification.create({
+      user: user._id,
+      type,
+      title,
+      message,
+      data,
+      channels: channelNames,
+      dedupeKey
+    });
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+
+  for (const name of channelNames) {
+    if (name === IN_APP) continue;
+
+    const send = channels[name];
+    try {
+      if (!send) throw new Error(`Unknown notification channel: ${name}`);
+      await send(user, notification);
+      notification.deliveries.push({ channel: name, status: 'sent' });
+    } catch (err) {
+      console.error(`Failed to deliver ${type} notification to ${user.email} via ${name}:`, err.message);
+      notification.deliveries.push({ channel: name, status: 'failed', error: err.message });
+    }
+  }
+  if (notification.deliveries.length > 0) {
+    await notification.save();
+  }
+  return notification;
+};
+
+module.exports = { IN_APP, notify, registerChannel };
@@ -0,0 +1,44 @@
+// utils/numberFormat.js
+// Document number formats, e.g. "MC/INV/{FY}/{SEQ:4}" -> "MC/INV/2026-27/0001".
+// Tokens: {FY} financial year ("2026-27"), {FY_START} / {FY_END} its years ("2026" / "2027"),
+// {ENTITY} the billing entity code, {SEQ} or {SEQ:n} the sequence number padded to n digits.
+// Financial years run April to March.
+
+const DOCUMENT_TYPES = ['invoice', 'quotation'];
+const FY_START_MONTH = 3; // April, as a JavaScript month
+const TOKEN_PATTERN = /\{([A-Z_]+)(?::(\d+))?\}/g;
+const KNOWN_TOKENS = ['FY', 'FY_START', 'FY_END', 'ENTITY', 'SEQ'];
+const MAX_SEQ_WIDTH = 10;
+
+// The financial year a date falls in: { label: '2026-27', start: 2026, end: 2027 }
+const financialYear = (date = new Date()) => {
+  const start = date.getMonth() >= FY_START_MONTH ? date.getFullYear() : date.getFullYear() - 1;
+  return { label: `${start}-${String(start + 1).slice(-2)}`, start, end: start + 1 };
+};
+
+const formatNumber = (format, { seq, fy, entity = '' }) => format.replace(TOKEN_PATTERN, (match, token, width) => {
+  switch (token) {
+    case 'FY': return fy.label;
+    case 'FY_START': return String(fy.start);
+    case 'FY_END': return String(fy.end);
+    case 'ENTITY': return entity;
+    case 'SEQ': return String(seq).padStart(Number(width) || 0, '0');
+    default: return match;
+  }
+});
+
+// Returns an error message for an unusable format, or null. Numbers restart every financial
+// year, so a format needs a year token as well as the sequence to stay unique.
+const validateFormat = (format) => {
+  if (typeof format !== 'string' || !format.trim()) return 'must be a non-empty format';
+  const tokens = [...format.matchAll(TOKEN_PATTERN)];
+  const unknown = tokens.map(([, token]) => token).filter(token => !KNOWN_TOKENS.includes(token));
+  if (unknown.length) return `has unknown token(s) ${unknown.map(token => `{${token}}`).join(', ')}; use ${KNOWN_TOKENS.map(token => `{${token}}`).join(', ')}`;
+  const seqTokens = tokens.filter(([, token]) => token === 'SEQ');
+  if (seqTokens.length !== 1) return 'must contain {SEQ} (or {SEQ:4} for four digits) exactly once';
+  if (Number(seqTokens[0][2] || 0) > MAX_SEQ_WIDTH) return `can pad {SEQ} to at most ${MAX_SEQ_WIDTH} digits`;
+  if (!tokens.some(([, token]) => token.startsWith('FY'))) return 'must contain {FY}, {FY_START} or {FY_END}, since numbers restart every financial year';
+  return null;
+};
+
+module.exports = { DOCUMENT_TYPES, financialYear, formatNumber, validateFormat };
@@ -0,0 +1,122 @@
+// utils/numbering.js
+// Document number series. Each series (document type x billing entity x financial year) has an
+// atomic counter (models/Counter.js), so simultaneous creates never get the same number. A create
+// that fails after reserving its number releases it, and the next create reuses it.
+//
+//   const reservation = await reserveNumber('invoice', { date, entity });
+//   try { await invoice.save(); } catch (err) { await reservation.release(); throw err; }
+const Counter = require('../models/Counter');
+const { getSetting } = require('./settings');
+const { normalizeGstin } = require('./duplicates');
+const { DOCUMENT_TYPES, financialYear, formatNumber } = require('./numberFormat');
+
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+// Document dates are stored as text ("2026-04-01"); read those as local dates so a document
+// dated 1 April never lands in the previous financial year. Anything unreadable means today.
+const documentDate = (value) => {
+  if (value instanceof Date && !isNaN(value)) return value;
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+  if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  const parsed = new Date(value);
+  return value && !isNaN(parsed) ? parsed : new Date();
+};
+
+// The configured billing entity with code `code`, or null. Only the settings' own keys count,
+// so codes such as "constructor" do not resolve to Object.prototype members.
+const billingEntityFor = (entities, code) => (
+  entities && typeof code === 'string' && Object.hasOwn(entities, code) ? entities[code] : null
+);
+
+// The billing entity of a document: the one named by `billingEntity`, else the one whose GSTIN
+// is the document's company GSTIN, else the default series (code ''). Returns { code, name, gstin }.
+const resolveBillingEntity = async ({ billingEntity, companyGSTIN } = {}) => {
+  const { entities } = await getSetting('numbering');
+  if (billingEntity) {
+    const entity = billingEntityFor(entities, billingEntity);
+    if (!entity) {
+      throw badRequest(`Unknown billingEntity "${billingEntity}". Configured: ${Object.keys(entities).join(', ') || 'none'}`);
+    }
+    return { code: billingEntity, name: entity.name, gstin: entity.gstin };
+  }
+  if (companyGSTIN) {
+    const gstin = normalizeGstin(companyGSTIN);
+    const code = Object.keys(entities).find(key => entities[key].gstin && normalizeGstin(entities[key].gstin) === gstin);
+    if (code) return { code, name: entities[code].name, gstin: entities[code].gstin };
+  }
+  return { code: '', name: null, gstin: null };
+};
+
+// The series a document of `docType` dated `date` for billing entity `entity` belongs to
+const seriesFor = async (docType, { date, entity = '' } = {}) => {
+  if (!DOCUMENT_TYPES.includes(docType)) throw badRequest(`docType must be one of ${DOCUMENT_TYPES.join(', ')}`);
+  const { formats, entities } = await getSetting('numbering');
+  const settings = entity ? billingEntityFor(entities, entity) : null;
+  if (entity && !settings) throw badRequest(`Unknown billing entity "${entity}"`);
+
+  const fy = financialYear(documentDate(date));
+  const entityFormats = (settings && settings.formats) || {};
+  return {
+    key: `${docType}:${entity}:${fy.label}`,
+    docType,
+    entity,
+    fy,
+    format: entityFormats[docType] || formats[docType]
+  };
+};
+
+// Hands a released number back, or winds the counter back if it was the last one handed out
+const releaseNumber = async (key, seq) => {
+  const { modifiedCount } = await Counter.updateOne({ key, seq }, { $inc: { seq: -1 } });
+  if (!modifiedCount) {
+    await Counter.updateOne({ key }, { $push: { released: { $each: [seq], $sort: 1 } } });
+  }
+};
+
+const takeNextSeq = async (series) => {
+  // Released numbers first, lowest first
+  const withReleased = await Counter.findOneAndUpdate(
+    { key: series.key, 'released.0': { $exists: true } },
+    { $pop: { released: -1 } }
+  );
+  if (withReleased) return withReleased.released[0];
+
+  const update = {
+    $inc: { seq: 1 },
+    $setOnInsert: { docType: series.docType, entity: series.entity, financialYear: series.fy.label }
+  };
+  try {
+    return (await Counter.findOneAndUpdate({ key: series.key }, update, { upsert: true, new: true })).seq;
+  } catch (err) {
+    // Two first numbers of a new series at once: one insert wins, the other retries as an update
+    if (err.code !== 11000) throw err;
+    return (await Counter.findOneAndUpdate({ key: series.key }, update, { new: true })).seq;
+  }
+};
+
+// Reserves the next number of a series. Returns { number, seq, entity, release }; call
+// release() if the document it was reserved for is not saved.
+const reserveNumber = async (docType, options = {}) => {
+  const series = await seriesFor(docType, options);
+  const seq = await takeNextSeq(series);
+  return {
+    number: formatNumber(series.format, { seq, fy: series.fy, entity: series.entity }),
+    seq,
+    entity: series.entity,
+    release: () => releaseNumber(series.key, seq)
+  };
+};
+
+// The number the next document of a series would get, without reserving it
+const peekNextNumber = async (docType, options = {}) => {
+  const series = await seriesFor(docType, options);
+  const counter = await Counter.findOne({ key: series.key }).lean();
+  const seq = counter ? (counter.released[0] || counter.seq + 1) : 1;
+  return { number: formatNumber(series.format, { seq, fy: series.fy, entity: series.entity }), seq, series: series.key };
+};
+
+module.exports = { documentDate, billingEntityFor, resolveBillingEntity, seriesFor, reserveNumber, releaseNumber, peekNextNumber };
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+
+// Stored format: scrypt$<salt hex>$<derived key hex>
+const PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const HASH_PATTERN = new RegExp(`^${PREFIX}\\$[0-9a-f]{${SALT_BYTES * 2}}\\$[0-9a-f]{${KEY_LENGTH * 2}}$`);
+const MIN_PASSWORD_LENGTH = 8;
+
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+    if (err) return reject(err);
+    resolve(derivedKey);
+  });
+});
+
+// The whole stored format is checked, so a plaintext password that merely starts with
+// "scrypt$" is still hashed rather than stored as is
+const isHashed = (value) => typeof value === 'string' && HASH_PATTERN.test(value);
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const derivedKey = await scrypt(password, salt);
+  return `${PREFIX}$${salt}$${derivedKey.toString('hex')}`;
+};
+
+// Compares a candidate password against a stored value. Legacy plaintext
+// values are still accepted so they can be rehashed on the next login.
+const verifyPassword = async (password, stored) => {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+  if (!isHashed(stored)) {
+    const a = Buffer.from(password);
+    const b = Buffer.from(stored);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  const [, salt, keyHex] = stored.split('$');
+  const expected = Buffer.from(keyHex, 'hex');
+  try {
+    const derivedKey = await scrypt(password, salt);
+    return derivedKey.length === expected.length && crypto.timingSafeEqual(derivedKey, expected);
+  } catch (err) {
+    // A malformed hash never matches
+    return false;
+  }
+};
+
+// Returns an error message if the password does not meet the policy, otherwise null.
+const validatePasswordStrength = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+  }
+  return null;
+};
+
+module.exports = { isHashed, hashPassword, verifyPassword, validatePasswordStrength };
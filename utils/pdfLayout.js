@@ -0,0 +1,351 @@
+// utils/pdfLayout.js
+// Building blocks for the quotation and invoice PDFs (pdfkit): letterhead, party blocks,
+// tables that continue over page breaks, totals and the GST summary.
+// The standard PDF fonts have no rupee sign, so amounts are printed as plain numbers in
+// columns headed "INR".
+const PDFDocument = require('pdfkit');
+const { STATE_CODES } = require('./gstin');
+
+const MARGIN = 40;
+const FONT = 'Helvetica';
+const BOLD = 'Helvetica-Bold';
+const LINE_COLOR = '#999999';
+const HEADER_FILL = '#eeeeee';
+
+const formatAmount = (value) => (Number(value) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const stateLabel = (code) => (code && STATE_CODES[code] ? `${STATE_CODES[code]} (${code})` : '');
+
+// A4 document collecting its output; `done` resolves with the PDF buffer after doc.end()
+const createPdf = (info = {}) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info, bufferPages: true });
+  const buffers = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', chunk => buffers.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+  });
+  return { doc, done };
+};
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+const bottomLimit = (doc) => doc.page.height - doc.page.margins.bottom;
+
+// Starts a new page unless `height` points still fit on this one
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > bottomLimit(doc)) doc.addPage();
+};
+
+const rule = (doc, y = doc.y) => {
+  doc.moveTo(MARGIN, y).lineTo(MARGIN + contentWidth(doc), y).strokeColor(LINE_COLOR).lineWidth(0.5).stroke();
+};
+
+// Seller name, address and registration details on the left; the document title and its
+// reference lines ([label, value]) on the right
+const drawLetterhead = (doc, seller, { title, meta = [] }) => {
+  const width = contentWidth(doc);
+  const top = doc.y;
+  const leftWidth = width * 0.6;
+
+  doc.font(BOLD).fontSize(16).fillColor('#000000').text(seller.name || '', MARGIN, top, { width: leftWidth });
+  doc.font(FONT).fontSize(9);
+  const sellerLines = [
+    seller.address,
+    [seller.phone && `Phone: ${seller.phone}`, seller.email && `Email: ${seller.email}`].filter(Boolean).join('   '),
+    seller.website,
+    seller.gstin && `GSTIN: ${seller.gstin}`,
+    seller.stateCode && `State: ${stateLabel(seller.stateCode)}`
+  ].filter(Boolean);
+  for (const line of sellerLines) doc.text(line, { width: leftWidth });
+  const leftBottom = doc.y;
+
+  const rightX = MARGIN + leftWidth + 10;
+  const rightWidth = width - leftWidth - 10;
+  doc.font(BOLD).fontSize(14).text(title, rightX, top, { width: rightWidth, align: 'right' });
+  doc.font(FONT).fontSize(9);
+  for (const [label, value] of meta.filter(([, value]) => value)) {
+    doc.text(`${label}: ${value}`, rightX, doc.y, { width: rightWidth, align: 'right' });
+  }
+
+  doc.y = Math.max(leftBottom, doc.y) + 8;
+  rule(doc);
+  doc.moveDown(0.5);
+};
+
+// Side-by-side blocks such as "Bill To" / "Ship To": [{ heading, lines }], across `width`
+// from the left margin (the full width by default)
+const drawParties = (doc, blocks, { width = contentWidth(doc) } = {}) => {
+  const blockWidth = (width - 10 * (blocks.length - 1)) / blocks.length;
+  const top = doc.y;
+  let bottom = top;
+
+  blocks.forEach((block, index) => {
+    const x = MARGIN + index * (blockWidth + 10);
+    doc.font(BOLD).fontSize(9).text(block.heading, x, top, { width: blockWidth });
+    doc.font(FONT);
+    for (const line of block.lines.filter(Boolean)) doc.text(line, x, doc.y, { width: blockWidth });
+    bottom = Math.max(bottom, doc.y);
+  });
+
+  doc.x = MARGIN;
+  doc.y = bottom + 8;
+};
+
+// A bordered table. columns: [{ header, width (fraction of the page width), align }];
+// rows: [{ cells: [text], details: [text] }], details being smaller lines under the first
+// wide column (e.g. product specifications). The header is repeated on every page.
+const drawTable = (doc, columns, rows, { fontSize = 8 } = {}) => {
+  const width = contentWidth(doc);
+  const widths = columns.map(column => column.width * width);
+  const padding = 3;
+
+  const cellHeight = (texts, font, size) => {
+    doc.font(font).fontSize(size);
+    return Math.max(...texts.map((text, i) => doc.heightOfString(String(text ?? ''), { width: widths[i] - 2 * padding })));
+  };
+
+  const drawRow = (texts, { font = FONT, fill = null, details = [] } = {}) => {
+    const detailText = details.filter(Boolean).join('\n');
+    const detailColumn = columns.findIndex(column => column.details);
+    let height = cellHeight(texts, font, fontSize) + 2 * padding;
+    if (detailText && detailColumn >= 0) {
+      doc.font(FONT).fontSize(fontSize - 1);
+      height += doc.heightOfString(detailText, { width: widths[detailColumn] - 2 * padding }) + 2;
+    }
+    const top = doc.y;
+    if (fill) doc.rect(MARGIN, top, width, height).fill(fill).fillColor('#000000');
+
+    let x = MARGIN;
+    texts.forEach((text, i) => {
+      doc.font(font).fontSize(fontSize).fillColor('#000000')
+        .text(String(text ?? ''), x + padding, top + padding, { width: widths[i] - 2 * padding, align: columns[i].align || 'left' });
+      if (i === detailColumn && detailText) {
+        doc.font(FONT).fontSize(fontSize - 1).fillColor('#444444')
+          .text(detailText, x + padding, doc.y + 2, { width: widths[i] - 2 * padding });
+      }
+      x += widths[i];
+    });
+
+    doc.rect(MARGIN, top, width, height).strokeColor(LINE_COLOR).lineWidth(0.5).stroke();
+    x = MARGIN;
+    for (const columnWidth of widths.slice(0, -1)) {
+      x += columnWidth;
+      doc.moveTo(x, top).lineTo(x, top + height).stroke();
+    }
+    doc.fillColor('#000000');
+    doc.x = MARGIN;
+    doc.y = top + height;
+    return height;
+  };
+
+  const headers = columns.map(column => column.header);
+  const headerHeight = cellHeight(headers, BOLD, fontSize) + 2 * padding;
+  ensureSpace(doc, headerHeight * 2);
+  drawRow(headers, { font: BOLD, fill: HEADER_FILL });
+
+  for (const row of rows) {
+    doc.font(FONT).fontSize(fontSize);
+    const estimate = cellHeight(row.cells, row.bold ? BOLD : FONT, fontSize) + 2 * padding + (row.details || []).length * (fontSize + 2);
+    if (doc.y + estimate > bottomLimit(doc)) {
+      doc.addPage();
+      drawRow(headers, { font: BOLD, fill: HEADER_FILL });
+    }
+    drawRow(row.cells, { font: row.bold ? BOLD : FONT, details: row.details });
+  }
+  doc.moveDown(0.5);
+};
+
+// Right-aligned label / amount lines; rows: [[label, amount, { bold }]]
+const drawTotals = (doc, rows) => {
+  const width = contentWidth(doc);
+  const labelWidth = width * 0.25;
+  const valueWidth = width * 0.15;
+  const labelX = MARGIN + width - labelWidth - valueWidth;
+
+  ensureSpace(doc, rows.length * 14);
+  for (const [label, amount, options = {}] of rows) {
+    const top = doc.y;
+    doc.font(options.bold ? BOLD : FONT).fontSize(options.bold ? 10 : 9);
+    doc.text(label, labelX, top, { width: labelWidth, align: 'right' });
+    doc.text(formatAmount(amount), labelX + labelWidth, top, { width: valueWidth, align: 'right' });
+    doc.y = Math.max(doc.y, top + 12);
+  }
+  doc.x = MARGIN;
+  doc.moveDown(0.5);
+};
+
+// Line items of a quotation or invoice, with specifications under the description
+const ITEM_COLUMNS = [
+  { header: '#', width: 0.04, align: 'center' },
+  { header: 'Description', width: 0.3, details: true },
+  { header: 'HSN/SAC', width: 0.09 },
+  { header: 'Qty', width: 0.08, align: 'right' },
+  { header: 'Rate (INR)', width: 0.11, align: 'right' },
+  { header: 'Discount', width: 0.09, align: 'right' },
+  { header: 'Taxable (INR)', width: 0.11, align: 'right' },
+  { header: 'GST', width: 0.06, align: 'right' },
+  { header: 'Amount (INR)', width: 0.12, align: 'right' }
+];
+
+const itemRows = (items) => items.map((item, index) => ({
+  cells: [
+    index + 1,
+    item.description || item.productName || '',
+    item.hsnSac || '',
+    [item.quantity, item.quantityType].filter(Boolean).join(' '),
+    formatAmount(item.rate),
+    item.discountPercent ? `${item.discountPercent}%` : item.discountAmount ? formatAmount(item.discountAmount) : '',
+    formatAmount(item.taxableValue !== undefined ? item.taxableValue : item.quantity * item.rate),
+    item.gstRate !== undefined && item.gstRate !== null ? `${item.gstRate}%` : '',
+    formatAmount(item.amount !== undefined ? item.amount : item.quantity * item.rate)
+  ],
+  details: (item.specifications || []).map(spec => `${spec.name}: ${spec.value}`)
+}));
+
+// The totals of a quotation or invoice computed by utils/taxEngine.js, ending with `total`
+const totalRows = (document, total) => {
+  const interstate = document.gstType === 'interstate';
+  return [
+    ['Sub Total', document.subTotal],
+    document.totalDiscount ? ['Discount', -document.totalDiscount] : null,
+    document.taxableValue !== undefined ? ['Taxable Value', document.taxableValue] : null,
+    ...(interstate
+      ? [['IGST', document.igstAmount !== undefined ? document.igstAmount : document.tax]]
+      : document.cgstAmount !== undefined
+        ? [['CGST', document.cgstAmount], ['SGST', document.sgstAmount]]
+        : [['Tax', document.tax]]),
+    document.roundOff ? ['Round Off', document.roundOff] : null,
+    ['Total (INR)', total, { bold: true }]
+  ].filter(Boolean);
+};
+
+// The HSN-wise GST summary of a document (taxEngine's hsnSummary)
+const drawGstSummary = (doc, hsnSummary, gstType) => {
+  if (!hsnSummary || hsnSummary.length === 0) return;
+  const interstate = gstType === 'interstate';
+  const columns = interstate
+    ? [
+      { header: 'HSN/SAC', width: 0.2 },
+      { header: 'Taxable Value (INR)', width: 0.25, align: 'right' },
+      { header: 'IGST Rate', width: 0.15, align: 'right' },
+      { header: 'IGST (INR)', width: 0.2, align: 'right' },
+      { header: 'Total Tax (INR)', width: 0.2, align: 'right' }
+    ]
+    : [
+      { header: 'HSN/SAC', width: 0.16 },
+      { header: 'Taxable Value (INR)', width: 0.2, align: 'right' },
+      { header: 'CGST Rate', width: 0.1, align: 'right' },
+      { header: 'CGST (INR)', width: 0.14, align: 'right' },
+      { header: 'SGST Rate', width: 0.1, align: 'right' },
+      { header: 'SGST (INR)', width: 0.14, align: 'right' },
+      { header: 'Total Tax (INR)', width: 0.16, align: 'right' }
+    ];
+
+  const rows = hsnSummary.map(row => ({
+    cells: interstate
+      ? [row.hsnSac || '-', formatAmount(row.taxableValue), `${row.gstRate}%`, formatAmount(row.igstAmount), formatAmount(row.totalTax)]
+      : [row.hsnSac || '-', formatAmount(row.taxableValue), `${row.gstRate / 2}%`, formatAmount(row.cgstAmount),
+        `${row.gstRate / 2}%`, formatAmount(row.sgstAmount), formatAmount(row.totalTax)]
+  }));
+  const total = (field) => hsnSummary.reduce((sum, row) => sum + (row[field] || 0), 0);
+  rows.push({
+    bold: true,
+    cells: interstate
+      ? ['Total', formatAmount(total('taxableValue')), '', formatAmount(total('igstAmount')), formatAmount(total('totalTax'))]
+      : ['Total', formatAmount(total('taxableValue')), '', formatAmount(total('cgstAmount')), '', formatAmount(total('sgstAmount')), formatAmount(total('totalTax'))]
+  });
+
+  doc.font(BOLD).fontSize(9).text('GST Summary', MARGIN);
+  doc.moveDown(0.3);
+  drawTable(doc, columns, rows);
+};
+
+// A heading followed by lines of text (numbered when `numbered`)
+const drawSection = (doc, heading, lines, { numbered = false } = {}) => {
+  const texts = (lines || []).filter(Boolean);
+  if (texts.length === 0) return;
+  ensureSpace(doc, 30);
+  doc.font(BOLD).fontSize(9).text(heading, MARGIN);
+  doc.font(FONT).fontSize(8.5);
+  texts.forEach((line, index) => doc.text(numbered ? `${index + 1}. ${line}` : line, MARGIN, doc.y, { width: contentWidth(doc) }));
+  doc.moveDown(0.5);
+};
+
+// "For <seller>" and a space for the authorised signatory, at the right
+const drawSignature = (doc, sellerName) => {
+  ensureSpace(doc, 60);
+  const width = contentWidth(doc);
+  doc.moveDown(1);
+  doc.font(BOLD).fontSize(9).text(`For ${sellerName || ''}`, MARGIN, doc.y, { width, align: 'right' });
+  doc.moveDown(2.5);
+  doc.font(FONT).text('Authorised Signatory', MARGIN, doc.y, { width, align: 'right' });
+};
+
+// A rotated, boxed word such as "FINAL" centred on (x, y); the text position is left as it was
+const drawStamp = (doc, text, x, y, { color = '#b22222', size = 22 } = {}) => {
+  const { x: cursorX, y: cursorY } = doc;
+  doc.save();
+  doc.rotate(-15, { origin: [x, y] });
+  doc.font(BOLD).fontSize(size).fillColor(color).strokeColor(color).opacity(0.8);
+  const textWidth = doc.widthOfString(text);
+  const boxWidth = textWidth + size;
+  const boxHeight = size * 1.5;
+  doc.lineWidth(2).rect(x - boxWidth / 2, y - boxHeight / 2, boxWidth, boxHeight).stroke();
+  doc.text(text, x - textWidth / 2, y - size / 2 + 1, { lineBreak: false });
+  doc.restore();
+  doc.fillColor('#000000').strokeColor(LINE_COLOR);
+  doc.x = cursorX;
+  doc.y = cursorY;
+};
+
+// Runs `draw(pageIndex)` on every buffered page with the bottom margin lifted, so text
+// can be placed in the margins without starting a new page
+const forEachPage = (doc, draw) => {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    draw(i);
+    doc.page.margins.bottom = bottomMargin;
+  }
+  doc.fillColor('#000000');
+};
+
+// "Page x of y" on every page; needs the document to have been created with bufferPages.
+// `firstPages` lists the first page of each separately numbered part (e.g. invoice copies).
+const drawPageNumbers = (doc, firstPages = [0]) => {
+  const { start, count } = doc.bufferedPageRange();
+  const starts = [...firstPages, start + count];
+  forEachPage(doc, (i) => {
+    const part = starts.findIndex((first, index) => i >= first && i < starts[index + 1]);
+    doc.font(FONT).fontSize(7).fillColor('#666666')
+      .text(`Page ${i - starts[part] + 1} of ${starts[part + 1] - starts[part]}`, MARGIN, doc.page.height - 25, {
+        width: contentWidth(doc), align: 'center'
+      });
+  });
+};
+
+module.exports = {
+  FONT,
+  BOLD,
+  formatAmount,
+  stateLabel,
+  createPdf,
+  contentWidth,
+  ensureSpace,
+  rule,
+  ITEM_COLUMNS,
+  itemRows,
+  totalRows,
+  drawLetterhead,
+  drawParties,
+  drawTable,
+  drawTotals,
+  drawGstSummary,
+  drawSection,
+  drawSignature,
+  drawStamp,
+  forEachPage,
+  drawPageNumbers
+};
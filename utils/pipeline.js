@@ -0,0 +1,67 @@
+// utils/pipeline.js
+// Pipeline stages of a BusinessAccount (its status): validated transitions, stage history
+// and time spent in each stage. Allowed transitions come from the "pipeline" setting.
+const StageChange = require('../models/StageChange');
+const { getSetting } = require('./settings');
+
+// Returns an error message if `from` -> `to` is not allowed, or null.
+// Callers checking many accounts can pass the "pipeline" setting in to avoid reloading it.
+const checkTransition = async (from, to, reason, pipelineSetting) => {
+  const { transitions, reasonRequiredFor } = pipelineSetting || await getSetting('pipeline');
+
+  if (!Object.prototype.hasOwnProperty.call(transitions, to)) {
+    return `Unknown status: ${to}`;
+  }
+  if (from && from !== to && !(transitions[from] || []).includes(to)) {
+    return `An account cannot move from ${from} to ${to}`;
+  }
+  if (reasonRequiredFor.includes(to) && !(reason && String(reason).trim())) {
+    return `A reason is required to move an account to ${to}`;
+  }
+  return null;
+};
+
+const recordStageChange = (accountId, from, to, userId, reason) => StageChange.create({
+  account: accountId,
+  from: from || null,
+  to,
+  changedBy: userId || null,
+  reason: reason ? String(reason).trim() : null
+});
+
+// Fields to set on the account alongside a status change
+const statusFields = (to, reason) => ({
+  status: to,
+  statusChangedAt: new Date(),
+  closedReason: to === 'Closed' ? String(reason || '').trim() || null : null
+});
+
+// The periods an account spent in each stage, oldest first: [{ stage, from, to, durationMs }].
+// Accounts created before stage history was kept are assumed to have been in their
+// first known stage since they were created.
+const stagePeriods = (account, changes, now = new Date()) => {
+  const timeline = [...changes].sort((a, b) => a.changedAt - b.changedAt);
+  if (timeline.length === 0) {
+    timeline.push({ to: account.status, changedAt: account.createdAt || now });
+  } else if (timeline[0].from) {
+    timeline.unshift({ to: timeline[0].from, changedAt: account.createdAt || timeline[0].changedAt });
+  }
+
+  return timeline.map((change, i) => {
+    const end = i + 1 < timeline.length ? timeline[i + 1].changedAt : now;
+    return {
+      stage: change.to,
+      from: change.changedAt,
+      to: i + 1 < timeline.length ? end : null,
+      durationMs: Math.max(end - change.changedAt, 0)
+    };
+  });
+};
+
+// Sums stagePeriods() per stage: { Active: ms, Pipeline: ms, ... }
+const totalsByStage = (periods) => periods.reduce((totals, period) => {
+  totals[period.stage] = (totals[period.stage] || 0) + period.durationMs;
+  return totals;
+}, {});
+
+module.exports = { checkTransition, recordStageChange, statusFields, stagePeriods, totalsByStage };
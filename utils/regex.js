@@ -0,0 +1,6 @@
+// utils/regex.js
+
+// Escapes user input for use inside a RegExp / Mongo $regex, so it is matched literally
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { escapeRegex };
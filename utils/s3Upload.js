@@ -7,17 +7,32 @@ const s3 = new AWS.S3({
   region: process.env.AWS_REGION
 });
 
-const uploadPDFToS3 = async (buffer, fileName) => {
+const SIGNED_URL_TTL_SECONDS = 5 * 60;
+
+// Documents such as invoices carry customer and bank details, so they are stored as private
+// objects: readable only through the authenticated API or a short-lived signed URL.
+// Resolves with the object key.
+const uploadPDFToS3 = async (buffer, fileName, folder = 'quotations') => {
   const params = {
     Bucket: process.env.S3_BUCKET_NAME,
-    Key: `quotations/${fileName}`,
+    Key: `${folder}/${fileName}`,
     Body: buffer,
     ContentType: 'application/pdf',
-    ACL: 'public-read'
+    ServerSideEncryption: 'AES256'
   };
 
   const data = await s3.upload(params).promise();
-  return data.Location;
+  return data.Key;
 };
 
-module.exports = { uploadPDFToS3 };
\ No newline at end of file
+// A signed URL that gives access to a stored PDF for `expiresIn` seconds
+const signedPdfUrl = (key, expiresIn = SIGNED_URL_TTL_SECONDS) => s3.getSignedUrlPromise('getObject', {
+  Bucket: process.env.S3_BUCKET_NAME,
+  Key: key,
+  Expires: expiresIn
+});
+
+// Without a bucket PDFs can still be generated and downloaded, just not stored
+const isStorageConfigured = () => Boolean(process.env.S3_BUCKET_NAME);
+
+module.exports = { SIGNED_URL_TTL_SECONDS, uploadPDFToS3, signedPdfUrl, isStorageConfigured };
@@ -0,0 +1,138 @@
+// utils/savedViews.js
+// Saved views of the account, quotation and invoice lists. A view stores list parameters
+// (filters, sort, columns, page size); running it means passing ?viewId= to the list's
+// /paginated or /export endpoint, which merges the view with the rest of the query string.
+const mongoose = require('mongoose');
+const SavedView = require('../models/SavedView');
+const BusinessAccount = require('../models/BusinessAccount');
+const Quotation = require('../models/Quotation');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { ADMINS } = require('../config/permissions');
+const { LIST_FILTERS, validateListParams } = require('./listQueries');
+const { CUSTOM_FIELD_PREFIX } = require('./customFields');
+
+const LIST_MODELS = { accounts: BusinessAccount, quotations: Quotation, invoices: Invoice };
+
+// Filter values resolved for the user running the view
+const CURRENT_USER = 'me';
+const CURRENT_ZONE = 'mine';
+
+// Teams the user leads or belongs to
+const teamsOf = async (user) => {
+  const teamIds = await Team.distinct('_id', { $or: [{ teamLeader: user._id }, { members: user._id }] });
+  if (user.team && !teamIds.some(id => id.equals(user.team))) teamIds.push(user.team);
+  return teamIds;
+};
+
+// Mongo filter on SavedView: the user's own views plus those shared with their team or zone
+const getViewScope = async (reqUser) => {
+  const user = await User.findById(reqUser.userId).select('zone team');
+  if (!user) return { _id: null };
+
+  const conditions = [
+    { owner: user._id },
+    { visibility: 'team', team: { $in: await teamsOf(user) } }
+  ];
+  if (user.zone) conditions.push({ visibility: 'zone', zone: user.zone });
+  return { $or: conditions };
+};
+
+// Only the owner (or an admin) may change or delete a view
+const canManageView = (reqUser, view) => String(view.owner) === String(reqUser.userId) || ADMINS.includes(reqUser.role);
+
+// Checks the filters and sort of a view (columns are checked against utils/exporter.js).
+// Returns an error message or null.
+const validateView = ({ list, filters = {}, sortBy }) => {
+  if (!LIST_MODELS[list]) return `list must be one of: ${Object.keys(LIST_MODELS).join(', ')}`;
+
+  const unknown = Object.keys(filters).filter(key => !LIST_FILTERS[list].includes(key) && !key.startsWith(CUSTOM_FIELD_PREFIX));
+  if (unknown.length) {
+    return `Unknown filter(s) for ${list}: ${unknown.join(', ')}. Allowed: ${LIST_FILTERS[list].join(', ')}`;
+  }
+  const concrete = { ...filters };
+  if (concrete.assignedTo === CURRENT_USER) delete concrete.assignedTo;
+  if (concrete.zone === CURRENT_ZONE) delete concrete.zone;
+  const paramError = validateListParams(concrete);
+  if (paramError) return paramError;
+
+  if (sortBy && !LIST_MODELS[list].schema.path(sortBy)) return `Cannot sort ${list} by ${sortBy}`;
+  return null;
+};
+
+// Works out the team / zone a view is shared with. Users share with their own team or zone;
+// admins may name any. Returns { team, zone } or { error }.
+const resolveSharing = async (reqUser, { visibility, team, zone }) => {
+  if (!visibility || visibility === 'private') return { team: null, zone: null };
+
+  const user = await User.findById(reqUser.userId).select('zone team');
+  const isAdmin = ADMINS.includes(reqUser.role);
+
+  if (visibility === 'team') {
+    const teamIds = await teamsOf(user);
+    if (team) {
+      if (!mongoose.isValidObjectId(team)) return { error: 'Invalid team' };
+      if (!isAdmin && !teamIds.some(id => id.equals(team))) return { error: 'You can only share views with your own team' };
+      if (isAdmin && !(await Team.exists({ _id: team }))) return { error: 'Team not found' };
+      return { team, zone: null };
+    }
+    if (teamIds.length === 0) return { error: 'You are not in a team to share this view with' };
+    return { team: teamIds[0], zone: null };
+  }
+
+  if (zone) {
+    if (!mongoose.isValidObjectId(zone)) return { error: 'Invalid zone' };
+    if (!isAdmin && String(zone) !== String(user.zone)) return { error: 'You can only share views with your own zone' };
+    return { team: null, zone };
+  }
+  if (!user.zone) return { error: 'You are not in a zone to share this view with' };
+  return { team: null, zone: user.zone };
+};
+
+// The parameters to run `list` with: the saved view named by query.viewId (if any)
+// overlaid with the other query-string parameters, with "me" / "mine" resolved.
+// Returns { params, view } or { error, status }.
+const resolveListParams = async (reqUser, list, query) => {
+  const { viewId, ...rest } = query;
+  let params = rest;
+  let view = null;
+
+  if (viewId) {
+    if (!mongoose.isValidObjectId(viewId)) return { error: 'Invalid viewId', status: 400 };
+    view = await SavedView.findOne({ $and: [{ _id: viewId }, await getViewScope(reqUser)] });
+    if (!view) return { error: 'Saved view not found', status: 404 };
+    if (view.list !== list) return { error: `Saved view "${view.name}" belongs to the ${view.list} list`, status: 400 };
+
+    params = {
+      ...Object.fromEntries(view.filters),
+      sortBy: view.sortBy,
+      sortOrder: view.sortOrder,
+      pageSize: String(view.pageSize),
+      ...(view.columns.length ? { columns: view.columns.join(',') } : {}),
+      ...rest
+    };
+  }
+
+  if (params.assignedTo === CURRENT_USER) params.assignedTo = String(reqUser.userId);
+  if (params.zone === CURRENT_ZONE) {
+    const user = await User.findById(reqUser.userId).select('zone');
+    // Without a zone of their own the filter does not narrow anything down
+    if (user && user.zone) params.zone = String(user.zone);
+    else delete params.zone;
+  }
+  return { params, view };
+};
+
+// What the list endpoints echo back about the view they ran
+const viewSummary = (view) => (view ? { _id: view._id, name: view.name, columns: view.columns } : undefined);
+
+module.exports = {
+  LIST_MODELS,
+  getViewScope,
+  canManageView,
+  validateView,
+  resolveSharing,
+  resolveListParams,
+  viewSummary
+};
@@ -0,0 +1,83 @@
+// utils/scheduler.js
+// Minimal in-process job runner. Each job is polled on an interval and works out a run key for
+// the period it is due for (or null if it is not due). Runs are recorded in JobRun, whose unique
+// runKey makes sure each period runs once, even across restarts or several server instances.
+// A failed run is retried on a later poll, and so is a run left "running" for longer than the
+// job's staleAfterMs (its server crashed or restarted mid-run).
+const JobRun = require('../models/JobRun');
+
+const STALE_RUN_MS = 30 * 60 * 1000;
+
+const jobs = new Map();
+const timers = [];
+
+// runKey: async (now) => string | null, handler: async (now) => result stored on the JobRun.
+// staleAfterMs: how long a run may stay "running" before it is presumed dead and claimed again.
+const registerJob = (name, { intervalMs, runKey, handler, staleAfterMs = STALE_RUN_MS }) => {
+  jobs.set(name, { intervalMs, runKey, handler, staleAfterMs });
+};
+
+// Claims a run key. Returns the JobRun, or null if the period already ran or is still running.
+const claimRun = async (job, runKey, staleAfterMs = STALE_RUN_MS) => {
+  try {
+    return await JobRun.create({ job, runKey });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return JobRun.findOneAndUpdate(
+      {
+        runKey,
+        $or: [
+          { status: 'failed' },
+          { status: 'running', startedAt: { $lt: new Date(Date.now() - staleAfterMs) } }
+        ]
+      },
+      { status: 'running', startedAt: new Date(), finishedAt: null, error: null, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+};
+
+// Runs a registered job for the period `now` falls in. Returns the JobRun, or null if nothing ran.
+const runJob = async (name, now = new Date()) => {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Unknown job: ${name}`);
+
+  const runKey = await job.runKey(now);
+  if (!runKey) return null;
+
+  const run = await claimRun(name, runKey, job.staleAfterMs);
+  if (!run) return null;
+
+  try {
+    run.result = await job.handler(now);
+    run.status = 'succeeded';
+  } catch (err) {
+    console.error(`❌ Job ${name} (${runKey}) failed:`, err.message);
+    run.status = 'failed';
+    run.error = err.message;
+  }
+  run.finishedAt = new Date();
+  // Only the latest claim records its outcome, should a run presumed dead still finish
+  await JobRun.updateOne(
+    { _id: run._id, attempts: run.attempts },
+    { status: run.status, result: run.result, error: run.error, finishedAt: run.finishedAt }
+  );
+  return run;
+};
+
+const startScheduler = () => {
+  for (const [name, { intervalMs }] of jobs) {
+    const tick = () => runJob(name).catch(err => console.error(`❌ Job ${name} could not run:`, err.message));
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    timers.push(timer);
+    tick();
+  }
+  console.log(`⏰ Scheduler started with ${jobs.size} job(s)`);
+};
+
+const stopScheduler = () => {
+  while (timers.length) clearInterval(timers.pop());
+};
+
+module.exports = { registerJob, runJob, startScheduler, stopScheduler };
@@ -0,0 +1,269 @@
+// utils/search.js
+// Global search across accounts, contacts, quotations, invoices and products.
+// Words are matched through the text indexes of each collection (ranked by text score);
+// identifiers are looked up exactly on indexed fields and always rank first:
+//   quotation / invoice number - prefix of quotationNumber / invoiceNumber
+//   phone / email / GSTIN      - the normalized BusinessAccount.matchKeys
+// Results are limited to what the caller may see (utils/dataScope.js).
+const BusinessAccount = require('../models/BusinessAccount');
+const Quotation = require('../models/Quotation');
+const Invoice = require('../models/Invoice');
+const Product = require('../models/Product');
+const { permissions } = require('../config/permissions');
+const { applyScope, getAccountScope, getBusinessScope } = require('./dataScope');
+const { escapeRegex } = require('./regex');
+const { normalizePhone, normalizeEmail, normalizeGstin } = require('./duplicates');
+const { GSTIN_PATTERN } = require('./gstin');
+
+const SEARCH_GROUPS = ['accounts', 'contacts', 'quotations', 'invoices', 'products'];
+// Permission needed to see each group
+const GROUP_PERMISSIONS = {
+  accounts: 'accounts:read',
+  contacts: 'accounts:read',
+  quotations: 'quotations:read',
+  invoices: 'invoices:read',
+  products: 'products:read'
+};
+const MIN_QUERY_LENGTH = 2;
+const EXACT_MATCH_SCORE = 100;
+const SNIPPET_RADIUS = 40;
+// Text hits fetched per collection before merging with exact matches and cutting to the limit
+const CANDIDATES_PER_GROUP = 50;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s\-()]{7,}$/;
+// Something like "Q-0012", "INV-00" or "inv0001"
+const DOCUMENT_NUMBER_PATTERN = /^[A-Za-z]{1,5}-?\d+$/;
+// A number from a configured series (utils/numbering.js) or its start, like "MC/INV/2026-27/0001"
+const SERIES_NUMBER_PATTERN = /^[A-Za-z0-9]+(\/[A-Za-z0-9-]*)+$/;
+
+// Works out which identifier lookups apply to the query
+const classifyQuery = (q) => {
+  const compact = q.replace(/\s/g, '');
+  return {
+    terms: q.toLowerCase().split(/\s+/).filter(Boolean),
+    email: EMAIL_PATTERN.test(q) ? normalizeEmail(q) : null,
+    phone: PHONE_PATTERN.test(q) ? normalizePhone(q) || null : null,
+    gstin: GSTIN_PATTERN.test(normalizeGstin(compact)) ? normalizeGstin(compact) : null,
+    // Older numbers were generated as "<PREFIX>-<digits>", series numbers are slash-separated;
+    // both in upper case
+    documentNumber: DOCUMENT_NUMBER_PATTERN.test(compact)
+      ? compact.toUpperCase().replace(/^([A-Z]+)-?/, '$1-')
+      : SERIES_NUMBER_PATTERN.test(compact) ? compact.toUpperCase() : null
+  };
+};
+
+// A piece of `text` around the first query term it contains
+const makeSnippet = (text, terms) => {
+  const value = String(text);
+  const lower = value.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(position => position >= 0);
+  if (positions.length === 0) return null;
+
+  const position = Math.min(...positions);
+  const start = Math.max(position - SNIPPET_RADIUS, 0);
+  const end = Math.min(position + SNIPPET_RADIUS, value.length);
+  return `${start > 0 ? '…' : ''}${value.slice(start, end)}${end < value.length ? '…' : ''}`;
+};
+
+// First of `fields` (dotted paths, arrays allowed) whose value contains a query term
+const findMatch = (doc, fields, terms) => {
+  for (const field of fields) {
+    const values = field.split('.').reduce(
+      (current, key) => current.flatMap(value => (value == null ? [] : [].concat(value[key]))),
+      [doc]
+    );
+    for (const value of values) {
+      if (value == null || value === '') continue;
+      const snippet = makeSnippet(value, terms);
+      if (snippet) return { matchedField: field, snippet };
+    }
+  }
+  return { matchedField: null, snippet: null };
+};
+
+// Runs the text query and the exact lookups of one collection and merges them by _id,
+// keeping the best score. Exact matches outrank any text score.
+const findCandidates = async (Model, { scope, text, exact, select }) => {
+  const textQuery = Model.find(applyScope({ $text: { $search: text } }, scope), { score: { $meta: 'textScore' } })
+    .select(select)
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(CANDIDATES_PER_GROUP)
+    .lean();
+  const exactQueries = exact.map(filter => Model.find(applyScope(filter, scope))
+    .select(select)
+    .limit(CANDIDATES_PER_GROUP)
+    .lean());
+
+  const [textHits, ...exactHits] = await Promise.all([textQuery, ...exactQueries]);
+
+  const byId = new Map();
+  for (const doc of exactHits.flat()) {
+    byId.set(String(doc._id), { ...doc, score: EXACT_MATCH_SCORE });
+  }
+  for (const doc of textHits) {
+    if (!byId.has(String(doc._id))) byId.set(String(doc._id), doc);
+  }
+  return [...byId.values()].sort((a, b) => b.score - a.score);
+};
+
+const round = (score) => Math.round(score * 100) / 100;
+
+const ACCOUNT_FIELDS = ['businessName', 'gstNumber', 'contactName', 'contacts.name', 'contactEmail', 'contactNumber', 'address'];
+const QUOTATION_FIELDS = ['quotationNumber', 'businessName', 'customerName', 'contactName', 'gstin', 'items.hsnSac', 'items.description'];
+const INVOICE_FIELDS = ['invoiceNumber', 'businessName', 'customerName', 'contactName', 'customerGSTIN', 'items.hsnSac', 'items.description'];
+const PRODUCT_FIELDS = ['productName', 'hsnSac', 'description'];
+
+const searchAccounts = async (query, scope) => {
+  const exact = [];
+  if (query.phone) exact.push({ 'matchKeys.phones': query.phone });
+  if (query.email) exact.push({ 'matchKeys.emails': query.email });
+  if (query.gstin) exact.push({ 'matchKeys.gstin': query.gstin });
+
+  return findCandidates(BusinessAccount, {
+    scope,
+    text: query.text,
+    exact,
+    select: 'businessName contactName contactEmail contactNumber gstNumber address status assignedTo contacts'
+  });
+};
+
+// The phone / email / GSTIN of the account an identifier query matched, as stored (unnormalized)
+const findIdentifierMatch = (account, query) => {
+  const contacts = [{ phoneNumber: account.contactNumber, email: account.contactEmail }, ...(account.contacts || [])];
+  const phone = query.phone && contacts.find(contact => normalizePhone(contact.phoneNumber) === query.phone);
+  if (phone) return { matchedField: 'phone', snippet: phone.phoneNumber };
+  const email = query.email && contacts.find(contact => normalizeEmail(contact.email) === query.email);
+  if (email) return { matchedField: 'email', snippet: email.email };
+  if (query.gstin && normalizeGstin(account.gstNumber) === query.gstin) {
+    return { matchedField: 'gstNumber', snippet: account.gstNumber };
+  }
+  return null;
+};
+
+const toAccountResult = (account, query, terms) => ({
+  id: account._id,
+  title: account.businessName,
+  subtitle: [account.status, account.contactName].filter(Boolean).join(' · '),
+  score: round(account.score),
+  ...(findIdentifierMatch(account, query) || findMatch(account, ACCOUNT_FIELDS, terms))
+});
+
+// Contact people of the matched accounts that match the query themselves
+const toContactResults = (accounts, query) => {
+  const results = [];
+  for (const account of accounts) {
+    // Accounts saved before contact people existed only have the primary contact fields
+    const contacts = account.contacts && account.contacts.length
+      ? account.contacts
+      : [{ _id: null, name: account.contactName, email: account.contactEmail, phoneNumber: account.contactNumber, isPrimary: true }];
+
+    for (const contact of contacts) {
+      let match = null;
+      if (query.phone && normalizePhone(contact.phoneNumber) === query.phone) {
+        match = { score: EXACT_MATCH_SCORE, matchedField: 'phoneNumber', snippet: contact.phoneNumber };
+      } else if (query.email && normalizeEmail(contact.email) === query.email) {
+        match = { score: EXACT_MATCH_SCORE, matchedField: 'email', snippet: contact.email };
+      } else if (contact.name && query.terms.every(term => contact.name.toLowerCase().includes(term))) {
+        match = { score: account.score, matchedField: 'name', snippet: contact.name };
+      }
+      if (!match) continue;
+
+      results.push({
+        id: contact._id,
+        title: contact.name,
+        subtitle: [contact.designation, account.businessName].filter(Boolean).join(' · '),
+        businessId: account._id,
+        isPrimary: !!contact.isPrimary,
+        ...match,
+        score: round(match.score)
+      });
+    }
+  }
+  return results.sort((a, b) => b.score - a.score);
+};
+
+const searchQuotations = (query, scope) => findCandidates(Quotation, {
+  scope,
+  text: query.text,
+  exact: query.documentNumber ? [{ quotationNumber: { $regex: `^${escapeRegex(query.documentNumber)}` } }] : [],
+  select: 'quotationNumber businessId businessName customerName contactName gstin items.description items.hsnSac total date'
+});
+
+const toQuotationResult = (quotation, terms) => ({
+  id: quotation._id,
+  title: quotation.quotationNumber,
+  subtitle: [quotation.businessName, quotation.date].filter(Boolean).join(' · '),
+  businessId: quotation.businessId,
+  total: quotation.total,
+  score: round(quotation.score),
+  ...findMatch(quotation, QUOTATION_FIELDS, terms)
+});
+
+const searchInvoices = (query, scope) => findCandidates(Invoice, {
+  scope,
+  text: query.text,
+  exact: query.documentNumber ? [{ invoiceNumber: { $regex: `^${escapeRegex(query.documentNumber)}` } }] : [],
+  select: 'invoiceNumber businessId businessName customerName contactName customerGSTIN items.description items.hsnSac totalAmount paymentStatus date'
+});
+
+const toInvoiceResult = (invoice, terms) => ({
+  id: invoice._id,
+  title: invoice.invoiceNumber,
+  subtitle: [invoice.businessName, invoice.paymentStatus].filter(Boolean).join(' · '),
+  businessId: invoice.businessId,
+  totalAmount: invoice.totalAmount,
+  score: round(invoice.score),
+  ...findMatch(invoice, INVOICE_FIELDS, terms)
+});
+
+const searchProducts = (query) => findCandidates(Product, {
+  scope: {},
+  text: query.text,
+  exact: [],
+  select: 'product_id productName hsnSac description price isActive'
+});
+
+const toProductResult = (product, terms) => ({
+  id: product._id,
+  title: product.productName,
+  subtitle: [product.product_id, product.hsnSac && `HSN ${product.hsnSac}`].filter(Boolean).join(' · '),
+  isActive: product.isActive,
+  score: round(product.score),
+  ...findMatch(product, PRODUCT_FIELDS, terms)
+});
+
+// Searches the requested groups the caller is allowed to see.
+// Returns { accounts: [...], contacts: [...], ... } with up to `limit` results per group,
+// best first. Each result has id, title, subtitle, score, matchedField and snippet.
+const globalSearch = async (reqUser, q, { groups = SEARCH_GROUPS, limit = 5 } = {}) => {
+  const text = String(q).trim();
+  const query = { ...classifyQuery(text), text };
+  const wanted = groups.filter(group => permissions[GROUP_PERMISSIONS[group]].includes(reqUser.role));
+
+  const needsAccounts = wanted.includes('accounts') || wanted.includes('contacts');
+  const needsDocuments = wanted.includes('quotations') || wanted.includes('invoices');
+  const [accountScope, businessScope] = await Promise.all([
+    needsAccounts ? getAccountScope(reqUser) : null,
+    needsDocuments ? getBusinessScope(reqUser) : null
+  ]);
+
+  const [accounts, quotations, invoices, products] = await Promise.all([
+    needsAccounts ? searchAccounts(query, accountScope) : [],
+    wanted.includes('quotations') ? searchQuotations(query, businessScope) : [],
+    wanted.includes('invoices') ? searchInvoices(query, businessScope) : [],
+    wanted.includes('products') ? searchProducts(query) : []
+  ]);
+
+  // "inv0001" should highlight "INV-0001"
+  const terms = query.documentNumber ? [...query.terms, query.documentNumber.toLowerCase()] : query.terms;
+  const results = {};
+  if (wanted.includes('accounts')) results.accounts = accounts.slice(0, limit).map(a => toAccountResult(a, query, terms));
+  if (wanted.includes('contacts')) results.contacts = toContactResults(accounts, query).slice(0, limit);
+  if (wanted.includes('quotations')) results.quotations = quotations.slice(0, limit).map(d => toQuotationResult(d, terms));
+  if (wanted.includes('invoices')) results.invoices = invoices.slice(0, limit).map(d => toInvoiceResult(d, terms));
+  if (wanted.includes('products')) results.products = products.slice(0, limit).map(p => toProductResult(p, terms));
+  return results;
+};
+
+module.exports = { SEARCH_GROUPS, MIN_QUERY_LENGTH, classifyQuery, makeSnippet, globalSearch };
@@ -0,0 +1,35 @@
+// utils/settings.js
+const Setting = require('../models/Setting');
+const settingDefinitions = require('../config/settings');
+
+// Returns the stored value for `key` merged over its defaults
+const getSetting = async (key) => {
+  const definition = settingDefinitions[key];
+  if (!definition) throw new Error(`Unknown setting: ${key}`);
+
+  const setting = await Setting.findOne({ key }).lean();
+  return { ...definition.defaults, ...(setting ? setting.value : {}) };
+};
+
+// Validates and stores a (partial) value for `key`. Throws with `status = 400` on invalid input.
+const updateSetting = async (key, partialValue, userId) => {
+  const definition = settingDefinitions[key];
+  if (!definition) throw new Error(`Unknown setting: ${key}`);
+
+  const value = { ...(await getSetting(key)), ...partialValue };
+  const error = definition.validate ? definition.validate(value) : null;
+  if (error) {
+    const err = new Error(error);
+    err.status = 400;
+    throw err;
+  }
+
+  await Setting.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId || null },
+    { upsert: true, new: true }
+  );
+  return value;
+};
+
+module.exports = { getSetting, updateSetting };
@@ -0,0 +1,53 @@
+// utils/spreadsheet.js
+// Reading CSV and XLSX files into plain rows with exceljs.
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+// Plain value of an exceljs cell (rich text, hyperlinks and formulas carry their value in a property)
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.error) return '';
+  }
+  return String(value).trim();
+};
+
+// Reads the first worksheet. Returns { headers, rows } where each row is
+// { rowNumber, values: { header: text } }; rows with no values are skipped.
+const readSpreadsheet = async (buffer, fileName) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = path.extname(fileName || '').toLowerCase() === '.xlsx'
+    ? (await workbook.xlsx.load(buffer)).worksheets[0]
+    // Keep CSV values as text, so phone numbers keep their leading zeros
+    : await workbook.csv.read(Readable.from(buffer), { map: value => value });
+  if (!worksheet) return { headers: [], rows: [] };
+
+  let headers = [];
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, column) => {
+      cells[column - 1] = cellText(cell.value);
+    });
+
+    if (headers.length === 0) {
+      headers = Array.from(cells, cell => cell || '');
+      return;
+    }
+    const values = {};
+    headers.forEach((header, i) => {
+      if (header) values[header] = cells[i] || '';
+    });
+    if (Object.values(values).some(Boolean)) {
+      rows.push({ rowNumber, values });
+    }
+  });
+  return { headers: headers.filter(Boolean), rows };
+};
+
+module.exports = { readSpreadsheet, cellText };
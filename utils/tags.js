@@ -0,0 +1,34 @@
+// utils/tags.js
+// Helpers for the account tags (models/Tag.js, BusinessAccount.tags).
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+
+const TAG_MATCH_MODES = ['any', 'all'];
+
+// Tag ids from an array or a comma-separated string (as sent in query strings)
+const toIdList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(id => String(id).trim()).filter(Boolean))];
+};
+
+// Checks that every id names an existing tag. Returns an error message or null.
+const checkTagIds = async (ids) => {
+  const invalid = ids.filter(id => !mongoose.isValidObjectId(id));
+  if (invalid.length) return `Invalid tag id(s): ${invalid.join(', ')}`;
+
+  const found = await Tag.distinct('_id', { _id: { $in: ids } });
+  const missing = ids.filter(id => !found.some(tagId => tagId.equals(id)));
+  return missing.length ? `Unknown tag(s): ${missing.join(', ')}` : null;
+};
+
+// Account filter for ?tags=id1,id2&tagMatch=any|all (any by default). Ids are cast so the
+// filter also works in aggregation pipelines.
+const tagFilter = (tags, tagMatch = 'any') => {
+  const ids = toIdList(tags);
+  if (ids.length === 0) return {};
+  const objectIds = ids.map(id => new mongoose.Types.ObjectId(id));
+  return { tags: tagMatch === 'all' ? { $all: objectIds } : { $in: objectIds } };
+};
+
+module.exports = { TAG_MATCH_MODES, toIdList, checkTagIds, tagFilter };
@@ -0,0 +1,135 @@
+// utils/taskReminders.js
+// Scheduled jobs that remind assignees of their pending tasks (follow-ups of accounts,
+// quotations and invoices included):
+//   task-reminders - one reminder per task when it is due within `leadMinutes` or already overdue
+//   task-digest    - a morning summary of overdue tasks and tasks due today, once per day
+// Timing and channels come from the "reminders" setting.
+const Task = require('../models/Task');
+const { registerJob } = require('./scheduler');
+const { notify } = require('./notifier');
+const { getSetting } = require('./settings');
+
+const REMINDER_INTERVAL_MINUTES = parseInt(process.env.TASK_REMINDER_INTERVAL_MINUTES, 10) || 5;
+const DIGEST_CHECK_MINUTES = 15;
+const REMINDER_BATCH_SIZE = 500;
+
+const RELATED_FIELDS = 'businessName quotationNumber invoiceNumber';
+
+// Local calendar date, e.g. "2024-05-01"
+const dayKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// One line describing a task and what it is about
+const describeTask = (task) => {
+  const related = task.relatedId;
+  let about = '';
+  if (related && task.relatedModel === 'Quotation') about = ` (Quotation ${related.quotationNumber})`;
+  else if (related && task.relatedModel === 'Invoice') about = ` (Invoice ${related.invoiceNumber || related.businessName})`;
+  else if (related && related.businessName) about = ` (${related.businessName})`;
+
+  return `${task.title || task.note}${about} - due ${task.dueDate.toLocaleString()}`;
+};
+
+const sendDueReminders = async (now) => {
+  const settings = await getSetting('reminders');
+  if (!settings.enabled) return { sent: 0 };
+
+  const horizon = new Date(now.getTime() + settings.leadMinutes * 60 * 1000);
+  const tasks = await Task.find({
+    status: 'pending',
+    assignedTo: { $ne: null },
+    reminderSentAt: null,
+    dueDate: { $lte: horizon }
+  })
+    .sort({ dueDate: 1 })
+    .limit(REMINDER_BATCH_SIZE)
+    .populate('relatedId', RELATED_FIELDS);
+
+  let sent = 0;
+  for (const task of tasks) {
+    // Claim the task first so an overlapping run cannot remind twice
+    const claimed = await Task.updateOne(
+      { _id: task._id, reminderSentAt: null, dueDate: task.dueDate },
+      { reminderSentAt: now }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    const overdue = task.dueDate < now;
+    const notification = await notify(task.assignedTo, {
+      type: 'task-reminder',
+      title: overdue ? 'Overdue follow-up' : 'Follow-up due soon',
+      message: describeTask(task),
+      data: { taskIds: [task._id] },
+      dedupeKey: `task-reminder:${task._id}:${task.dueDate.toISOString()}`
+    }, settings.channels);
+    if (notification) sent++;
+  }
+  return { sent };
+};
+
+const sendDailyDigest = async (now) => {
+  const settings = await getSetting('reminders');
+  const startOfToday = new Date(now);
+  startOfToday.setHours(0, 0, 0, 0);
+  const endOfToday = new Date(startOfToday);
+  endOfToday.setDate(endOfToday.getDate() + 1);
+
+  const tasks = await Task.find({
+    status: 'pending',
+    assignedTo: { $ne: null },
+    dueDate: { $lt: endOfToday }
+  })
+    .sort({ dueDate: 1 })
+    .populate('relatedId', RELATED_FIELDS);
+
+  const byUser = new Map();
+  for (const task of tasks) {
+    const userId = String(task.assignedTo);
+    if (!byUser.has(userId)) byUser.set(userId, { overdue: [], today: [] });
+    byUser.get(userId)[task.dueDate < startOfToday ? 'overdue' : 'today'].push(task);
+  }
+
+  const day = dayKey(now);
+  let sent = 0;
+  for (const [userId, { overdue, today }] of byUser) {
+    const sections = [];
+    if (overdue.length) sections.push(`Overdue (${overdue.length}):\n${overdue.map(t => `- ${describeTask(t)}`).join('\n')}`);
+    if (today.length) sections.push(`Due today (${today.length}):\n${today.map(t => `- ${describeTask(t)}`).join('\n')}`);
+
+    const notification = await notify(userId, {
+      type: 'task-digest',
+      title: `Your follow-ups for ${day}: ${today.length} due today, ${overdue.length} overdue`,
+      message: sections.join('\n\n'),
+      data: { taskIds: [...overdue, ...today].map(t => t._id) },
+      dedupeKey: `task-digest:${day}:${userId}`
+    }, settings.channels);
+    if (notification) sent++;
+  }
+  return { sent, users: byUser.size };
+};
+
+const registerTaskReminderJobs = () => {
+  const reminderIntervalMs = REMINDER_INTERVAL_MINUTES * 60 * 1000;
+
+  registerJob('task-reminders', {
+    intervalMs: reminderIntervalMs,
+    runKey: async (now) => `task-reminders:${Math.floor(now.getTime() / reminderIntervalMs)}`,
+    handler: sendDueReminders
+  });
+
+  registerJob('task-digest', {
+    intervalMs: DIGEST_CHECK_MINUTES * 60 * 1000,
+    // Due once per day, from digestHour (server local time) onwards
+    runKey: async (now) => {
+      const settings = await getSetting('reminders');
+      if (!settings.enabled || now.getHours() < settings.digestHour) return null;
+      return `task-digest:${dayKey(now)}`;
+    },
+    handler: sendDailyDigest
+  });
+};
+
+module.exports = { registerTaskReminderJobs, sendDueReminders, sendDailyDigest };
@@ -0,0 +1,152 @@
+// utils/taxEngine.js
+// GST computation shared by quotations and invoices.
+// Each line: gross = quantity x rate, less its own discount (percent or amount), less its share of
+// the document discount = taxable value. Tax is charged per line at the line's GST rate, as
+// CGST + SGST (half each) for intrastate supply or IGST for interstate, rounded to the paisa.
+// The document total is rounded to the nearest rupee and the difference shown as roundOff.
+
+// GST slabs in percent
+const GST_RATES = [0, 0.1, 0.25, 1.5, 3, 5, 6, 7.5, 12, 18, 28];
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+// Rate configured for an HSN/SAC code: the longest matching prefix in `hsnRates` ({ '8426': 18 })
+const rateForHsn = (hsnSac, hsnRates = {}) => {
+  const code = String(hsnSac || '').replace(/\s/g, '');
+  for (let length = code.length; length >= 2; length--) {
+    const rate = hsnRates[code.slice(0, length)];
+    if (rate !== undefined) return rate;
+  }
+  return undefined;
+};
+
+// Splits `amount` over `weights` in proportion, in paise, so the parts add up exactly
+const allocate = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!amount || !totalWeight) return weights.map(() => 0);
+  const paise = Math.round(amount * 100);
+  const shares = weights.map(weight => (paise * weight) / totalWeight);
+  const parts = shares.map(Math.floor);
+  let remainder = paise - parts.reduce((sum, part) => sum + part, 0);
+  const byFraction = shares.map((share, index) => ({ index, fraction: share - parts[index] }))
+    .sort((a, b) => b.fraction - a.fraction);
+  for (const { index } of byFraction) {
+    if (remainder <= 0) break;
+    parts[index]++;
+    remainder--;
+  }
+  return parts.map(part => part / 100);
+};
+
+// Computes the tax of a document.
+//   items:    lines with quantity, rate and optional gstRate, discountPercent or discountAmount,
+//             hsnSac and productId
+//   options:  gstType ('intrastate' | 'interstate'), discountAmount (document level),
+//             products (Map of productId -> { hsnSac, gstRate }), hsnRates, defaultRate, roundTotal
+// Returns { items, totals, hsnSummary } or { errors } (one message per problem).
+const computeTaxes = (items = [], options = {}) => {
+  const { gstType = 'intrastate', products = new Map(), hsnRates = {}, defaultRate = 18, roundTotal = true } = options;
+  const interstate = gstType === 'interstate';
+  if (!Array.isArray(items)) return { errors: ['items must be an array'] };
+  const errors = [];
+
+  const lines = items.map((input, index) => {
+    const label = `items[${index}]`;
+    if (!input || typeof input !== 'object') {
+      errors.push(`${label} must be an object`);
+      return { quantity: 0, rate: 0, discountAmount: 0, gross: 0 };
+    }
+    const item = typeof input.toObject === 'function' ? input.toObject() : { ...input };
+    const product = item.productId ? products.get(String(item.productId)) : undefined;
+    if (!item.hsnSac && product && product.hsnSac) item.hsnSac = product.hsnSac;
+
+    const quantity = toNumber(item.quantity);
+    const rate = toNumber(item.rate);
+    if (!Number.isFinite(quantity) || quantity <= 0) errors.push(`${label}.quantity must be a positive number`);
+    if (!Number.isFinite(rate) || rate < 0) errors.push(`${label}.rate must be zero or a positive number`);
+
+    let gstRate = toNumber(item.gstRate);
+    if (gstRate === undefined && product) gstRate = toNumber(product.gstRate);
+    if (gstRate === undefined) gstRate = rateForHsn(item.hsnSac, hsnRates);
+    if (gstRate === undefined) gstRate = defaultRate;
+    if (!GST_RATES.includes(gstRate)) errors.push(`${label}.gstRate must be one of ${GST_RATES.join(', ')}`);
+
+    const gross = round2((quantity || 0) * (rate || 0));
+    const discountPercent = toNumber(item.discountPercent);
+    let discountAmount = toNumber(item.discountAmount);
+    // A percentage wins: discountAmount is then the computed amount (as stored on earlier saves)
+    if (discountPercent !== undefined) {
+      if (!(discountPercent >= 0 && discountPercent <= 100)) errors.push(`${label}.discountPercent must be between 0 and 100`);
+      discountAmount = round2(gross * discountPercent / 100);
+    } else if (discountAmount !== undefined && !(discountAmount >= 0 && discountAmount <= gross)) {
+      errors.push(`${label}.discountAmount must be between 0 and the line amount (${gross})`);
+    }
+
+    return { ...item, quantity, rate, gstRate, discountAmount: round2(discountAmount || 0), gross };
+  });
+
+  const documentDiscount = toNumber(options.discountAmount) ?? 0;
+  const netOfLineDiscounts = lines.map(line => Math.max(round2(line.gross - line.discountAmount), 0));
+  const discountable = round2(netOfLineDiscounts.reduce((sum, value) => sum + value, 0));
+  if (Number.isNaN(documentDiscount)) {
+    errors.push('discountAmount must be a number');
+  } else if (!(documentDiscount >= 0 && documentDiscount <= discountable)) {
+    errors.push(`discountAmount must be between 0 and the amount after line discounts (${discountable})`);
+  }
+  if (errors.length) return { errors };
+
+  // The document discount lowers the taxable value, shared out in proportion to each line
+  const documentShares = allocate(documentDiscount, netOfLineDiscounts);
+
+  const summary = new Map();
+  const computed = lines.map((line, index) => {
+    const { gross, ...item } = line;
+    const taxableValue = round2(netOfLineDiscounts[index] - documentShares[index]);
+    const cgstAmount = interstate ? 0 : round2(taxableValue * line.gstRate / 200);
+    const sgstAmount = cgstAmount;
+    const igstAmount = interstate ? round2(taxableValue * line.gstRate / 100) : 0;
+    const amount = round2(taxableValue + cgstAmount + sgstAmount + igstAmount);
+
+    const key = `${item.hsnSac || ''}|${line.gstRate}`;
+    const row = summary.get(key) || { hsnSac: item.hsnSac || '', gstRate: line.gstRate, taxableValue: 0, cgstAmount: 0, sgstAmount: 0, igstAmount: 0, totalTax: 0 };
+    row.taxableValue = round2(row.taxableValue + taxableValue);
+    row.cgstAmount = round2(row.cgstAmount + cgstAmount);
+    row.sgstAmount = round2(row.sgstAmount + sgstAmount);
+    row.igstAmount = round2(row.igstAmount + igstAmount);
+    row.totalTax = round2(row.cgstAmount + row.sgstAmount + row.igstAmount);
+    summary.set(key, row);
+
+    return { ...item, taxableValue, cgstAmount, sgstAmount, igstAmount, amount, gross };
+  });
+
+  const sum = (field) => round2(computed.reduce((total, line) => total + line[field], 0));
+  const subTotal = sum('gross');
+  const taxableValue = sum('taxableValue');
+  const cgstAmount = sum('cgstAmount');
+  const sgstAmount = sum('sgstAmount');
+  const igstAmount = sum('igstAmount');
+  const tax = round2(cgstAmount + sgstAmount + igstAmount);
+  const exactTotal = round2(taxableValue + tax);
+  const total = roundTotal ? Math.round(exactTotal) : exactTotal;
+
+  return {
+    items: computed.map(({ gross, ...item }) => item),
+    totals: {
+      subTotal,
+      discountAmount: round2(documentDiscount),
+      totalDiscount: round2(subTotal - taxableValue),
+      taxableValue,
+      cgstAmount,
+      sgstAmount,
+      igstAmount,
+      tax,
+      roundOff: round2(total - exactTotal),
+      total
+    },
+    hsnSummary: [...summary.values()]
+  };
+};
+
+module.exports = { GST_RATES, round2, rateForHsn, allocate, computeTaxes };
@@ -0,0 +1,251 @@
+// utils/timeline.js
+// Collects everything that happened on an account into one list of timeline entries:
+//   { type, action, timestamp, actor, summary, ref: { model, id }, data }
+// `actor` is a user id (resolved by the caller) or { name } when only a name was recorded.
+const AuditLog = require('../models/AuditLog');
+const AssignmentLog = require('../models/AssignmentLog');
+const Invoice = require('../models/Invoice');
+const Quotation = require('../models/Quotation');
+const StageChange = require('../models/StageChange');
+const Task = require('../models/Task');
+
+const TIMELINE_TYPES = ['note', 'follow-up', 'status-change', 'quotation', 'invoice', 'payment', 'assignment'];
+
+// Notes and payments store their dates as free-form strings
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : null;
+};
+
+const byName = (name) => (name ? { name } : null);
+
+const newestFirst = (a, b) => (b.timestamp || 0) - (a.timestamp || 0);
+
+// Each collector returns at most `limit` of its newest entries, so a page only ever loads
+// page * pageSize rows per collection however long the account's history is
+
+const noteEntries = (account, limit) => account.notes
+  .map(note => ({
+    type: 'note',
+    action: 'added',
+    timestamp: parseDate(note.timestamp),
+    actor: byName(note.author),
+    summary: note.text,
+    ref: { model: 'BusinessAccount', id: account._id }
+  }))
+  .sort(newestFirst)
+  .slice(0, limit);
+
+const followUpEntry = (action, timestamp, actor) => (task) => ({
+  type: 'follow-up',
+  action,
+  timestamp: task[timestamp],
+  actor: task[actor],
+  summary: task.title || task.note,
+  ref: { model: 'Task', id: task._id },
+  data: { dueDate: task.dueDate, status: task.status, relatedModel: task.relatedModel, relatedId: task.relatedId }
+});
+
+const COMPLETED_TASK = { status: 'completed', completedAt: { $ne: null } };
+
+const followUpEntries = async (account, limit) => {
+  const [created, completed] = await Promise.all([
+    Task.find({ businessId: account._id }).sort({ createdAt: -1 }).limit(limit).lean(),
+    Task.find({ businessId: account._id, ...COMPLETED_TASK }).sort({ completedAt: -1 }).limit(limit).lean()
+  ]);
+  return [
+    ...created.map(followUpEntry('created', 'createdAt', 'createdBy')),
+    ...completed.map(followUpEntry('completed', 'completedAt', 'completedBy'))
+  ];
+};
+
+const countFollowUps = async (account) => {
+  const [created, completed] = await Promise.all([
+    Task.countDocuments({ businessId: account._id }),
+    Task.countDocuments({ businessId: account._id, ...COMPLETED_TASK })
+  ]);
+  return created + completed;
+};
+
+const statusEntries = async (account, limit) => {
+  const changes = await StageChange.find({ account: account._id }).sort({ changedAt: -1 }).limit(limit).lean();
+  return changes.map(change => ({
+    type: 'status-change',
+    action: change.from ? 'changed' : 'created',
+    timestamp: change.changedAt,
+    actor: change.changedBy,
+    summary: change.from ? `${change.from} → ${change.to}` : `Created as ${change.to}`,
+    ref: { model: 'StageChange', id: change._id },
+    data: { from: change.from, to: change.to, reason: change.reason }
+  }));
+};
+
+// Quotations and invoices, with who created / sent / closed them taken from the audit trail
+const DOCUMENTS = {
+  quotation: {
+    Model: Quotation,
+    entity: 'Quotation',
+    fields: 'quotationNumber total createdAt',
+    label: (doc) => `Quotation ${doc.quotationNumber}`,
+    data: (doc) => ({ quotationNumber: doc.quotationNumber, total: doc.total })
+  },
+  invoice: {
+    Model: Invoice,
+    entity: 'Invoice',
+    fields: 'invoiceNumber totalAmount createdAt',
+    label: (doc) => `Invoice ${doc.invoiceNumber}`,
+    data: (doc) => ({ invoiceNumber: doc.invoiceNumber, totalAmount: doc.totalAmount })
+  }
+};
+
+// Audit actions other than create and plain edits show as their own entries
+const OTHER_ACTIONS = { $nin: ['create', 'update'] };
+
+const groupBy = (rows, key) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const id = String(row[key]);
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(row);
+  }
+  return groups;
+};
+
+const documentEntries = (type) => async (account, limit) => {
+  const { Model, entity, fields, label, data } = DOCUMENTS[type];
+  const ids = await Model.distinct('_id', { businessId: account._id });
+  const [docs, others] = await Promise.all([
+    Model.find({ businessId: account._id }).sort({ createdAt: -1 }).limit(limit).select(fields).lean(),
+    AuditLog.find({ entity, entityId: { $in: ids }, action: OTHER_ACTIONS })
+      .sort({ timestamp: -1 }).limit(limit).select('entityId action actor timestamp').lean()
+  ]);
+
+  // The documents behind the audit entries that are not among the newest ones
+  const docsById = new Map(docs.map(doc => [String(doc._id), doc]));
+  const missing = [...new Set(others.map(audit => String(audit.entityId)))].filter(id => !docsById.has(id));
+  if (missing.length) {
+    for (const doc of await Model.find({ _id: { $in: missing } }).select(fields).lean()) docsById.set(String(doc._id), doc);
+  }
+  const creators = groupBy(await AuditLog.find({ entity, entityId: { $in: docs.map(doc => doc._id) }, action: 'create' })
+    .select('entityId actor').lean(), 'entityId');
+
+  const entryFor = (doc, action, timestamp, actor) => ({
+    type, action, timestamp, actor, summary: label(doc), ref: { model: entity, id: doc._id }, data: data(doc)
+  });
+  const entries = docs.map(doc => {
+    const created = (creators.get(String(doc._id)) || [])[0];
+    return entryFor(doc, 'created', doc.createdAt, created ? created.actor : null);
+  });
+  for (const audit of others) {
+    const doc = docsById.get(String(audit.entityId));
+    if (doc) entries.push(entryFor(doc, audit.action, audit.timestamp, audit.actor));
+  }
+  return entries;
+};
+
+const countDocumentEntries = (type) => async (account) => {
+  const { Model, entity } = DOCUMENTS[type];
+  const ids = await Model.distinct('_id', { businessId: account._id });
+  return ids.length + await AuditLog.countDocuments({ entity, entityId: { $in: ids }, action: OTHER_ACTIONS });
+};
+
+// Payments are embedded in the invoices with free-form dates, so they are unwound and sorted in the database
+const paymentEntries = async (account, limit) => {
+  const payments = await Invoice.aggregate([
+    { $match: { businessId: account._id } },
+    { $unwind: '$paymentHistory' },
+    { $addFields: { paidAt: { $convert: { input: '$paymentHistory.date', to: 'date', onError: null, onNull: null } } } },
+    { $sort: { paidAt: -1 } },
+    { $limit: limit },
+    { $project: { invoiceNumber: 1, payment: '$paymentHistory' } }
+  ]);
+  return payments.map(({ _id, invoiceNumber, payment }) => ({
+    type: 'payment',
+    action: 'received',
+    timestamp: parseDate(payment.date),
+    actor: byName(payment.addedBy),
+    summary: `Payment of ${payment.amount} on invoice ${invoiceNumber}`,
+    ref: { model: 'Invoice', id: _id },
+    data: { amount: payment.amount, method: payment.method, reference: payment.reference, invoiceNumber }
+  }));
+};
+
+const countPayments = async (account) => {
+  const [result] = await Invoice.aggregate([
+    { $match: { businessId: account._id } },
+    { $group: { _id: null, count: { $sum: { $size: { $ifNull: ['$paymentHistory', []] } } } } }
+  ]);
+  return result ? result.count : 0;
+};
+
+// Manual re-assignments (from the audit trail) and decisions of the assignment rules.
+// An account created through the rules is covered by the rule's decision, so its create audit is left out.
+const assignmentAuditFilter = async (account) => {
+  const filter = { entity: 'BusinessAccount', entityId: account._id, 'changes.field': 'assignedTo' };
+  if (await AssignmentLog.exists({ account: account._id, outcome: 'assigned' })) filter.action = { $ne: 'create' };
+  return filter;
+};
+
+const assignmentEntries = async (account, limit) => {
+  const [audits, decisions] = await Promise.all([
+    assignmentAuditFilter(account).then(filter => AuditLog.find(filter).sort({ timestamp: -1 }).limit(limit).lean()),
+    AssignmentLog.find({ account: account._id, outcome: 'assigned' }).sort({ timestamp: -1 }).limit(limit).lean()
+  ]);
+
+  const entries = audits.map(audit => {
+    const change = audit.changes.find(c => c.field === 'assignedTo');
+    return {
+      type: 'assignment',
+      action: audit.action === 'create' ? 'assigned' : 'reassigned',
+      timestamp: audit.timestamp,
+      actor: audit.actor,
+      summary: 'Account assigned',
+      ref: { model: 'BusinessAccount', id: account._id },
+      data: { from: change.before, to: change.after }
+    };
+  });
+  for (const decision of decisions) {
+    entries.push({
+      type: 'assignment',
+      action: 'auto-assigned',
+      timestamp: decision.timestamp,
+      actor: decision.actor,
+      summary: `Assigned by rule "${decision.ruleName}" (${decision.strategy})`,
+      ref: { model: 'AssignmentRule', id: decision.rule },
+      data: { to: decision.assignedTo, rule: decision.rule }
+    });
+  }
+  return entries;
+};
+
+const countAssignments = async (account) => {
+  const [audits, decisions] = await Promise.all([
+    assignmentAuditFilter(account).then(filter => AuditLog.countDocuments(filter)),
+    AssignmentLog.countDocuments({ account: account._id, outcome: 'assigned' })
+  ]);
+  return audits + decisions;
+};
+
+// Per type: collect(account, limit) -> newest entries, count(account) -> number of entries
+const COLLECTORS = {
+  note: { collect: noteEntries, count: async (account) => account.notes.length },
+  'follow-up': { collect: followUpEntries, count: countFollowUps },
+  'status-change': { collect: statusEntries, count: (account) => StageChange.countDocuments({ account: account._id }) },
+  quotation: { collect: documentEntries('quotation'), count: countDocumentEntries('quotation') },
+  invoice: { collect: documentEntries('invoice'), count: countDocumentEntries('invoice') },
+  payment: { collect: paymentEntries, count: countPayments },
+  assignment: { collect: assignmentEntries, count: countAssignments }
+};
+
+// The newest `limit` entries of the requested types for an account, newest first
+const buildTimeline = async (account, types = TIMELINE_TYPES, { limit = 20 } = {}) => {
+  const entries = (await Promise.all(types.map(type => COLLECTORS[type].collect(account, limit)))).flat();
+  return entries.sort(newestFirst).slice(0, limit);
+};
+
+// How many entries of the requested types the account has in all
+const countTimeline = async (account, types = TIMELINE_TYPES) => (
+  (await Promise.all(types.map(type => COLLECTORS[type].count(account)))).reduce((sum, count) => sum + count, 0)
+);
+
+module.exports = { TIMELINE_TYPES, buildTimeline, countTimeline };
@@ -0,0 +1,123 @@
+// utils/tokens.js
+// Session handling: short-lived JWT access tokens plus rotating refresh tokens stored server-side.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const CHALLENGE_TOKEN_TTL = '5m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// tokenVersion is bumped to invalidate every access token a user holds
+const signAccessToken = (user) => jwt.sign(
+  { userId: user._id, role: user.role, tokenVersion: user.tokenVersion || 0 },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Short-lived token proving the password step of a login passed. `purpose` is
+// '2fa' (enter a code) or '2fa-setup' (enrolment required before a session is issued).
+// middlewares/auth.js refuses these tokens as access tokens.
+const signChallengeToken = (user, purpose) => jwt.sign(
+  { userId: user._id, purpose, tokenVersion: user.tokenVersion || 0 },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_TOKEN_TTL }
+);
+
+// Returns the user the challenge was issued to, or null if the token is invalid
+const verifyChallengeToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (decoded.purpose !== purpose) return null;
+
+  const user = await User.findById(decoded.userId);
+  if (!user || user.status === 'Inactive' || decoded.tokenVersion !== (user.tokenVersion || 0)) {
+    return null;
+  }
+  return user;
+};
+
+const issueRefreshToken = async (user, req, family = crypto.randomUUID()) => {
+  const rawToken = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(rawToken),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+  return rawToken;
+};
+
+// Issues a new access/refresh token pair for a user that has just authenticated
+const issueSession = async (user, req, family) => ({
+  token: signAccessToken(user),
+  refreshToken: await issueRefreshToken(user, req, family),
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+// Exchanges a refresh token for a new pair. Returns null if the token is not usable.
+// Presenting a token that was already rotated is treated as theft: its whole family is revoked.
+const rotateRefreshToken = async (rawToken, req) => {
+  const tokenHash = hashToken(String(rawToken));
+  const now = new Date();
+
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now, revokedReason: 'rotated' },
+    { new: true }
+  );
+
+  if (!current) {
+    const reused = await RefreshToken.findOne({ tokenHash, revokedReason: 'rotated' });
+    if (reused) {
+      await RefreshToken.updateMany(
+        { family: reused.family, revokedAt: null },
+        { revokedAt: now, revokedReason: 'reuse-detected' }
+      );
+    }
+    return null;
+  }
+
+  const user = await User.findById(current.user);
+  if (!user || user.status === 'Inactive') {
+    return null;
+  }
+
+  return { user, session: await issueSession(user, req, current.family) };
+};
+
+const revokeRefreshToken = async (rawToken, reason = 'logout') => {
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(String(rawToken)), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Revokes every refresh token of the user and invalidates all access tokens already handed out
+const revokeAllSessions = async (userId, reason) => {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+};
+
+module.exports = {
+  signAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+};
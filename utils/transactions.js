@@ -0,0 +1,29 @@
+// utils/transactions.js
+// Multi-document transactions need a replica set or mongos; a standalone server (the plain
+// MONGODB_URI of config/db.js) has no sessions. withTransaction runs the work in a transaction
+// where the server supports one, and otherwise runs it as it is, in order, without a session.
+const mongoose = require('mongoose');
+
+let supported = null;
+
+// True if the connected server is a replica set member or mongos (checked once per process)
+const supportsTransactions = async () => {
+  if (supported === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    supported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+  return supported;
+};
+
+// Calls `work(session)`; `session` is null when transactions are not available, so the work
+// should order its writes so that stopping part-way loses nothing
+const withTransaction = async (work) => {
+  if (!(await supportsTransactions())) return work(null);
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await work(session);
+  });
+  return result;
+};
+
+module.exports = { supportsTransactions, withTransaction };